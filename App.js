@@ -10,16 +10,69 @@ import {
   ScrollView,
   RefreshControl,
   TouchableOpacity,
+  TextInput,
 } from "react-native";
-import * as SQLite from "expo-sqlite";
 import NetInfo from "@react-native-community/netinfo";
 import * as Location from "expo-location";
-import * as TaskManager from "expo-task-manager";
-import * as BackgroundFetch from "expo-background-fetch";
-import AsyncStorage from "@react-native-async-storage/async-storage";
-
-const LOCATION_TASK_NAME = "background-location-task";
-const SYNC_TASK_NAME = "background-sync-task";
+import * as Tracker from "./src/tracker";
+import { syncTotals } from "./src/sync";
+import { AuthError, getCredentials, getAuthStatus } from "./src/auth";
+import { startTrip, endOpenTrip, getRecentTrips } from "./src/trips";
+import { startOfDay } from "./src/stats";
+import { EXPORT_FORMATS, exportTrack, shareExport } from "./src/export";
+import { pickTrackFile } from "./src/import";
+import { buildReplayFixes, startReplay } from "./src/replay";
+import TrackScreen from "./src/screens/TrackScreen";
+import SettingsScreen from "./src/screens/SettingsScreen";
+import { getSettings } from "./src/settings";
+import { formatBytes } from "./src/retention";
+import { createLogger } from "./src/logger";
+import LogScreen from "./src/screens/LogScreen";
+import HistoryScreen from "./src/screens/HistoryScreen";
+import FailedScreen from "./src/screens/FailedScreen";
+import {
+  LIVE_STATES,
+  startLiveStream,
+  stopLiveStream,
+  subscribeLiveStatus,
+} from "./src/live";
+import {
+  getGeofences,
+  getGeofenceEvents,
+  addGeofence,
+  removeGeofence,
+  registerGeofences,
+} from "./src/geofences";
+import {
+  PRIVACY_MODES,
+  getPrivacyZones,
+  addPrivacyZone,
+  updatePrivacyZone,
+  removePrivacyZone,
+} from "./src/privacy";
+import {
+  TRACKING_PROFILES,
+  ACCURACY_LEVELS,
+  getActiveProfile,
+  saveCustomProfile,
+  describeProfile,
+} from "./src/profiles";
+import { describeMotionMode } from "./src/motion";
+import { MigrationError } from "./src/migrations";
+import { DatabaseKeyError, EncryptionUnavailableError } from "./src/encryption";
+
+// Log entries written from this screen
+const uiLog = createLogger("ui");
+
+// Playback speeds offered for track replay
+const REPLAY_SPEEDS = [1, 10, 60];
+
+// Date ranges offered for movement statistics
+const STATS_RANGES = [
+  { key: "today", label: "Today" },
+  { key: "session", label: "Session" },
+  { key: "week", label: "7 Days" },
+];
 
 export default function App() {
   const [isTracking, setIsTracking] = useState(false);
@@ -30,12 +83,33 @@ export default function App() {
   const [locations, setLocations] = useState([]);
   const [refreshing, setRefreshing] = useState(false);
   const [stats, setStats] = useState({ total: 0, synced: 0, pending: 0 });
+  const [currentTrip, setCurrentTrip] = useState(null);
+  const [recentTrips, setRecentTrips] = useState([]);
+  const [exportTripId, setExportTripId] = useState(null);
+  const [statsRange, setStatsRange] = useState("today");
+  const [movement, setMovement] = useState(null);
   const [testMode, setTestMode] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [replaySpeed, setReplaySpeed] = useState(10);
+  const [replayProgress, setReplayProgress] = useState(null);
+  const [screen, setScreen] = useState("home");
+  const [geofences, setGeofences] = useState([]);
+  const [geofenceEvents, setGeofenceEvents] = useState([]);
+  const [privacyZones, setPrivacyZones] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [customDraft, setCustomDraft] = useState(null);
+  const [motion, setMotion] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [authStatus, setAuthStatus] = useState(null);
+  const [liveStatus, setLiveStatus] = useState(null);
   const [testInterval, setTestInterval] = useState(null);
 
   // Initialize database
   useEffect(() => {
     initDatabase();
+    loadSettings();
+    loadAuthStatus();
+    loadProfile();
     checkPermissions();
     setupNetworkListener();
     return () => {
@@ -46,55 +120,160 @@ export default function App() {
   // Load locations when database is ready
   useEffect(() => {
     if (database) {
+      restoreTracking();
       loadLocations();
       loadStats();
+      loadGeofences();
+      loadPrivacyZones();
     }
   }, [database]);
 
+  useEffect(() => subscribeLiveStatus(setLiveStatus), []);
+
+  // Stream fixes live while enabled, online and registered; the stream
+  // reconnects by itself while the device stays online
+  useEffect(() => {
+    if (
+      database &&
+      settings?.liveStreaming &&
+      isOnline &&
+      authStatus?.state === "registered"
+    ) {
+      startLiveStream(database, { serverUrl: settings.serverUrl }).catch(
+        (error) => console.error("Live stream error:", error)
+      );
+    } else {
+      stopLiveStream().catch((error) =>
+        console.error("Live stream error:", error)
+      );
+    }
+  }, [database, settings, isOnline, authStatus]);
+
+  // Keep the OS geofence monitoring in sync with the stored geofences
+  useEffect(() => {
+    if (database && backgroundPermission === "granted") updateGeofencing();
+  }, [database, backgroundPermission]);
+
+  // Reload movement statistics when the range changes
+  useEffect(() => {
+    if (database) loadStats();
+  }, [statsRange]);
+
+  // Show the outcome of background syncs running in this JS runtime
+  useEffect(() => {
+    if (!database) return;
+
+    return Tracker.subscribe("sync", () => {
+      loadLocations();
+      loadStats();
+    });
+  }, [database, statsRange]);
+
   // Initialize SQLite database
   const initDatabase = async () => {
     try {
-      const db = await SQLite.openDatabaseAsync("tracker.db");
+      // Unlocks the encrypted database, applies any pending migrations and
+      // fixes any mismatch between the tracking state and the OS tasks
+      const { db } = await Tracker.init();
       setDatabase(db);
 
-      // Create tables if they don't exist
-      await db.execAsync(`
-        CREATE TABLE IF NOT EXISTS locations (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          latitude REAL NOT NULL,
-          longitude REAL NOT NULL,
-          accuracy REAL,
-          altitude REAL,
-          speed REAL,
-          heading REAL,
-          timestamp INTEGER NOT NULL,
-          synced INTEGER DEFAULT 0,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      await logToDatabase("Database initialized successfully");
+      console.log("Database initialized");
+    } catch (error) {
+      console.error("Database initialization error:", error);
+      if (error instanceof MigrationError) {
+        Alert.alert(
+          "Database Upgrade Failed",
+          `${error.message}\n\nYour data was left unchanged. Please restart the app or contact support.`
         );
-        
-        CREATE TABLE IF NOT EXISTS sync_queue (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          table_name TEXT NOT NULL,
-          record_id INTEGER NOT NULL,
-          operation TEXT NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      } else if (error instanceof DatabaseKeyError) {
+        Alert.alert(
+          "Database Locked",
+          `${error.message}\n\nThe encrypted data was left unchanged. Please contact support.`
         );
-        
-        CREATE TABLE IF NOT EXISTS app_logs (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          message TEXT NOT NULL,
-          level TEXT DEFAULT 'info',
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      } else if (error instanceof EncryptionUnavailableError) {
+        Alert.alert(
+          "Database Unavailable",
+          `${error.message}. Please install an official build of the app.`
         );
-      `);
+      }
+    }
+  };
 
-      await logToDatabase("Database initialized successfully");
-      console.log("Database initialized");
+  // Show the tracking state restored by Tracker.init and restart the UI
+  // refresh loop when tracking is on
+  const restoreTracking = async () => {
+    try {
+      const tracking = await Tracker.isTracking();
+      setIsTracking(tracking);
+
+      if (tracking) {
+        startTestMode((await getSettings()).refreshInterval);
+      }
     } catch (error) {
-      console.error("Database initialization error:", error);
+      await uiLog.error("Failed to restore tracking state", error);
+    }
+  };
+
+  // Load the settings store
+  const loadSettings = async () => {
+    try {
+      setSettings(await getSettings());
+    } catch (error) {
+      console.error("Error loading settings:", error);
     }
   };
 
+  // Whether sync has usable device credentials for the configured server
+  const loadAuthStatus = async () => {
+    try {
+      const { serverUrl } = await getSettings();
+      setAuthStatus(getAuthStatus(await getCredentials(), serverUrl));
+    } catch (error) {
+      console.error("Error loading device credentials:", error);
+    }
+  };
+
+  // Apply saved settings to running tracking: the sync task interval, the
+  // notification text (by restarting location updates) and the UI refresh
+  const applySettings = async (next) => {
+    setSettings(next);
+    await loadAuthStatus();
+    if (!isTracking) return;
+
+    try {
+      await Tracker.applySettings();
+      startTestMode(next.refreshInterval);
+    } catch (error) {
+      console.error("Apply settings error:", error);
+      await logToDatabase(
+        "Failed to apply settings: " + error.message,
+        "error"
+      );
+    }
+  };
+
+  // Load the active tracking profile
+  const loadProfile = async () => {
+    try {
+      const active = await getActiveProfile();
+      setProfile(active);
+      setCustomDraft(toDraft(active.key === "custom" ? active : null));
+    } catch (error) {
+      console.error("Error loading profile:", error);
+    }
+  };
+
+  // Editable text fields for the custom profile
+  const toDraft = (settings) => {
+    const source = settings || TRACKING_PROFILES.custom;
+    return {
+      accuracy: source.accuracy,
+      interval: String(Math.round(source.timeInterval / 1000)),
+      distance: String(source.distanceInterval),
+    };
+  };
+
   // Load locations from database
   const loadLocations = async () => {
     if (!database) return;
@@ -115,27 +294,214 @@ export default function App() {
     if (!database) return;
 
     try {
-      const statsData = await database.getAllAsync(`
-        SELECT 
-          COUNT(*) as total,
-          SUM(CASE WHEN synced = 1 THEN 1 ELSE 0 END) as synced,
-          SUM(CASE WHEN synced = 0 THEN 1 ELSE 0 END) as pending
-        FROM locations
-      `);
-
-      if (statsData && statsData.length > 0) {
-        setStats(statsData[0]);
-      }
+      const { currentTrip, motion, movement, ...counts } =
+        await Tracker.getStats(await getStatsRangeFilter(statsRange));
+
+      setStats(counts);
+      setCurrentTrip(currentTrip);
+      setMotion(motion);
+      setMovement(movement);
+
+      // A selected trip that dropped off the list falls back to the range
+      const trips = await getRecentTrips(database, 10);
+      setRecentTrips(trips);
+      setExportTripId((id) =>
+        trips.some((trip) => trip.id === id) ? id : null
+      );
     } catch (error) {
       console.error("Error loading stats:", error);
     }
   };
 
+  // Load geofences and their latest events
+  const loadGeofences = async () => {
+    if (!database) return;
+
+    try {
+      setGeofences(await getGeofences(database));
+      setGeofenceEvents(await getGeofenceEvents(database, 5));
+    } catch (error) {
+      console.error("Error loading geofences:", error);
+    }
+  };
+
+  // Register the current geofences with the OS
+  const updateGeofencing = async () => {
+    if (!database || backgroundPermission !== "granted") return;
+
+    try {
+      const count = await registerGeofences(
+        database,
+        Tracker.GEOFENCE_TASK_NAME
+      );
+      console.log(`Monitoring ${count} geofence(s)`);
+    } catch (error) {
+      console.error("Geofencing error:", error);
+      await logToDatabase("Geofencing failed: " + error.message, "error");
+    }
+  };
+
+  // Create a geofence around the current position
+  const addGeofenceHere = async () => {
+    if (!database) return;
+
+    if (locationPermission !== "granted") {
+      Alert.alert("Permission Required", "Location permission is required");
+      return;
+    }
+
+    try {
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.High,
+      });
+      const name = `Site ${geofences.length + 1}`;
+
+      await addGeofence(database, {
+        name,
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+      });
+      await logToDatabase(`Geofence ${name} added`);
+      await loadGeofences();
+      await updateGeofencing();
+    } catch (error) {
+      console.error("Add geofence error:", error);
+      Alert.alert("Error", "Failed to add geofence: " + error.message);
+    }
+  };
+
+  // Remove a geofence after confirmation
+  const confirmRemoveGeofence = (geofence) => {
+    Alert.alert("Remove Geofence", `Stop monitoring ${geofence.name}?`, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            await removeGeofence(database, geofence.id);
+            await logToDatabase(`Geofence ${geofence.name} removed`);
+            await loadGeofences();
+            await updateGeofencing();
+          } catch (error) {
+            console.error("Remove geofence error:", error);
+            Alert.alert("Error", "Failed to remove geofence");
+          }
+        },
+      },
+    ]);
+  };
+
+  // Load the privacy zones
+  const loadPrivacyZones = async () => {
+    if (!database) return;
+
+    try {
+      setPrivacyZones(await getPrivacyZones(database));
+    } catch (error) {
+      console.error("Error loading privacy zones:", error);
+    }
+  };
+
+  // Add a privacy zone around the current position; it applies to every
+  // point not uploaded yet
+  const addPrivacyZoneHere = async () => {
+    if (!database) return;
+
+    if (locationPermission !== "granted") {
+      Alert.alert("Permission Required", "Location permission is required");
+      return;
+    }
+
+    try {
+      const position = await Location.getCurrentPositionAsync({
+        accuracy: Location.Accuracy.High,
+      });
+      const name = `Zone ${privacyZones.length + 1}`;
+
+      await addPrivacyZone(database, {
+        name,
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+      });
+      await logToDatabase(`Privacy zone ${name} added`);
+      await loadPrivacyZones();
+      await loadStats();
+    } catch (error) {
+      console.error("Add privacy zone error:", error);
+      Alert.alert("Error", "Failed to add privacy zone: " + error.message);
+    }
+  };
+
+  // Switch a privacy zone to the next mode
+  const cyclePrivacyMode = async (zone) => {
+    const modes = Object.keys(PRIVACY_MODES);
+    const mode = modes[(modes.indexOf(zone.mode) + 1) % modes.length];
+
+    try {
+      await updatePrivacyZone(database, zone, { mode });
+      await logToDatabase(
+        `Privacy zone ${zone.name} set to ${PRIVACY_MODES[mode]}`
+      );
+      await loadPrivacyZones();
+      await loadStats();
+    } catch (error) {
+      console.error("Update privacy zone error:", error);
+      Alert.alert("Error", "Failed to update privacy zone");
+    }
+  };
+
+  // Remove a privacy zone after confirmation
+  const confirmRemovePrivacyZone = (zone) => {
+    Alert.alert(
+      "Remove Privacy Zone",
+      `Points in ${zone.name} that haven't synced yet will be uploaded. Remove it?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await removePrivacyZone(database, zone.id);
+              await logToDatabase(`Privacy zone ${zone.name} removed`);
+              await loadPrivacyZones();
+              await loadStats();
+            } catch (error) {
+              console.error("Remove privacy zone error:", error);
+              Alert.alert("Error", "Failed to remove privacy zone");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Resolve a STATS_RANGES key to a { from, to } filter
+  const getStatsRangeFilter = async (range) => {
+    const now = Date.now();
+
+    if (range === "session") {
+      const { startedAt, stoppedAt } = await Tracker.getTrackingSession();
+      if (!startedAt) return { from: now, to: now };
+
+      const to = stoppedAt && stoppedAt > startedAt ? stoppedAt : now;
+      return { from: startedAt, to };
+    }
+
+    if (range === "week") {
+      return { from: startOfDay(now - 6 * 24 * 60 * 60 * 1000), to: now };
+    }
+
+    return { from: startOfDay(now), to: now };
+  };
+
   // Refresh data
   const onRefresh = async () => {
     setRefreshing(true);
     await loadLocations();
     await loadStats();
+    await loadGeofences();
     setRefreshing(false);
   };
 
@@ -184,19 +550,7 @@ export default function App() {
   };
 
   // Log to database
-  const logToDatabase = async (message, level = "info") => {
-    if (!database) return;
-
-    try {
-      await database.runAsync(
-        "INSERT INTO app_logs (message, level) VALUES (?, ?)",
-        [message, level]
-      );
-      console.log(`[LOG:${level}] ${message}`);
-    } catch (error) {
-      console.error("Logging error:", error);
-    }
-  };
+  const logToDatabase = (message, level = "info") => uiLog.log(level, message);
 
   // Start tracking
   const startTracking = async () => {
@@ -211,29 +565,9 @@ export default function App() {
     }
 
     try {
-      // Start foreground location updates
-      await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
-        accuracy: Location.Accuracy.Balanced,
-        timeInterval: 40000, // 40 seconds
-        distanceInterval: 10, // 10 meters
-        foregroundService: {
-          notificationTitle: "Location Tracking",
-          notificationBody: "Tracking your location in background",
-          notificationColor: "#FF0000",
-        },
-        showsBackgroundLocationIndicator: true,
-      });
-
-      // Register background fetch task for syncing
-      await BackgroundFetch.registerTaskAsync(SYNC_TASK_NAME, {
-        minimumInterval: 900, // 15 minutes minimum on iOS, but actual timing may vary
-        stopOnTerminate: false,
-        startOnBoot: true,
-      });
-
+      // Location updates, the sync task and a new trip with the active profile
+      await Tracker.start();
       setIsTracking(true);
-      await AsyncStorage.setItem("isTracking", "true");
-      await logToDatabase("Tracking started");
 
       // Start test mode for UI updates
       startTestMode();
@@ -245,18 +579,49 @@ export default function App() {
     }
   };
 
+  // Switch the tracking profile. While tracking, location updates restart
+  // with the new options and a new trip is started, so every trip is
+  // recorded with a single profile.
+  const switchProfile = async (key) => {
+    try {
+      const next = await Tracker.setProfile(key);
+      setProfile(next);
+      if (next.key === "custom") setCustomDraft(toDraft(next));
+
+      await loadStats();
+    } catch (error) {
+      console.error("Switch profile error:", error);
+      Alert.alert("Error", "Failed to switch profile: " + error.message);
+    }
+  };
+
+  // Save the custom profile settings and apply them
+  const saveCustomDraft = async () => {
+    try {
+      await saveCustomProfile({
+        accuracy: customDraft.accuracy,
+        timeInterval: Math.round(Number(customDraft.interval) * 1000),
+        distanceInterval: Number(customDraft.distance),
+      });
+      await switchProfile("custom");
+    } catch (error) {
+      Alert.alert("Invalid Profile", error.message);
+    }
+  };
+
   // Start test mode for UI updates
-  const startTestMode = () => {
+  const startTestMode = (refreshInterval = settings?.refreshInterval ?? 5) => {
     setTestMode(true);
 
     // Clear any existing interval
     if (testInterval) clearInterval(testInterval);
 
-    // Update UI every 5 seconds to show fresh data
+    // Update UI every refresh period to show fresh data
     const interval = setInterval(() => {
       loadLocations();
       loadStats();
-    }, 5000);
+      loadGeofences();
+    }, refreshInterval * 1000);
 
     setTestInterval(interval);
   };
@@ -264,12 +629,8 @@ export default function App() {
   // Stop tracking
   const stopTracking = async () => {
     try {
-      await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
-      await BackgroundFetch.unregisterTaskAsync(SYNC_TASK_NAME);
-
+      await Tracker.stop();
       setIsTracking(false);
-      await AsyncStorage.setItem("isTracking", "false");
-      await logToDatabase("Tracking stopped");
 
       // Stop test mode
       setTestMode(false);
@@ -301,93 +662,164 @@ export default function App() {
         timestamp: Date.now(),
       };
 
-      await saveLocation(mockLocation);
+      const result = await saveLocation(mockLocation);
       await loadLocations();
       await loadStats();
 
-      Alert.alert("Test", "Test location added successfully");
+      if (result && result.rejected > 0) {
+        Alert.alert("Test", "Test location was rejected by the GPS filter");
+      } else {
+        Alert.alert("Test", "Test location added successfully");
+      }
     } catch (error) {
       console.error("Test location error:", error);
     }
   };
 
-  // Save location to database
-  const saveLocation = async (location) => {
+  // Import a GPX/GeoJSON track and replay it as simulated GPS. Replayed
+  // fixes go through the same ingestion, filter, trip and sync paths as
+  // real ones.
+  const replayTrack = async () => {
     if (!database) return;
 
+    if (isTracking) {
+      Alert.alert("Replay", "Stop tracking before replaying a track");
+      return;
+    }
+
     try {
-      const result = await database.runAsync(
-        `INSERT INTO locations 
-        (latitude, longitude, accuracy, altitude, speed, heading, timestamp, synced) 
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          location.coords.latitude,
-          location.coords.longitude,
-          location.coords.accuracy,
-          location.coords.altitude,
-          location.coords.speed,
-          location.coords.heading,
-          location.timestamp,
-          0, // not synced yet
-        ]
+      const track = await pickTrackFile();
+      if (!track) return;
+
+      const fixes = buildReplayFixes(track.points);
+      if (fixes.length === 0) {
+        Alert.alert("Replay", `${track.name} has no points to replay`);
+        return;
+      }
+
+      const profile = await getActiveProfile();
+      const tripId = await startTrip(database, fixes[0].timestamp, profile.key);
+      await logToDatabase(
+        `Replaying ${track.name}: ${fixes.length} points at ${replaySpeed}x (trip ${tripId})`
       );
 
-      // Add to sync queue
-      await database.runAsync(
-        "INSERT INTO sync_queue (table_name, record_id, operation) VALUES (?, ?, ?)",
-        ["locations", result.lastInsertRowId, "INSERT"]
+      const controller = startReplay(fixes, {
+        speed: replaySpeed,
+        onFix: (fix) =>
+          Tracker.recordLocations([fix], { trips: true, profile: profile.key }),
+        onProgress: (done, total) => {
+          setReplayProgress({ done, total });
+          if (done % 10 === 0) {
+            loadLocations();
+            loadStats();
+          }
+        },
+      });
+      setReplay(controller);
+      setReplayProgress({ done: 0, total: fixes.length });
+
+      const delivered = await controller.done;
+      await endOpenTrip(database, fixes[Math.max(0, delivered - 1)].timestamp);
+      await logToDatabase(
+        `Replay of ${track.name} finished after ${delivered} of ${fixes.length} points`
       );
+    } catch (error) {
+      console.error("Replay error:", error);
+      await logToDatabase("Replay failed: " + error.message, "error");
+      Alert.alert("Replay Failed", error.message);
+    } finally {
+      setReplay(null);
+      setReplayProgress(null);
+      await loadLocations();
+      await loadStats();
+    }
+  };
+
+  // Stop a running replay
+  const stopReplay = () => {
+    if (replay) replay.stop();
+  };
+
+  // Save location to database
+  const saveLocation = async (location) => {
+    if (!database) return;
 
-      const message = `Location saved: ${location.coords.latitude.toFixed(
-        6
-      )}, ${location.coords.longitude.toFixed(6)}`;
-      await logToDatabase(message);
-      console.log(message);
+    try {
+      const result = await Tracker.recordLocations([location], {
+        trips: isTracking,
+        profile: profile?.key,
+      });
+      if (result.saved > 0) {
+        console.log(
+          `Location saved: ${location.coords.latitude.toFixed(
+            6
+          )}, ${location.coords.longitude.toFixed(6)}`
+        );
+      }
+      return result;
     } catch (error) {
       console.error("Save location error:", error);
       await logToDatabase("Failed to save location: " + error.message, "error");
     }
   };
 
-  // Sync data with server
-  const syncData = async () => {
+  // Sync data with server. `manual` is set for Sync Now; the automatic sync
+  // on reconnecting doesn't ask the user about Wi-Fi.
+  const syncData = async (manual = false) => {
     if (!database || !isOnline) return;
 
     try {
-      // Get unsynced locations
-      const unsyncedLocations = await database.getAllAsync(
-        "SELECT * FROM locations WHERE synced = 0 ORDER BY timestamp ASC LIMIT 100"
-      );
+      // Upload closed trips and unsynced locations; only acknowledged rows
+      // are marked synced
+      const result = await Tracker.syncNow();
+      if (!result) {
+        await logToDatabase("Sync skipped: waiting for Wi-Fi");
+        if (manual) {
+          Alert.alert("Sync", "Sync is limited to Wi-Fi in Settings");
+        }
+        return;
+      }
+      const totals = syncTotals(result);
+
+      // The server may have added, moved or withdrawn geofences; syncNow
+      // registered them with the OS
+      if (result.geofences > 0) {
+        await logToDatabase(`${result.geofences} geofence(s) updated by sync`);
+        await loadGeofences();
+      }
 
-      if (unsyncedLocations.length === 0) {
+      if (totals.sent === 0) {
         await logToDatabase("No data to sync");
         Alert.alert("Sync", "No data to sync");
         return;
       }
 
-      // Here you would send data to your backend
-      // For now, we'll simulate successful sync
-      const locationIds = unsyncedLocations.map((loc) => loc.id);
-
-      // Mark as synced
-      await database.runAsync(
-        `UPDATE locations SET synced = 1 WHERE id IN (${locationIds.join(",")})`
-      );
-
-      // Remove from sync queue
-      await database.runAsync(
-        "DELETE FROM sync_queue WHERE table_name = ? AND record_id IN (?)",
-        ["locations", locationIds.join(",")]
+      const { locations: locs, trips } = result;
+      const message =
+        totals.acknowledged === totals.sent
+          ? `Synced ${locs.acknowledged} locations and ${trips.acknowledged} trips`
+          : `Synced ${locs.acknowledged} of ${locs.sent} locations and ${trips.acknowledged} of ${trips.sent} trips` +
+            (totals.rejected > 0
+              ? `, ${totals.rejected} records rejected by the server`
+              : ", the rest will be retried");
+      await logToDatabase(
+        `${message} (${formatBytes(totals.bytes)} uploaded)`,
+        totals.acknowledged === totals.sent ? "info" : "warn"
       );
-
-      const message = `Synced ${unsyncedLocations.length} locations`;
-      await logToDatabase(message);
       Alert.alert("Sync Successful", message);
 
       // Refresh UI
       await loadLocations();
       await loadStats();
+      await loadGeofences();
     } catch (error) {
+      // Nothing was dropped; sync resumes once the device is registered
+      if (error instanceof AuthError) {
+        await uiLog.warn(error.message);
+        await loadAuthStatus();
+        Alert.alert("Sync Paused", error.message);
+        return;
+      }
       console.error("Sync error:", error);
       await logToDatabase("Sync failed: " + error.message, "error");
       Alert.alert("Sync Failed", error.message);
@@ -408,9 +840,11 @@ export default function App() {
           style: "destructive",
           onPress: async () => {
             try {
+              // Trips and geofence events stay queued; sync finds records
+              // only through their queue entries
               await database.execAsync(`
                 DELETE FROM locations;
-                DELETE FROM sync_queue;
+                DELETE FROM sync_queue WHERE table_name = 'locations';
                 DELETE FROM app_logs;
               `);
 
@@ -428,6 +862,57 @@ export default function App() {
     );
   };
 
+  // Export the selected trip, or else the selected stats range, and open the
+  // share sheet
+  const exportData = async (format) => {
+    if (!database) return;
+
+    try {
+      const trip = recentTrips.find((item) => item.id === exportTripId);
+      const range = STATS_RANGES.find((item) => item.key === statsRange);
+      const day = new Date().toISOString().slice(0, 10);
+
+      const result = trip
+        ? await exportTrack(
+            database,
+            format,
+            { tripId: trip.id },
+            {
+              name: `Mozility Tracker - Trip #${trip.id}`,
+              fileName: `mozility-trip-${trip.id}`,
+            }
+          )
+        : await exportTrack(
+            database,
+            format,
+            await getStatsRangeFilter(statsRange),
+            {
+              name: `Mozility Tracker - ${range.label}`,
+              fileName: `mozility-${range.key}-${day}`,
+            }
+          );
+
+      if (result.count === 0) {
+        Alert.alert(
+          "Export",
+          trip
+            ? "No locations in this trip"
+            : "No locations in the selected range"
+        );
+        return;
+      }
+
+      await logToDatabase(
+        `Exported ${result.count} locations as ${result.format.label}`
+      );
+      await shareExport(result);
+    } catch (error) {
+      console.error("Export error:", error);
+      await logToDatabase("Export failed: " + error.message, "error");
+      Alert.alert("Export Failed", error.message);
+    }
+  };
+
   // Format date for display
   const formatDate = (timestamp) => {
     const date = new Date(timestamp);
@@ -439,6 +924,34 @@ export default function App() {
     return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
   };
 
+  // Format a distance in meters for display
+  const formatDistance = (meters) => {
+    return meters >= 1000
+      ? `${(meters / 1000).toFixed(2)} km`
+      : `${Math.round(meters)} m`;
+  };
+
+  // Format a duration in milliseconds for display
+  const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    return minutes >= 60
+      ? `${Math.floor(minutes / 60)}h ${minutes % 60}m`
+      : `${minutes}m`;
+  };
+
+  // Format a speed in m/s as km/h for display
+  const formatSpeed = (metersPerSecond) => {
+    return `${(metersPerSecond * 3.6).toFixed(1)} km/h`;
+  };
+
+  // Render one movement metric in the stats card
+  const renderMetric = (label, value) => (
+    <View className="flex-1 items-center">
+      <Text className="text-sm font-bold text-gray-800">{value}</Text>
+      <Text className="text-xs text-gray-600 mt-1">{label}</Text>
+    </View>
+  );
+
   // Render location item
   const renderLocationItem = ({ item, index }) => (
     <View className="flex-row border-b border-gray-200 py-2">
@@ -489,6 +1002,44 @@ export default function App() {
     </View>
   );
 
+  if (screen === "settings") {
+    return (
+      <SettingsScreen
+        onClose={() => setScreen("home")}
+        onSaved={applySettings}
+        onRegistered={loadAuthStatus}
+      />
+    );
+  }
+
+  if (screen === "history" && database) {
+    return (
+      <HistoryScreen database={database} onClose={() => setScreen("home")} />
+    );
+  }
+
+  if (screen === "failed" && database) {
+    return (
+      <FailedScreen
+        database={database}
+        onClose={() => {
+          setScreen("home");
+          loadStats();
+        }}
+      />
+    );
+  }
+
+  if (screen === "logs" && database) {
+    return <LogScreen database={database} onClose={() => setScreen("home")} />;
+  }
+
+  if (screen === "track" && database) {
+    return (
+      <TrackScreen database={database} onClose={() => setScreen("home")} />
+    );
+  }
+
   return (
     <ScrollView
       className="flex-1 bg-gray-50"
@@ -502,26 +1053,73 @@ export default function App() {
       </Text>
 
       {/* Stats Bar */}
-      <View className="flex-row bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
-        <View className="flex-1 items-center">
-          <Text className="text-2xl font-bold text-blue-500">
-            {stats.total || 0}
-          </Text>
-          <Text className="text-xs text-gray-600 mt-1">Total</Text>
+      <View className="bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
+        <View className="flex-row">
+          <View className="flex-1 items-center">
+            <Text className="text-2xl font-bold text-blue-500">
+              {stats.total || 0}
+            </Text>
+            <Text className="text-xs text-gray-600 mt-1">Total</Text>
+          </View>
+          <View className="w-px bg-gray-200 mx-2" />
+          <View className="flex-1 items-center">
+            <Text className="text-2xl font-bold text-blue-500">
+              {stats.synced || 0}
+            </Text>
+            <Text className="text-xs text-gray-600 mt-1">Synced</Text>
+          </View>
+          <View className="w-px bg-gray-200 mx-2" />
+          <View className="flex-1 items-center">
+            <Text className="text-2xl font-bold text-blue-500">
+              {stats.pending || 0}
+            </Text>
+            <Text className="text-xs text-gray-600 mt-1">Pending</Text>
+          </View>
         </View>
-        <View className="w-px bg-gray-200 mx-2" />
-        <View className="flex-1 items-center">
-          <Text className="text-2xl font-bold text-blue-500">
-            {stats.synced || 0}
+        {stats.withheld > 0 && (
+          <Text className="text-xs text-gray-500 text-center mt-2">
+            {stats.withheld} points kept on this device by privacy zones
           </Text>
-          <Text className="text-xs text-gray-600 mt-1">Synced</Text>
+        )}
+        {stats.failed > 0 && (
+          <TouchableOpacity onPress={() => setScreen("failed")}>
+            <Text className="text-xs text-red-500 text-center mt-2">
+              {stats.failed} records failed to upload · View
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Movement */}
+        <View className="flex-row justify-center mt-4 pt-3 border-t border-gray-200 mb-3">
+          {STATS_RANGES.map((range) => (
+            <TouchableOpacity
+              key={range.key}
+              className={`px-3 py-1 mx-1 rounded-full ${
+                statsRange === range.key ? "bg-blue-500" : "bg-gray-200"
+              }`}
+              onPress={() => setStatsRange(range.key)}
+            >
+              <Text
+                className={`text-xs font-medium ${
+                  statsRange === range.key ? "text-white" : "text-gray-700"
+                }`}
+              >
+                {range.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
         </View>
-        <View className="w-px bg-gray-200 mx-2" />
-        <View className="flex-1 items-center">
-          <Text className="text-2xl font-bold text-blue-500">
-            {stats.pending || 0}
-          </Text>
-          <Text className="text-xs text-gray-600 mt-1">Pending</Text>
+        <View className="flex-row mb-2">
+          {renderMetric("Distance", formatDistance(movement?.distance || 0))}
+          {renderMetric("Moving", formatDuration(movement?.movingTime || 0))}
+          {renderMetric(
+            "Stationary",
+            formatDuration(movement?.stationaryTime || 0)
+          )}
+        </View>
+        <View className="flex-row">
+          {renderMetric("Avg Speed", formatSpeed(movement?.averageSpeed || 0))}
+          {renderMetric("Max Speed", formatSpeed(movement?.maxSpeed || 0))}
         </View>
       </View>
 
@@ -557,27 +1155,179 @@ export default function App() {
             {locationPermission === "granted" ? "✓ Granted" : "✗ Required"}
           </Text>
         </View>
+        <View className="flex-row justify-between items-center mb-2">
+          <Text className="text-sm text-gray-600">Profile:</Text>
+          <Text className="text-sm font-medium">
+            {profile
+              ? `${profile.label} · ${describeProfile(profile)}`
+              : "Loading..."}
+          </Text>
+        </View>
+        <View className="flex-row justify-between items-center mb-2">
+          <Text className="text-sm text-gray-600">Sync:</Text>
+          <Text
+            className={`text-sm font-medium ${
+              authStatus && authStatus.state !== "registered"
+                ? "text-red-500"
+                : ""
+            }`}
+          >
+            {!authStatus
+              ? "Loading..."
+              : authStatus.state === "registered"
+              ? "✓ Device registered"
+              : "⏸ Paused"}
+          </Text>
+        </View>
+        {authStatus && authStatus.state !== "registered" && (
+          <Text className="text-xs text-red-500 mb-2">
+            {authStatus.message}. Register the device in Settings.
+          </Text>
+        )}
+        {settings?.liveStreaming && liveStatus && (
+          <View className="flex-row justify-between items-center mb-2">
+            <Text className="text-sm text-gray-600">Live:</Text>
+            <Text
+              className={`text-sm font-medium ${
+                liveStatus.state === "live"
+                  ? "text-green-600"
+                  : liveStatus.state === "paused"
+                  ? "text-red-500"
+                  : ""
+              }`}
+            >
+              {LIVE_STATES[liveStatus.state]}
+            </Text>
+          </View>
+        )}
+        {isTracking && motion && (
+          <View className="flex-row justify-between items-center mb-2">
+            <Text className="text-sm text-gray-600">Sampling:</Text>
+            <Text className="text-sm font-medium">
+              {describeMotionMode(motion.mode)}
+              {motion.since ? ` since ${formatDate(motion.since)}` : ""}
+            </Text>
+          </View>
+        )}
+        <View className="flex-row justify-between items-center mb-2">
+          <Text className="text-sm text-gray-600">Trip:</Text>
+          <Text className="text-sm font-medium">
+            {currentTrip
+              ? `#${currentTrip.id} · ${(currentTrip.distance / 1000).toFixed(
+                  2
+                )} km · ${currentTrip.point_count} pts`
+              : "None"}
+          </Text>
+        </View>
         {testMode && (
           <View className="flex-row justify-between items-center">
             <Text className="text-sm text-gray-600">Test Mode:</Text>
             <Text className="text-sm font-medium text-purple-600 font-bold">
-              ACTIVE (UI updates every 5s)
+              ACTIVE (UI updates every {settings?.refreshInterval ?? 5}s)
             </Text>
           </View>
         )}
       </View>
 
+      {/* Tracking Profile */}
+      <View className="bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
+        <Text className="text-base font-bold mb-3 text-gray-800 text-center">
+          Tracking Profile
+        </Text>
+        <View className="flex-row flex-wrap justify-center">
+          {Object.keys(TRACKING_PROFILES).map((key) => (
+            <TouchableOpacity
+              key={key}
+              className={`px-3 py-1 mx-1 mb-2 rounded-full ${
+                profile?.key === key ? "bg-blue-500" : "bg-gray-200"
+              }`}
+              onPress={() => switchProfile(key)}
+            >
+              <Text
+                className={`text-xs font-medium ${
+                  profile?.key === key ? "text-white" : "text-gray-700"
+                }`}
+              >
+                {TRACKING_PROFILES[key].label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {profile?.key === "custom" && customDraft && (
+          <View className="mt-2 pt-3 border-t border-gray-200">
+            <View className="flex-row flex-wrap justify-center mb-2">
+              {ACCURACY_LEVELS.map((level) => (
+                <TouchableOpacity
+                  key={level}
+                  className={`px-2 py-1 mx-1 mb-1 rounded-full ${
+                    customDraft.accuracy === level
+                      ? "bg-indigo-500"
+                      : "bg-gray-200"
+                  }`}
+                  onPress={() =>
+                    setCustomDraft({ ...customDraft, accuracy: level })
+                  }
+                >
+                  <Text
+                    className={`text-xs ${
+                      customDraft.accuracy === level
+                        ? "text-white"
+                        : "text-gray-700"
+                    }`}
+                  >
+                    {level}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <View className="flex-row items-center mb-2">
+              <Text className="text-sm text-gray-600 flex-1">Interval (s)</Text>
+              <TextInput
+                className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                keyboardType="numeric"
+                value={customDraft.interval}
+                onChangeText={(interval) =>
+                  setCustomDraft({ ...customDraft, interval })
+                }
+              />
+            </View>
+            <View className="flex-row items-center mb-2">
+              <Text className="text-sm text-gray-600 flex-1">Distance (m)</Text>
+              <TextInput
+                className="flex-1 border border-gray-300 rounded-lg px-2 py-1 text-sm"
+                keyboardType="numeric"
+                value={customDraft.distance}
+                onChangeText={(distance) =>
+                  setCustomDraft({ ...customDraft, distance })
+                }
+              />
+            </View>
+            <TouchableOpacity
+              className="rounded-lg py-2 bg-indigo-500"
+              onPress={saveCustomDraft}
+            >
+              <Text className="text-white text-center font-medium">
+                Save Custom Profile
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
       {/* Control Buttons */}
       <View className="mx-5 mb-5">
         <View className="flex-row justify-between mb-2">
           <TouchableOpacity
             className={`flex-1 mr-1 rounded-lg py-3 ${
-              isTracking || locationPermission !== "granted"
+              isTracking || replay || locationPermission !== "granted"
                 ? "bg-gray-300"
                 : "bg-green-500"
             }`}
             onPress={startTracking}
-            disabled={isTracking || locationPermission !== "granted"}
+            disabled={
+              isTracking || !!replay || locationPermission !== "granted"
+            }
           >
             <Text className="text-white text-center font-medium">
               Start Tracking
@@ -600,7 +1350,7 @@ export default function App() {
             className={`flex-1 mr-1 rounded-lg py-3 ${
               !isOnline ? "bg-gray-300" : "bg-blue-500"
             }`}
-            onPress={syncData}
+            onPress={() => syncData(true)}
             disabled={!isOnline}
           >
             <Text className="text-white text-center font-medium">Sync Now</Text>
@@ -614,6 +1364,45 @@ export default function App() {
             </Text>
           </TouchableOpacity>
         </View>
+        <View className="flex-row justify-between mb-2">
+          <TouchableOpacity
+            className={`flex-1 mr-1 rounded-lg py-3 ${
+              replay
+                ? "bg-red-500"
+                : isTracking
+                ? "bg-gray-300"
+                : "bg-indigo-500"
+            }`}
+            onPress={replay ? stopReplay : replayTrack}
+            disabled={!replay && isTracking}
+          >
+            <Text className="text-white text-center font-medium">
+              {replay && replayProgress
+                ? `Stop Replay (${replayProgress.done}/${replayProgress.total})`
+                : "Replay Track"}
+            </Text>
+          </TouchableOpacity>
+          <View className="flex-1 ml-1 flex-row">
+            {REPLAY_SPEEDS.map((speed, index) => (
+              <TouchableOpacity
+                key={speed}
+                className={`flex-1 rounded-lg py-3 ${index > 0 ? "ml-1" : ""} ${
+                  replaySpeed === speed ? "bg-indigo-500" : "bg-gray-200"
+                }`}
+                onPress={() => setReplaySpeed(speed)}
+                disabled={!!replay}
+              >
+                <Text
+                  className={`text-center font-medium ${
+                    replaySpeed === speed ? "text-white" : "text-gray-700"
+                  }`}
+                >
+                  {speed}x
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
         <View className="flex-row justify-between">
           <TouchableOpacity
             className="flex-1 mr-1 rounded-lg py-3 bg-orange-500"
@@ -630,6 +1419,194 @@ export default function App() {
             <Text className="text-white text-center font-medium">Refresh</Text>
           </TouchableOpacity>
         </View>
+        <View className="flex-row justify-between mt-2">
+          <TouchableOpacity
+            className="flex-1 mr-1 rounded-lg py-3 bg-teal-600"
+            onPress={() => setScreen("track")}
+            disabled={!database}
+          >
+            <Text className="text-white text-center font-medium">
+              View Track
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            className="flex-1 mx-1 rounded-lg py-3 bg-gray-700"
+            onPress={() => setScreen("logs")}
+            disabled={!database}
+          >
+            <Text className="text-white text-center font-medium">Logs</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            className="flex-1 ml-1 rounded-lg py-3 bg-gray-700"
+            onPress={() => setScreen("settings")}
+          >
+            <Text className="text-white text-center font-medium">Settings</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+
+      {/* Export */}
+      <View className="bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
+        <Text className="text-base font-bold mb-3 text-gray-800 text-center">
+          Export
+        </Text>
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          className="mb-3"
+        >
+          {[
+            {
+              id: null,
+              label: STATS_RANGES.find((item) => item.key === statsRange).label,
+            },
+            ...recentTrips.map((trip) => ({
+              id: trip.id,
+              label: `Trip #${trip.id} · ${new Date(
+                trip.started_at
+              ).toLocaleDateString()}`,
+            })),
+          ].map((option) => (
+            <TouchableOpacity
+              key={option.id ?? "range"}
+              className={`px-3 py-1 mr-2 rounded-full ${
+                exportTripId === option.id ? "bg-teal-600" : "bg-gray-200"
+              }`}
+              onPress={() => setExportTripId(option.id)}
+            >
+              <Text
+                className={`text-xs font-medium ${
+                  exportTripId === option.id ? "text-white" : "text-gray-700"
+                }`}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <View className="flex-row justify-between">
+          {Object.keys(EXPORT_FORMATS).map((format, index) => (
+            <TouchableOpacity
+              key={format}
+              className={`flex-1 rounded-lg py-3 bg-teal-600 ${
+                index > 0 ? "ml-1" : ""
+              }`}
+              onPress={() => exportData(format)}
+            >
+              <Text className="text-white text-center font-medium">
+                {EXPORT_FORMATS[format].label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      </View>
+
+      {/* Geofences */}
+      <View className="bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
+        <View className="flex-row justify-between items-center mb-3">
+          <Text className="text-base font-bold text-gray-800">
+            Geofences ({geofences.length})
+          </Text>
+          <TouchableOpacity
+            className="rounded-lg px-3 py-2 bg-teal-600"
+            onPress={addGeofenceHere}
+          >
+            <Text className="text-white text-xs font-medium">Add Here</Text>
+          </TouchableOpacity>
+        </View>
+
+        {geofences.length > 0 ? (
+          geofences.map((geofence) => (
+            <TouchableOpacity
+              key={geofence.id}
+              className="flex-row justify-between items-center py-2 border-b border-gray-200"
+              onLongPress={() => confirmRemoveGeofence(geofence)}
+            >
+              <View>
+                <Text className="text-sm text-gray-800">{geofence.name}</Text>
+                <Text className="text-xs text-gray-500">
+                  {Math.round(geofence.radius)} m ·{" "}
+                  {geofence.source === "server" ? "From server" : "Local"}
+                </Text>
+              </View>
+              <View
+                className={`px-3 py-1 rounded-full ${
+                  geofence.inside ? "bg-green-500" : "bg-gray-300"
+                }`}
+              >
+                <Text className="text-white text-xs font-medium">
+                  {geofence.inside ? "INSIDE" : "OUTSIDE"}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          ))
+        ) : (
+          <Text className="text-xs text-gray-500 text-center py-2">
+            No geofences yet
+          </Text>
+        )}
+
+        {geofenceEvents.length > 0 && (
+          <View className="mt-3">
+            {geofenceEvents.map((event) => (
+              <Text key={event.id} className="text-xs text-gray-600 mb-1">
+                {formatDate(event.timestamp)} · {event.event_type} ·{" "}
+                {event.name}
+              </Text>
+            ))}
+          </View>
+        )}
+
+        <Text className="text-xs text-gray-500 text-center mt-3">
+          Long-press a geofence to remove it
+        </Text>
+      </View>
+
+      {/* Privacy Zones */}
+      <View className="bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
+        <View className="flex-row justify-between items-center mb-3">
+          <Text className="text-base font-bold text-gray-800">
+            Privacy Zones ({privacyZones.length})
+          </Text>
+          <TouchableOpacity
+            className="rounded-lg px-3 py-2 bg-teal-600"
+            onPress={addPrivacyZoneHere}
+          >
+            <Text className="text-white text-xs font-medium">Add Here</Text>
+          </TouchableOpacity>
+        </View>
+
+        {privacyZones.length > 0 ? (
+          privacyZones.map((zone) => (
+            <TouchableOpacity
+              key={zone.id}
+              className="flex-row justify-between items-center py-2 border-b border-gray-200"
+              onPress={() => cyclePrivacyMode(zone)}
+              onLongPress={() => confirmRemovePrivacyZone(zone)}
+            >
+              <View>
+                <Text className="text-sm text-gray-800">{zone.name}</Text>
+                <Text className="text-xs text-gray-500">
+                  {Math.round(zone.radius)} m
+                </Text>
+              </View>
+              <View className="px-3 py-1 rounded-full bg-gray-600">
+                <Text className="text-white text-xs font-medium">
+                  {PRIVACY_MODES[zone.mode]}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          ))
+        ) : (
+          <Text className="text-xs text-gray-500 text-center py-2">
+            No privacy zones yet
+          </Text>
+        )}
+
+        <Text className="text-xs text-gray-500 text-center mt-3">
+          Points inside a zone are never uploaded as recorded. Tap a zone to
+          change its mode, long-press to remove it
+        </Text>
       </View>
 
       {/* Location Data Table */}
@@ -655,14 +1632,27 @@ export default function App() {
               No location data yet
             </Text>
             <Text className="text-xs text-gray-500 text-center">
-              Start tracking to capture locations every 40 seconds
+              Start tracking to capture locations
+              {profile ? ` (${describeProfile(profile)})` : ""}
             </Text>
           </View>
         )}
 
+        <TouchableOpacity
+          className="mt-3 rounded-lg py-2 bg-gray-100"
+          onPress={() => setScreen("history")}
+          disabled={!database}
+        >
+          <Text className="text-blue-500 text-center font-medium">
+            View History
+          </Text>
+        </TouchableOpacity>
+
         <View className="mt-4 pt-3 border-t border-gray-200">
           <Text className="text-xs text-gray-600 text-center mb-1">
-            Locations update every 40 seconds when tracking is active
+            Locations update{" "}
+            {profile ? `every ${describeProfile(profile)}` : "periodically"}{" "}
+            when tracking is active
           </Text>
           <Text className="text-xs text-gray-600 text-center">
             Green check = Synced, Red dot = Pending sync
@@ -673,7 +1663,8 @@ export default function App() {
       {/* Info Panel */}
       <View className="bg-blue-50 mx-5 mb-8 rounded-xl p-4 border border-blue-100">
         <Text className="text-xs text-blue-700 mb-1">
-          📍 Tracking: Every 40 seconds when active
+          📍 Tracking: {profile ? profile.label : "Balanced"} profile when
+          active
         </Text>
         <Text className="text-xs text-blue-700 mb-1">
           💾 Storage: SQLite database (offline capable)
@@ -688,62 +1679,3 @@ export default function App() {
     </ScrollView>
   );
 }
-
-// Define background location task
-TaskManager.defineTask(
-  LOCATION_TASK_NAME,
-  async ({ data: { locations }, error }) => {
-    if (error) {
-      console.error("Location task error:", error);
-      return;
-    }
-
-    if (locations && locations.length > 0) {
-      const location = locations[0];
-      console.log(
-        `[BACKGROUND] Location captured: ${location.coords.latitude}, ${location.coords.longitude}`
-      );
-
-      // Get database instance
-      const db = await SQLite.openDatabaseAsync("tracker.db");
-
-      // Save location
-      await db.runAsync(
-        `INSERT INTO locations 
-      (latitude, longitude, accuracy, altitude, speed, heading, timestamp, synced) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          location.coords.latitude,
-          location.coords.longitude,
-          location.coords.accuracy,
-          location.coords.altitude,
-          location.coords.speed,
-          location.coords.heading,
-          location.timestamp,
-          0,
-        ]
-      );
-
-      // Check network and sync if available
-      const netInfo = await NetInfo.fetch();
-      if (netInfo.isConnected) {
-        console.log("[BACKGROUND] Network available, data saved");
-      }
-    }
-  }
-);
-
-// Define background sync task
-TaskManager.defineTask(SYNC_TASK_NAME, async () => {
-  const netInfo = await NetInfo.fetch();
-
-  if (netInfo.isConnected) {
-    const db = await SQLite.openDatabaseAsync("tracker.db");
-    console.log("[BACKGROUND SYNC] Running sync task");
-
-    // Your sync logic here
-    return BackgroundFetch.BackgroundFetchResult.NewData;
-  }
-
-  return BackgroundFetch.BackgroundFetchResult.NoData;
-});
\ No newline at end of file
@@ -0,0 +1,21 @@
+// AsyncStorage of the simulated device (see jest.setup.js) for Node tests
+const items = () => {
+  global.__device ??= {};
+  global.__device.asyncStorage ??= new Map();
+  return global.__device.asyncStorage;
+};
+
+const AsyncStorage = {
+  getItem: async (key) => (items().has(key) ? items().get(key) : null),
+  setItem: async (key, value) => {
+    items().set(key, String(value));
+  },
+  removeItem: async (key) => {
+    items().delete(key);
+  },
+  clear: async () => {
+    items().clear();
+  },
+};
+
+module.exports = { __esModule: true, default: AsyncStorage };
@@ -0,0 +1,13 @@
+// NetInfo for Node tests: online over Wi-Fi unless a test sets another state
+// with __setState
+let state = { isConnected: true, type: "wifi" };
+
+const NetInfo = {
+  fetch: async () => state,
+  addEventListener: () => () => {},
+  __setState: (next) => {
+    state = next;
+  },
+};
+
+module.exports = { __esModule: true, default: NetInfo };
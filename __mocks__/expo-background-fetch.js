@@ -0,0 +1,11 @@
+const TaskManager = require("expo-task-manager");
+
+module.exports = {
+  BackgroundFetchResult: { NoData: 1, NewData: 2, Failed: 3 },
+  registerTaskAsync: async (name, options) => {
+    TaskManager.__registered.add(name);
+  },
+  unregisterTaskAsync: async (name) => {
+    TaskManager.__registered.delete(name);
+  },
+};
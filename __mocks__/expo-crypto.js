@@ -0,0 +1,5 @@
+const crypto = require("crypto");
+
+module.exports = {
+  getRandomBytes: (count) => new Uint8Array(crypto.randomBytes(count)),
+};
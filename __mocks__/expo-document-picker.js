@@ -0,0 +1,4 @@
+// Document picker for Node tests: the user always cancels
+module.exports = {
+  getDocumentAsync: async () => ({ canceled: true, assets: null }),
+};
@@ -0,0 +1,57 @@
+// expo-file-system for Node tests. Files are kept as text on the simulated
+// device (see jest.setup.js), so tests can read back what the app wrote.
+const files = () => {
+  global.__device ??= {};
+  global.__device.files ??= new Map();
+  return global.__device.files;
+};
+
+class File {
+  constructor(...parts) {
+    this.uri = parts.join("/");
+  }
+
+  get exists() {
+    return files().has(this.uri);
+  }
+
+  create({ overwrite = false } = {}) {
+    if (this.exists && !overwrite) {
+      throw new Error(`File '${this.uri}' already exists`);
+    }
+    files().set(this.uri, "");
+  }
+
+  write(content) {
+    files().set(this.uri, content);
+  }
+
+  // An append-only handle, as export.js uses it
+  open() {
+    const decoder = new TextDecoder();
+    return {
+      writeBytes: (bytes) => {
+        files().set(
+          this.uri,
+          (files().get(this.uri) ?? "") + decoder.decode(bytes)
+        );
+      },
+      close: () => {},
+    };
+  }
+
+  textSync() {
+    if (!this.exists) throw new Error(`File '${this.uri}' does not exist`);
+    return files().get(this.uri);
+  }
+
+  async text() {
+    return this.textSync();
+  }
+
+  delete() {
+    files().delete(this.uri);
+  }
+}
+
+module.exports = { File, Paths: { cache: "/cache" } };
@@ -0,0 +1,37 @@
+// expo-location for Node tests: permissions granted, no real updates. The
+// options of the running location updates and geofences are kept so tests
+// can inspect them.
+const state = {
+  permission: "granted",
+  updates: new Map(),
+  geofencing: new Map(),
+};
+
+module.exports = {
+  Accuracy: {
+    Lowest: 1,
+    Low: 2,
+    Balanced: 3,
+    High: 4,
+    Highest: 5,
+    BestForNavigation: 6,
+  },
+  GeofencingEventType: { Enter: 1, Exit: 2 },
+  getForegroundPermissionsAsync: async () => ({ status: state.permission }),
+  getBackgroundPermissionsAsync: async () => ({ status: state.permission }),
+  startLocationUpdatesAsync: async (name, options) => {
+    state.updates.set(name, options);
+  },
+  stopLocationUpdatesAsync: async (name) => {
+    state.updates.delete(name);
+  },
+  hasStartedLocationUpdatesAsync: async (name) => state.updates.has(name),
+  startGeofencingAsync: async (name, regions) => {
+    state.geofencing.set(name, regions);
+  },
+  stopGeofencingAsync: async (name) => {
+    state.geofencing.delete(name);
+  },
+  hasStartedGeofencingAsync: async (name) => state.geofencing.has(name),
+  __state: state,
+};
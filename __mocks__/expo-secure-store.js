@@ -0,0 +1,17 @@
+// Secure store of the simulated device (see jest.setup.js) for Node tests
+const items = () => {
+  global.__device ??= {};
+  global.__device.secureStore ??= new Map();
+  return global.__device.secureStore;
+};
+
+module.exports = {
+  AFTER_FIRST_UNLOCK: "AFTER_FIRST_UNLOCK",
+  getItemAsync: async (key) => (items().has(key) ? items().get(key) : null),
+  setItemAsync: async (key, value) => {
+    items().set(key, value);
+  },
+  deleteItemAsync: async (key) => {
+    items().delete(key);
+  },
+};
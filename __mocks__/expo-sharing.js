@@ -0,0 +1,14 @@
+// expo-sharing for Node tests: the files handed to the share sheet are kept
+// so tests can inspect them
+const state = {
+  available: true,
+  shared: [],
+};
+
+module.exports = {
+  isAvailableAsync: async () => state.available,
+  shareAsync: async (url, options) => {
+    state.shared.push({ url, options });
+  },
+  __state: state,
+};
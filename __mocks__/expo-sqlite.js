@@ -0,0 +1,297 @@
+// Stand-in for expo-sqlite in Node tests, backed by sql.js (SQLite compiled
+// to WebAssembly). Implements the async database API the app uses, along
+// with the parts of expo-sqlite's behaviour the app depends on:
+// - Databases are files on the simulated device (see jest.setup.js). Opens
+//   of the same name share their data; ":memory:" always opens a new one.
+// - Every open is a connection of its own, and withExclusiveTransactionAsync
+//   runs its task on a new connection, as expo-sqlite does.
+// - While a connection is in a transaction, statements of other connections
+//   on the same file wait for it to end. They fail with "database is locked"
+//   after LOCK_TIMEOUT_MS, SQLite's busy timeout.
+// - __setSQLCipher(true) makes this a SQLCipher build: PRAGMA cipher_version
+//   answers, a file is bound to the key of the connection that first writes
+//   it, connections with another key fail with "file is not a database", and
+//   ATTACH ... KEY '' and sqlcipher_export() work.
+const initSqlJs = require("sql.js");
+
+const LOCK_TIMEOUT_MS = 1000;
+
+const CIPHER_VERSION = "4.6.1 community";
+const KEY_PRAGMA = /^\s*PRAGMA key = "x'([0-9a-f]+)'"\s*;?\s*$/i;
+const CIPHER_VERSION_PRAGMA = /^\s*PRAGMA cipher_version\s*;?\s*$/i;
+const ATTACH_PLAIN = /^\s*ATTACH DATABASE \? AS (\w+) KEY ''\s*$/i;
+const EXPORT = /^\s*SELECT sqlcipher_export\('(\w+)', '(\w+)'\)\s*;?\s*$/i;
+const BEGIN = /^\s*BEGIN\b/i;
+const END = /^\s*(COMMIT|END|ROLLBACK)\b/i;
+
+let sqlPromise = null;
+
+const device = () => {
+  global.__device ??= {};
+  global.__device.databases ??= new Map();
+  return global.__device;
+};
+
+// expo-sqlite takes one value or an array of values; undefined binds NULL
+const toParams = (params) =>
+  (params === undefined ? [] : Array.isArray(params) ? params : [params]).map(
+    (value) => (value === undefined ? null : value)
+  );
+
+const hasContent = (raw) => {
+  const [result] = raw.exec(
+    "SELECT (SELECT COUNT(*) FROM main.sqlite_master) + (SELECT user_version FROM pragma_user_version)"
+  );
+  return result.values[0][0] > 0;
+};
+
+// The schema and rows of the `source` schema copied into `target`, like
+// SQLCipher's sqlcipher_export(). user_version is not copied.
+const exportSchema = (raw, target, source) => {
+  const [objects] = raw.exec(
+    `SELECT type, name, sql FROM ${source}.sqlite_master
+    WHERE sql IS NOT NULL AND name NOT LIKE 'sqlite_%'
+    ORDER BY type = 'table' DESC, rowid`
+  );
+  if (!objects) return;
+
+  for (const [type, name, sql] of objects.values) {
+    raw.exec(
+      sql.replace(
+        /^(CREATE (?:UNIQUE )?(?:TABLE|INDEX|VIEW|TRIGGER) (?:IF NOT EXISTS )?)/i,
+        `$1${target}.`
+      )
+    );
+    if (type === "table") {
+      raw.exec(
+        `INSERT INTO ${target}."${name}" SELECT * FROM ${source}."${name}"`
+      );
+    }
+  }
+};
+
+class SQLiteDatabase {
+  constructor(name, file) {
+    this.databasePath = `/data/SQLite/${name}`;
+    this.name = name;
+    this.file = file;
+    this.key = null;
+    this.closed = false;
+  }
+
+  get raw() {
+    return this.file.raw;
+  }
+
+  // Wait for transactions of other connections, then check this
+  // connection's key against the file's. Returns whether a BEGIN took the
+  // file for this connection.
+  async access(source) {
+    if (this.closed) throw new Error("Access to closed resource");
+
+    const { file } = this;
+    const started = Date.now();
+    while (file.owner && file.owner !== this) {
+      if (Date.now() - started >= LOCK_TIMEOUT_MS) {
+        throw new Error("database is locked");
+      }
+      await Promise.race([
+        file.released,
+        new Promise((resolve) => setTimeout(resolve, LOCK_TIMEOUT_MS)),
+      ]);
+    }
+
+    // BEGIN doesn't read the file; the key may follow it. It takes the file
+    // before returning, so two connections can't both begin.
+    if (BEGIN.test(source)) {
+      if (file.owner === this) return false;
+      file.owner = this;
+      file.released = new Promise((resolve) => {
+        file.release = resolve;
+      });
+      return true;
+    }
+    if (device().sqlcipher) {
+      if (file.key !== undefined && file.key !== this.key) {
+        throw new Error("file is not a database");
+      }
+    }
+    return false;
+  }
+
+  // Track transaction ends and bind a new file to the key that wrote it
+  settle(source) {
+    const { file } = this;
+    if (END.test(source)) this.release();
+    if (file.key === undefined && hasContent(file.raw)) file.key = this.key;
+  }
+
+  release() {
+    if (this.file.owner !== this) return;
+    this.file.owner = null;
+    this.file.release();
+  }
+
+  async execAsync(source) {
+    const key = source.match(KEY_PRAGMA);
+    if (key) {
+      // Builds without SQLCipher ignore the pragma
+      if (device().sqlcipher) this.key = key[1];
+      return;
+    }
+
+    const began = await this.access(source);
+    const exported = source.match(EXPORT);
+    if (exported) {
+      if (!device().sqlcipher) {
+        throw new Error("no such function: sqlcipher_export");
+      }
+      exportSchema(this.raw, exported[1], exported[2]);
+    } else {
+      try {
+        this.raw.exec(source);
+      } catch (error) {
+        if (began) this.release();
+        throw error;
+      }
+    }
+    this.settle(source);
+  }
+
+  async runAsync(source, params) {
+    await this.access(source);
+    const attached = source.match(ATTACH_PLAIN);
+    if (attached) {
+      const [path] = toParams(params);
+      const name = path.replace(/^.*\//, "");
+      const plain = await openFile(name);
+      if (device().sqlcipher && plain.key) {
+        throw new Error("file is not a database");
+      }
+      this.raw.exec(
+        `ATTACH DATABASE '/${plain.raw.filename}' AS ${attached[1]}`
+      );
+      return { lastInsertRowId: 0, changes: 0 };
+    }
+
+    this.raw.run(source, toParams(params));
+    const changes = this.raw.getRowsModified();
+    const [result] = this.raw.exec("SELECT last_insert_rowid()");
+    this.settle(source);
+    return { lastInsertRowId: result.values[0][0], changes };
+  }
+
+  async getAllAsync(source, params) {
+    if (CIPHER_VERSION_PRAGMA.test(source)) {
+      if (this.closed) throw new Error("Access to closed resource");
+      return device().sqlcipher ? [{ cipher_version: CIPHER_VERSION }] : [];
+    }
+
+    await this.access(source);
+    const statement = this.raw.prepare(source);
+    try {
+      statement.bind(toParams(params));
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+      this.settle(source);
+    }
+  }
+
+  async getFirstAsync(source, params) {
+    const [row] = await this.getAllAsync(source, params);
+    return row ?? null;
+  }
+
+  async withTransactionAsync(task) {
+    await this.execAsync("BEGIN");
+    try {
+      await task();
+      await this.execAsync("COMMIT");
+    } catch (error) {
+      await this.execAsync("ROLLBACK");
+      throw error;
+    }
+  }
+
+  // Like expo-sqlite: a new connection to the same file runs a deferred
+  // transaction, so it starts out without this connection's key
+  async withExclusiveTransactionAsync(task) {
+    const txn = await openDatabaseAsync(this.name);
+    let failure = null;
+    try {
+      await txn.execAsync("BEGIN");
+      await task(txn);
+      await txn.execAsync("COMMIT");
+    } catch (error) {
+      failure = error;
+      if (txn.file.owner === txn) await txn.execAsync("ROLLBACK");
+    } finally {
+      await txn.closeAsync();
+    }
+    if (failure) throw failure;
+  }
+
+  // The data stays available to the next open of the same name
+  async closeAsync() {
+    if (this.closed) return;
+    if (this.file.owner === this) {
+      this.raw.exec("ROLLBACK");
+      this.release();
+    }
+    this.closed = true;
+    this.file.connections -= 1;
+  }
+}
+
+const openFile = async (name) => {
+  if (!sqlPromise) sqlPromise = initSqlJs();
+  const SQL = await sqlPromise;
+
+  const create = () => ({
+    raw: new SQL.Database(),
+    key: undefined,
+    owner: null,
+    connections: 0,
+  });
+  if (name === ":memory:") return create();
+
+  const { databases } = device();
+  if (!databases.has(name)) databases.set(name, create());
+  return databases.get(name);
+};
+
+const openDatabaseAsync = async (name) => {
+  const file = await openFile(name);
+  file.connections += 1;
+  return new SQLiteDatabase(name, file);
+};
+
+// Like expo-sqlite, an open database can't be deleted
+const deleteDatabaseAsync = async (name) => {
+  const { databases } = device();
+  const file = databases.get(name);
+  if (!file) return;
+  if (file.connections > 0) {
+    throw new Error(
+      `Unable to delete database '${name}' that is currently open`
+    );
+  }
+  file.raw.close();
+  databases.delete(name);
+};
+
+// Test helpers
+const __setSQLCipher = (enabled) => {
+  device().sqlcipher = enabled;
+};
+const __getDatabaseKey = (name) => device().databases.get(name)?.key;
+
+module.exports = {
+  openDatabaseAsync,
+  deleteDatabaseAsync,
+  __setSQLCipher,
+  __getDatabaseKey,
+};
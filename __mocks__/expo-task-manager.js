@@ -0,0 +1,14 @@
+// Task registry for Node tests. Background fetch registrations are recorded
+// here too; __runTask calls a defined task like the OS would.
+const tasks = new Map();
+const registered = new Set();
+
+module.exports = {
+  defineTask: (name, task) => {
+    tasks.set(name, task);
+  },
+  isTaskDefined: (name) => tasks.has(name),
+  isTaskRegisteredAsync: async (name) => registered.has(name),
+  __registered: registered,
+  __runTask: (name, body = {}) => tasks.get(name)(body),
+};
@@ -0,0 +1,7 @@
+// The parts of react-native the non-UI modules use
+module.exports = {
+  Platform: {
+    OS: "android",
+    select: (specifics) => specifics.android ?? specifics.default,
+  },
+};
@@ -0,0 +1,200 @@
+import * as SecureStore from "expo-secure-store";
+import {
+  AuthError,
+  getCredentials,
+  getAuthStatus,
+  authHeaders,
+  registerDevice,
+  refreshCredentials,
+} from "../src/auth";
+
+const SERVER_URL = "http://sync.test";
+
+let requests;
+// Answers POST bodies by path with { status, body }
+let respond;
+
+const reply = ({ status = 200, body = {} }) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+});
+
+const storeCredentials = (credentials) =>
+  SecureStore.setItemAsync("deviceCredentials", JSON.stringify(credentials));
+
+const CREDENTIALS = {
+  deviceId: "device-1",
+  driverId: "driver-1",
+  serverUrl: SERVER_URL,
+  token: "token-1",
+  refreshToken: "refresh-1",
+};
+
+beforeEach(() => {
+  requests = [];
+  respond = () => ({ status: 404 });
+  global.fetch = jest.fn(async (url, options) => {
+    const path = url.slice(SERVER_URL.length);
+    const body = JSON.parse(options.body);
+    requests.push({ path, body });
+    return reply(respond(path, body));
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("getAuthStatus explains why sync can't run", () => {
+  expect(getAuthStatus(null, SERVER_URL).state).toBe("unregistered");
+  expect(getAuthStatus(CREDENTIALS, "http://other.test").state).toBe(
+    "other-server"
+  );
+  expect(getAuthStatus({ ...CREDENTIALS, token: null }, SERVER_URL).state).toBe(
+    "expired"
+  );
+  expect(getAuthStatus(CREDENTIALS, SERVER_URL)).toEqual({
+    state: "registered",
+    message: "Registered as device-1",
+  });
+  expect(authHeaders(CREDENTIALS)).toEqual({
+    Authorization: "Bearer token-1",
+    "X-Device-Id": "device-1",
+  });
+});
+
+describe("registerDevice", () => {
+  beforeEach(() => {
+    respond = () => ({
+      body: { device_id: "device-2", token: "token-2", refresh_token: "r-2" },
+    });
+  });
+
+  test("stores the credentials the server returns", async () => {
+    const credentials = await registerDevice(SERVER_URL, "driver-1");
+
+    expect(requests[0]).toEqual({
+      path: "/devices/register",
+      body: { driver_id: "driver-1", platform: "android" },
+    });
+    expect(credentials).toMatchObject({
+      deviceId: "device-2",
+      serverUrl: SERVER_URL,
+      token: "token-2",
+      refreshToken: "r-2",
+    });
+    expect(await getCredentials()).toEqual(credentials);
+  });
+
+  test("reuses the device id of an earlier registration", async () => {
+    await storeCredentials(CREDENTIALS);
+    await registerDevice(SERVER_URL, "driver-1");
+    await storeCredentials({ ...CREDENTIALS, serverUrl: "http://other.test" });
+    await registerDevice(SERVER_URL, "driver-1");
+
+    expect(requests[0].body.device_id).toBe("device-1");
+    expect(requests[1].body.device_id).toBeUndefined();
+  });
+
+  test("a refusal is an AuthError and keeps the stored credentials", async () => {
+    await storeCredentials(CREDENTIALS);
+    respond = () => ({ status: 403 });
+
+    await expect(registerDevice(SERVER_URL, "driver-1")).rejects.toThrow(
+      AuthError
+    );
+    expect(await getCredentials()).toEqual(CREDENTIALS);
+  });
+
+  test("incomplete credentials are not stored", async () => {
+    respond = () => ({ body: { device_id: "device-2", token: "token-2" } });
+
+    await expect(registerDevice(SERVER_URL, "driver-1")).rejects.toThrow(
+      "incomplete"
+    );
+    expect(await getCredentials()).toBeNull();
+  });
+});
+
+describe("refreshCredentials", () => {
+  beforeEach(async () => {
+    await storeCredentials(CREDENTIALS);
+  });
+
+  test("updates the credentials in place and in the store", async () => {
+    respond = () => ({
+      body: { token: "token-2", refresh_token: "refresh-2" },
+    });
+    const credentials = await getCredentials();
+
+    expect(await refreshCredentials(credentials)).toBe(credentials);
+
+    expect(requests).toEqual([
+      {
+        path: "/devices/refresh",
+        body: { device_id: "device-1", refresh_token: "refresh-1" },
+      },
+    ]);
+    expect(credentials).toMatchObject({
+      token: "token-2",
+      refreshToken: "refresh-2",
+    });
+    expect(await getCredentials()).toEqual(credentials);
+  });
+
+  test("concurrent refreshes share one request", async () => {
+    respond = () => ({
+      body: { token: "token-2", refresh_token: "refresh-2" },
+    });
+    const sync = await getCredentials();
+    const live = await getCredentials();
+
+    await Promise.all([refreshCredentials(sync), refreshCredentials(live)]);
+
+    expect(requests).toHaveLength(1);
+    expect(sync.token).toBe("token-2");
+    expect(live).toEqual(sync);
+  });
+
+  test("a refused refresh token pauses sync", async () => {
+    respond = () => ({ status: 401 });
+
+    await expect(refreshCredentials(await getCredentials())).rejects.toThrow(
+      AuthError
+    );
+    expect(await getCredentials()).toEqual({ ...CREDENTIALS, token: null });
+  });
+
+  test("a refresh token another runtime rotated doesn't pause sync", async () => {
+    const stale = await getCredentials();
+    // The background task refreshed first; the server only takes refresh-2
+    const rotated = {
+      ...CREDENTIALS,
+      token: "token-2",
+      refreshToken: "refresh-2",
+    };
+    await storeCredentials(rotated);
+    respond = () => ({ status: 401 });
+
+    expect(await refreshCredentials(stale)).toEqual(rotated);
+    expect(await getCredentials()).toEqual(rotated);
+  });
+
+  test("network errors leave the credentials alone", async () => {
+    global.fetch = jest.fn(async () => {
+      throw new TypeError("Network request failed");
+    });
+
+    await expect(refreshCredentials(await getCredentials())).rejects.toThrow(
+      "Network request failed"
+    );
+    expect(await getCredentials()).toEqual(CREDENTIALS);
+
+    global.fetch = jest.fn(async () => reply({ status: 503 }));
+    await expect(refreshCredentials(await getCredentials())).rejects.toThrow(
+      "503"
+    );
+    expect(await getCredentials()).toEqual(CREDENTIALS);
+  });
+});
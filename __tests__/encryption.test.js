@@ -0,0 +1,245 @@
+// Opening the database in a SQLCipher build (see the expo-sqlite mock), and
+// in builds without it. Modules are fresh in every test, so each test opens
+// the database like a newly started app.
+import { DB_NAME, PLAIN_DB_NAME } from "../src/config";
+import { SCHEMA_VERSION, getSchemaVersion, migrate } from "../src/migrations";
+
+let SQLite;
+let SecureStore;
+let openDatabase;
+let Encryption;
+
+const BASELINE_SCHEMA = `
+  CREATE TABLE locations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    latitude REAL NOT NULL,
+    longitude REAL NOT NULL,
+    accuracy REAL,
+    altitude REAL,
+    speed REAL,
+    heading REAL,
+    timestamp INTEGER NOT NULL,
+    synced INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  CREATE TABLE sync_queue (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    table_name TEXT NOT NULL,
+    record_id INTEGER NOT NULL,
+    operation TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// A database of a build from before migrations and encryption existed
+const createBaselineDatabase = async (count) => {
+  const plain = await SQLite.openDatabaseAsync(PLAIN_DB_NAME);
+  await plain.execAsync(BASELINE_SCHEMA);
+  for (let index = 0; index < count; index++) {
+    await plain.runAsync(
+      "INSERT INTO locations (latitude, longitude, timestamp) VALUES (52.52, 13.405, ?)",
+      [1700000000000 + index * 10000]
+    );
+  }
+  await plain.closeAsync();
+};
+
+const tableNames = async (db) =>
+  (
+    await db.getAllAsync(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+    )
+  ).map(({ name }) => name);
+
+beforeEach(() => {
+  jest.resetModules();
+  SQLite = require("expo-sqlite");
+  SecureStore = require("expo-secure-store");
+  ({ openDatabase } = require("../src/db"));
+  Encryption = require("../src/encryption");
+  global.__DEV__ = false;
+});
+
+afterEach(() => {
+  global.__DEV__ = true;
+});
+
+describe("with SQLCipher", () => {
+  beforeEach(() => {
+    SQLite.__setSQLCipher(true);
+  });
+
+  test("a new database is encrypted with the stored key", async () => {
+    const db = await openDatabase();
+
+    const key = await SecureStore.getItemAsync("databaseKey");
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(SQLite.__getDatabaseKey(DB_NAME)).toBe(key);
+    expect(await tableNames(db)).toContain("locations");
+
+    // Exclusive transactions run on connections of their own
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync(
+        "INSERT INTO locations (latitude, longitude, timestamp) VALUES (52.52, 13.405, 1)"
+      );
+    });
+    expect(
+      await db.getFirstAsync("SELECT COUNT(*) AS count FROM locations")
+    ).toEqual({ count: 1 });
+
+    const unkeyed = await SQLite.openDatabaseAsync(DB_NAME);
+    await expect(
+      unkeyed.getAllAsync("SELECT * FROM locations")
+    ).rejects.toThrow("file is not a database");
+  });
+
+  test("a later start opens the database with the same key", async () => {
+    const db = await openDatabase();
+    await db.runAsync(
+      "INSERT INTO locations (latitude, longitude, timestamp) VALUES (52.52, 13.405, 1)"
+    );
+
+    jest.resetModules();
+    const reopened = await require("../src/db").openDatabase();
+
+    expect(reopened).not.toBe(db);
+    expect(
+      await reopened.getFirstAsync("SELECT COUNT(*) AS count FROM locations")
+    ).toEqual({ count: 1 });
+  });
+
+  test("a lost key fails to open and leaves the database alone", async () => {
+    await openDatabase();
+    await SecureStore.deleteItemAsync("databaseKey");
+
+    jest.resetModules();
+    await expect(require("../src/db").openDatabase()).rejects.toMatchObject({
+      name: "DatabaseKeyError",
+    });
+    expect(SQLite.__getDatabaseKey(DB_NAME)).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test("two runtimes opening at once end up with the same key", async () => {
+    // The UI and a background task, starting together on a new install. The
+    // UI is slow to write to the keystore.
+    const runtime = (keystoreDelay) => {
+      let db;
+      jest.isolateModules(() => {
+        const store = require("expo-secure-store");
+        const write = store.setItemAsync;
+        store.setItemAsync = async (...args) => {
+          await new Promise((resolve) => setTimeout(resolve, keystoreDelay));
+          return write(...args);
+        };
+        db = require("../src/db");
+      });
+      return db;
+    };
+    const ui = runtime(50);
+    const task = runtime(0);
+
+    const [uiDb, taskDb] = await Promise.all([
+      ui.openDatabase(),
+      task.openDatabase(),
+    ]);
+
+    const key = await SecureStore.getItemAsync("databaseKey");
+    expect(SQLite.__getDatabaseKey(DB_NAME)).toBe(key);
+    await taskDb.runAsync(
+      "INSERT INTO locations (latitude, longitude, timestamp) VALUES (52.52, 13.405, 1)"
+    );
+    expect(
+      await uiDb.getFirstAsync("SELECT COUNT(*) AS count FROM locations")
+    ).toEqual({ count: 1 });
+  });
+
+  test("the plain database of a build from before migrations is moved in", async () => {
+    SQLite.__setSQLCipher(false);
+    await createBaselineDatabase(3);
+    SQLite.__setSQLCipher(true);
+
+    const db = await openDatabase();
+
+    const rows = await db.getAllAsync(
+      "SELECT timestamp FROM locations ORDER BY timestamp"
+    );
+    expect(rows.map(({ timestamp }) => timestamp)).toEqual([
+      1700000000000, 1700000010000, 1700000020000,
+    ]);
+    // Migrated from version 0 after the copy
+    expect(await getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+
+    const plain = await SQLite.openDatabaseAsync(PLAIN_DB_NAME);
+    expect(await tableNames(plain)).toEqual([]);
+  });
+
+  test("a migrated plain database keeps its schema version", async () => {
+    SQLite.__setSQLCipher(false);
+    const plain = await SQLite.openDatabaseAsync(PLAIN_DB_NAME);
+    await migrate(plain);
+    await plain.runAsync(
+      "INSERT INTO locations (latitude, longitude, timestamp, client_id) VALUES (52.52, 13.405, 1, 'a')"
+    );
+    await plain.closeAsync();
+    SQLite.__setSQLCipher(true);
+
+    const db = await openDatabase();
+
+    expect(await db.getAllAsync("SELECT client_id FROM locations")).toEqual([
+      { client_id: "a" },
+    ]);
+  });
+
+  test("an interrupted copy is redone", async () => {
+    SQLite.__setSQLCipher(false);
+    await createBaselineDatabase(2);
+    SQLite.__setSQLCipher(true);
+
+    // A copy that stopped after its first table, before the plain file was
+    // deleted
+    const key = await Encryption.getDatabaseKey();
+    const partial = await SQLite.openDatabaseAsync(DB_NAME);
+    await Encryption.unlockDatabase(partial, key);
+    await partial.execAsync(BASELINE_SCHEMA.split(";")[0]);
+    await partial.closeAsync();
+
+    const db = await openDatabase();
+
+    expect(
+      await db.getFirstAsync("SELECT COUNT(*) AS count FROM locations")
+    ).toEqual({ count: 2 });
+  });
+
+  test("the plain database is only checked once", async () => {
+    await openDatabase();
+
+    jest.resetModules();
+    SQLite.__setSQLCipher(false);
+    await createBaselineDatabase(1);
+    SQLite.__setSQLCipher(true);
+    const db = await require("../src/db").openDatabase();
+
+    expect(
+      await db.getFirstAsync("SELECT COUNT(*) AS count FROM locations")
+    ).toEqual({ count: 0 });
+  });
+});
+
+describe("without SQLCipher", () => {
+  test("release builds refuse to open the database", async () => {
+    await expect(openDatabase()).rejects.toThrow(
+      Encryption.EncryptionUnavailableError
+    );
+  });
+
+  test("development builds use the plain database", async () => {
+    global.__DEV__ = true;
+    const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    const db = await openDatabase();
+
+    expect(db.databasePath).toMatch(new RegExp(`/${PLAIN_DB_NAME}$`));
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
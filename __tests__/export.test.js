@@ -0,0 +1,167 @@
+import * as SQLite from "expo-sqlite";
+import * as Sharing from "expo-sharing";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+import { startTrip } from "../src/trips";
+import { exportTrack, shareExport } from "../src/export";
+
+const START = 1700000000000;
+
+let db;
+let tripIds;
+
+const LATITUDES = [52.52, 52.521, 52.522, 52.523];
+
+const fix = (index, coords = {}) => ({
+  timestamp: START + index * 10000,
+  coords: {
+    latitude: LATITUDES[index],
+    longitude: 13.405,
+    accuracy: 5,
+    altitude: 34,
+    speed: 8.5,
+    heading: 90,
+    ...coords,
+  },
+});
+
+const exported = async (format, filters, options) => {
+  const result = await exportTrack(db, format, filters, options);
+  return { ...result, text: await result.file.text() };
+};
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+  await saveLocations(
+    db,
+    [fix(0), fix(1), fix(2, { altitude: null, speed: null }), fix(3)],
+    { filter: false }
+  );
+  // Two trips of two points each
+  tripIds = [await startTrip(db, START), await startTrip(db, START + 20000)];
+  await db.runAsync(
+    "UPDATE locations SET trip_id = CASE WHEN timestamp < ? THEN ? ELSE ? END",
+    [START + 20000, ...tripIds]
+  );
+  Sharing.__state.shared = [];
+});
+
+test("GPX keeps the fix details and starts a segment per trip", async () => {
+  const { text, count, file } = await exported("gpx", {}, { name: "A & B" });
+
+  expect(count).toBe(4);
+  expect(file.uri).toBe("/cache/mozility-track.gpx");
+  expect(text).toMatch(/^<\?xml/);
+  expect(text).toContain("<name>A &amp; B</name>");
+  expect(text.match(/<trkpt /g)).toHaveLength(4);
+  expect(text.match(/<trkseg>/g)).toHaveLength(2);
+  expect(text).toContain(
+    `<trkpt lat="52.52" lon="13.405"><ele>34</ele><time>${new Date(
+      START
+    ).toISOString()}</time><extensions><mt:accuracy>5</mt:accuracy>` +
+      "<mt:speed>8.5</mt:speed><mt:course>90</mt:course></extensions></trkpt>"
+  );
+  expect(text.trim()).toMatch(/<\/gpx>$/);
+});
+
+test("GeoJSON has the line and a feature per point", async () => {
+  const { text } = await exported("geojson");
+
+  const { type, features } = JSON.parse(text);
+  expect(type).toBe("FeatureCollection");
+  expect(features).toHaveLength(5);
+  expect(features[0].geometry).toEqual({
+    type: "LineString",
+    coordinates: [
+      [13.405, 52.52, 34],
+      [13.405, 52.521, 34],
+      [13.405, 52.522],
+      [13.405, 52.523, 34],
+    ],
+  });
+  expect(features[3].properties).toMatchObject({
+    altitude: null,
+    speed: null,
+    heading: 90,
+    trip_id: tripIds[1],
+    synced: false,
+  });
+});
+
+test("KML tracks keep one value per point in every array", async () => {
+  const { text } = await exported("kml");
+
+  expect(text.match(/<when>/g)).toHaveLength(4);
+  expect(text.match(/<gx:coord>/g)).toHaveLength(4);
+  expect(text).toContain("<gx:coord>13.405 52.522 0</gx:coord>");
+  const speeds = text.match(
+    /<gx:SimpleArrayData name="speed">([\s\S]*?)<\/gx:SimpleArrayData>/
+  )[1];
+  expect(speeds.match(/<gx:value>(.*?)<\/gx:value>/g)).toEqual([
+    "<gx:value>8.5</gx:value>",
+    "<gx:value>8.5</gx:value>",
+    "<gx:value></gx:value>",
+    "<gx:value>8.5</gx:value>",
+  ]);
+});
+
+test("CSV has a header and a row per point", async () => {
+  const { text } = await exported("csv", { tripId: tripIds[1] });
+
+  const lines = text.trim().split("\n");
+  expect(lines[0]).toBe(
+    "id,trip_id,timestamp,time,latitude,longitude,accuracy,altitude,speed,heading,synced"
+  );
+  expect(lines).toHaveLength(3);
+  expect(lines[1].split(",")).toEqual([
+    "3",
+    String(tripIds[1]),
+    String(START + 20000),
+    new Date(START + 20000).toISOString(),
+    "52.522",
+    "13.405",
+    "5",
+    "",
+    "",
+    "90",
+    "0",
+  ]);
+});
+
+test("exports the date range and file name asked for", async () => {
+  const { text, count, file } = await exported(
+    "csv",
+    { from: START + 10000, to: START + 20000 },
+    { fileName: "Trip #2 / today" }
+  );
+
+  expect(count).toBe(2);
+  expect(text.trim().split("\n")).toHaveLength(3);
+  expect(file.uri).toBe("/cache/Trip-2-today.csv");
+});
+
+test("unknown formats are refused", async () => {
+  await expect(exportTrack(db, "shp")).rejects.toThrow("Unknown export format");
+});
+
+test("shareExport hands the file to the share sheet", async () => {
+  const result = await exportTrack(db, "gpx");
+
+  await shareExport(result);
+
+  expect(Sharing.__state.shared).toEqual([
+    {
+      url: result.file.uri,
+      options: {
+        mimeType: "application/gpx+xml",
+        UTI: "com.topografix.gpx",
+        dialogTitle: "Export GPX",
+      },
+    },
+  ]);
+
+  Sharing.__state.available = false;
+  await expect(shareExport(result)).rejects.toThrow("not available");
+  Sharing.__state.available = true;
+});
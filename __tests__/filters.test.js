@@ -0,0 +1,159 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+import { LOCATION_FILTER } from "../src/config";
+import {
+  checkFix,
+  smoothFix,
+  recordRejection,
+  getRejectionCounts,
+} from "../src/filters";
+
+const START = 1700000000000;
+
+// A fix `meters` north of the previous point, `seconds` after it
+const fix = (meters, seconds, accuracy = 5) => ({
+  timestamp: START + seconds * 1000,
+  coords: {
+    latitude: 52.52 + meters / 111320,
+    longitude: 13.405,
+    accuracy,
+    altitude: null,
+    speed: null,
+    heading: null,
+  },
+});
+
+const previous = {
+  latitude: 52.52,
+  longitude: 13.405,
+  accuracy: 5,
+  timestamp: START,
+};
+
+describe("checkFix", () => {
+  test("lets plausible fixes through", () => {
+    expect(checkFix(fix(0, 0), null)).toBeNull();
+    expect(checkFix(fix(100, 10), previous)).toBeNull();
+  });
+
+  test("rejects inaccurate fixes", () => {
+    expect(checkFix(fix(100, 10, 500), previous)).toEqual({
+      reason: "accuracy",
+      message: "accuracy 500m > 100m",
+    });
+    expect(checkFix(fix(100, 10, null), previous)).toBeNull();
+  });
+
+  test("rejects jumps faster than maxSpeed within the window", () => {
+    expect(checkFix(fix(1000, 10), previous)).toMatchObject({
+      reason: "speed",
+    });
+    // Too long ago for the previous point to say anything
+    const later = (LOCATION_FILTER.maxSpeedWindowMs + 1000) / 1000;
+    expect(checkFix(fix(100000, later), previous)).toBeNull();
+  });
+
+  test("rejects jitter while standing still until the heartbeat", () => {
+    expect(checkFix(fix(2, 10), previous)).toMatchObject({
+      reason: "stationary",
+    });
+    const heartbeat = LOCATION_FILTER.stationaryHeartbeatMs / 1000;
+    expect(checkFix(fix(2, heartbeat), previous)).toBeNull();
+  });
+
+  test("uses the given thresholds", () => {
+    const config = { ...LOCATION_FILTER, maxAccuracy: 1000, minDistance: 0 };
+    expect(checkFix(fix(2, 10, 500), previous, config)).toBeNull();
+  });
+});
+
+describe("smoothFix", () => {
+  test("pulls a less accurate fix towards the previous point", () => {
+    const { latitude, longitude } = smoothFix(fix(100, 1, 20), previous);
+
+    expect(latitude).toBeGreaterThan(previous.latitude);
+    expect(latitude).toBeLessThan(fix(100, 1).coords.latitude);
+    expect(longitude).toBeCloseTo(previous.longitude, 9);
+  });
+
+  test("trusts the fix more the longer ago the previous point was", () => {
+    const soon = smoothFix(fix(100, 1, 20), previous);
+    const late = smoothFix(fix(100, 600, 20), previous);
+
+    expect(late.latitude).toBeGreaterThan(soon.latitude);
+  });
+
+  test("keeps the fix without a previous point or accuracy", () => {
+    const { latitude, longitude } = fix(100, 1).coords;
+    expect(smoothFix(fix(100, 1), null)).toEqual({ latitude, longitude });
+    expect(smoothFix(fix(100, 1, null), previous)).toEqual({
+      latitude,
+      longitude,
+    });
+  });
+});
+
+describe("rejections", () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await SQLite.openDatabaseAsync("test.db");
+    await migrate(db);
+  });
+
+  test("are counted per reason and logged", async () => {
+    await recordRejection(db, fix(0, 0), {
+      reason: "speed",
+      message: "too fast",
+    });
+    await recordRejection(db, fix(0, 1), {
+      reason: "speed",
+      message: "too fast",
+    });
+
+    expect(await getRejectionCounts(db)).toEqual({ speed: 2 });
+    expect(
+      await db.getAllAsync("SELECT level, message, context FROM app_logs")
+    ).toEqual([
+      {
+        level: "warn",
+        message: "Location rejected (speed): too fast",
+        context: null,
+      },
+      {
+        level: "warn",
+        message: "Location rejected (speed): too fast",
+        context: null,
+      },
+    ]);
+  });
+
+  test("are not stored when saving a batch", async () => {
+    const result = await saveLocations(db, [
+      fix(0, 0),
+      fix(0, 5, 500),
+      fix(5000, 10),
+      fix(1, 20),
+      fix(100, 30),
+    ]);
+
+    expect(result).toMatchObject({ saved: 2, rejected: 3 });
+    expect(await getRejectionCounts(db)).toEqual({
+      accuracy: 1,
+      speed: 1,
+      stationary: 1,
+    });
+  });
+
+  test("smoothing stores the smoothed position", async () => {
+    await saveLocations(db, [fix(0, 0), fix(100, 10, 20)], {
+      filter: { smoothing: true },
+    });
+
+    const [, smoothed] = await db.getAllAsync(
+      "SELECT latitude FROM locations ORDER BY timestamp"
+    );
+    expect(smoothed.latitude).toBeLessThan(fix(100, 10).coords.latitude);
+  });
+});
@@ -0,0 +1,214 @@
+import * as SQLite from "expo-sqlite";
+import * as Location from "expo-location";
+import { migrate } from "../src/migrations";
+import { GEOFENCE_DWELL_MS, GEOFENCE_MAX_REGIONS } from "../src/config";
+import {
+  getGeofences,
+  getGeofenceEvents,
+  addGeofence,
+  removeGeofence,
+  applyServerGeofences,
+  checkGeofences,
+  handleGeofencingEvent,
+  registerGeofences,
+} from "../src/geofences";
+
+const TASK_NAME = "geofencing-test";
+const DEPOT = {
+  id: "depot",
+  name: "Depot",
+  latitude: 52.52,
+  longitude: 13.405,
+  radius: 100,
+};
+const SITE = {
+  id: "site",
+  name: "Site",
+  latitude: 52.53,
+  longitude: 13.41,
+  radius: 50,
+};
+
+let db;
+
+const serverRows = () =>
+  db.getAllAsync("SELECT * FROM geofences WHERE source = 'server' ORDER BY id");
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+  Location.__state.geofencing.clear();
+});
+
+describe("applyServerGeofences", () => {
+  test("adds, changes and withdraws server geofences", async () => {
+    const localId = await addGeofence(db, {
+      name: "Home",
+      latitude: 52.5,
+      longitude: 13.4,
+    });
+
+    expect(await applyServerGeofences(db, [DEPOT, SITE])).toBe(2);
+    expect(await applyServerGeofences(db, [DEPOT, SITE])).toBe(0);
+
+    expect(await applyServerGeofences(db, [{ ...DEPOT, radius: 150 }])).toBe(2);
+
+    const rows = await serverRows();
+    expect(rows).toMatchObject([
+      { client_id: "depot", radius: 150, removed_at: null },
+      { client_id: "site", removed_at: expect.any(Number) },
+    ]);
+    const active = await getGeofences(db);
+    expect(active.map((row) => row.id)).toEqual([localId, rows[0].id]);
+  });
+
+  test("skips entries without an id or a positive radius", async () => {
+    expect(
+      await applyServerGeofences(db, [
+        null,
+        { ...DEPOT, id: undefined },
+        { ...DEPOT, radius: 0 },
+      ])
+    ).toBe(0);
+    expect(await serverRows()).toEqual([]);
+  });
+
+  test("restores a withdrawn geofence the server lists again", async () => {
+    await applyServerGeofences(db, [DEPOT]);
+    const [original] = await serverRows();
+    await checkGeofences(db, await getGeofences(db), {
+      latitude: DEPOT.latitude,
+      longitude: DEPOT.longitude,
+      timestamp: 1000,
+    });
+
+    await applyServerGeofences(db, []);
+    expect(await getGeofences(db)).toEqual([]);
+    // Already withdrawn: nothing to do
+    expect(await applyServerGeofences(db, [])).toBe(0);
+
+    expect(
+      await applyServerGeofences(db, [{ ...DEPOT, name: "Main depot" }])
+    ).toBe(1);
+
+    const rows = await serverRows();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      id: original.id,
+      name: "Main depot",
+      removed_at: null,
+      inside: 0,
+      entered_at: null,
+    });
+    // Events recorded before the withdrawal still point at the geofence
+    expect(await getGeofenceEvents(db)).toMatchObject([
+      { geofence_id: original.id, event_type: "enter", name: "Main depot" },
+    ]);
+  });
+});
+
+describe("transitions", () => {
+  const at = (meters, timestamp) => ({
+    latitude: DEPOT.latitude + meters / 111320,
+    longitude: DEPOT.longitude,
+    timestamp,
+  });
+
+  let geofences;
+
+  beforeEach(async () => {
+    await addGeofence(db, { ...DEPOT, clientId: DEPOT.id });
+    geofences = await getGeofences(db);
+  });
+
+  const eventTypes = async () =>
+    (await getGeofenceEvents(db)).map((event) => event.event_type).reverse();
+
+  test("fixes record enter, dwell and exit once each", async () => {
+    expect(await checkGeofences(db, geofences, at(0, 0))).toBe(1);
+    expect(await checkGeofences(db, geofences, at(50, 1000))).toBe(0);
+    // Within the exit margin
+    expect(await checkGeofences(db, geofences, at(110, 2000))).toBe(0);
+    expect(await checkGeofences(db, geofences, at(0, GEOFENCE_DWELL_MS))).toBe(
+      1
+    );
+    expect(
+      await checkGeofences(db, geofences, at(0, GEOFENCE_DWELL_MS + 1000))
+    ).toBe(0);
+    expect(
+      await checkGeofences(db, geofences, at(200, GEOFENCE_DWELL_MS + 2000))
+    ).toBe(1);
+
+    expect(await eventTypes()).toEqual(["enter", "dwell", "exit"]);
+    const queued = await db.getFirstAsync(
+      "SELECT COUNT(*) AS count FROM sync_queue WHERE table_name = 'geofence_events'"
+    );
+    expect(queued.count).toBe(3);
+  });
+
+  test("a transition the OS and a fix both report is recorded once", async () => {
+    const region = { identifier: DEPOT.id };
+    const { Enter, Exit } = Location.GeofencingEventType;
+
+    expect(await handleGeofencingEvent(db, { eventType: Enter, region })).toBe(
+      true
+    );
+    geofences = await getGeofences(db);
+    expect(await checkGeofences(db, geofences, at(0, Date.now()))).toBe(0);
+    expect(await handleGeofencingEvent(db, { eventType: Enter, region })).toBe(
+      false
+    );
+    expect(await handleGeofencingEvent(db, { eventType: Exit, region })).toBe(
+      true
+    );
+
+    expect(await eventTypes()).toEqual(["enter", "exit"]);
+  });
+
+  test("OS events for unknown or removed regions are ignored", async () => {
+    const { Enter } = Location.GeofencingEventType;
+    await removeGeofence(db, geofences[0].id);
+
+    expect(
+      await handleGeofencingEvent(db, {
+        eventType: Enter,
+        region: { identifier: DEPOT.id },
+      })
+    ).toBe(false);
+    expect(
+      await handleGeofencingEvent(db, {
+        eventType: Enter,
+        region: { identifier: "unknown" },
+      })
+    ).toBe(false);
+    expect(await eventTypes()).toEqual([]);
+  });
+});
+
+test("registerGeofences hands the OS at most GEOFENCE_MAX_REGIONS regions", async () => {
+  expect(await registerGeofences(db, TASK_NAME)).toBe(0);
+  expect(Location.__state.geofencing.has(TASK_NAME)).toBe(false);
+
+  for (let index = 0; index <= GEOFENCE_MAX_REGIONS; index++) {
+    await addGeofence(db, { ...DEPOT, name: `Site ${index}` });
+  }
+  expect(await registerGeofences(db, TASK_NAME)).toBe(GEOFENCE_MAX_REGIONS);
+  expect(Location.__state.geofencing.get(TASK_NAME)[0]).toMatchObject({
+    latitude: DEPOT.latitude,
+    radius: DEPOT.radius,
+    notifyOnEnter: true,
+    notifyOnExit: true,
+  });
+
+  for (const geofence of await getGeofences(db)) {
+    await removeGeofence(db, geofence.id);
+  }
+  expect(await registerGeofences(db, TASK_NAME)).toBe(0);
+  expect(Location.__state.geofencing.has(TASK_NAME)).toBe(false);
+});
+
+test("addGeofence needs a positive radius", async () => {
+  await expect(addGeofence(db, { ...DEPOT, radius: -5 })).rejects.toThrow(
+    "radius"
+  );
+});
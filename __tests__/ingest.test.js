@@ -0,0 +1,88 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+
+let db;
+
+const fix = (index, coords = {}) => ({
+  timestamp: 1700000000000 + index * 10000,
+  coords: {
+    latitude: 52.52 + index * 0.0005,
+    longitude: 13.405,
+    accuracy: 5,
+    altitude: null,
+    speed: null,
+    heading: null,
+    ...coords,
+  },
+});
+
+const count = async (table) =>
+  (await db.getFirstAsync(`SELECT COUNT(*) AS count FROM ${table}`)).count;
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+});
+
+test("saves the whole batch with its queue entries and logs", async () => {
+  const result = await saveLocations(db, [fix(0), fix(1), fix(2)], {
+    context: "location-task",
+  });
+
+  expect(result).toMatchObject({ saved: 3, duplicates: 0, rejected: 0 });
+  expect(result.ids).toHaveLength(3);
+  expect(await count("locations")).toBe(3);
+  expect(await count("sync_queue")).toBe(3);
+  const logs = await db.getAllAsync(
+    "SELECT level, context FROM app_logs WHERE message LIKE 'Location saved%'"
+  );
+  expect(logs).toHaveLength(3);
+  expect(logs[0]).toEqual({ level: "info", context: "location-task" });
+
+  const ids = await db.getAllAsync("SELECT DISTINCT client_id FROM locations");
+  expect(ids).toHaveLength(3);
+});
+
+test("drops timestamps already stored or repeated in the batch", async () => {
+  await saveLocations(db, [fix(0)]);
+
+  const result = await saveLocations(db, [fix(0), fix(1), fix(1)]);
+
+  expect(result).toMatchObject({ saved: 1, duplicates: 2 });
+  expect(await count("locations")).toBe(2);
+  expect(await count("sync_queue")).toBe(2);
+});
+
+test("stores deferred fixes in time order", async () => {
+  const result = await saveLocations(db, [fix(2), fix(0), fix(1)]);
+
+  const rows = await db.getAllAsync(
+    "SELECT id, timestamp FROM locations ORDER BY id"
+  );
+  expect(rows.map((row) => row.timestamp)).toEqual([
+    fix(0).timestamp,
+    fix(1).timestamp,
+    fix(2).timestamp,
+  ]);
+  expect(result.ids).toEqual(rows.map((row) => row.id));
+});
+
+test("a batch that fails to save leaves nothing behind", async () => {
+  await expect(
+    saveLocations(db, [fix(0), fix(1, { latitude: null })], { filter: false })
+  ).rejects.toThrow("NOT NULL");
+
+  expect(await count("locations")).toBe(0);
+  expect(await count("sync_queue")).toBe(0);
+  expect(await count("app_logs")).toBe(0);
+});
+
+test("an empty batch does nothing", async () => {
+  expect(await saveLocations(db, [])).toEqual({
+    saved: 0,
+    duplicates: 0,
+    rejected: 0,
+    ids: [],
+  });
+});
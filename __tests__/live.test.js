@@ -0,0 +1,222 @@
+import * as SQLite from "expo-sqlite";
+import * as SecureStore from "expo-secure-store";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+import { getQueueCounts } from "../src/queue";
+import {
+  liveUrl,
+  getLiveStatus,
+  subscribeLiveStatus,
+  startLiveStream,
+  stopLiveStream,
+  streamLocations,
+} from "../src/live";
+
+const SERVER_URL = "http://sync.test";
+
+let db;
+let sockets;
+
+// The app's end of a WebSocket; the test plays the server through open,
+// receive and drop
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    sockets.push(this);
+  }
+
+  send(data) {
+    if (this.readyState !== 1) throw new Error("Socket is not open");
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  open() {
+    this.readyState = 1;
+    this.onopen();
+  }
+
+  receive(message) {
+    return this.onmessage({ data: JSON.stringify(message) });
+  }
+
+  drop(code = 1006) {
+    this.readyState = 3;
+    return this.onclose({ code });
+  }
+}
+
+const fix = (index) => ({
+  timestamp: 1700000000000 + index * 10000,
+  coords: {
+    latitude: 52.52 + index * 0.0005,
+    longitude: 13.405,
+    accuracy: 5,
+    altitude: null,
+    speed: null,
+    heading: null,
+  },
+});
+
+const save = async (...indexes) =>
+  (await saveLocations(db, indexes.map(fix))).ids;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Start the stream and let the server accept it
+const goLive = async (options = {}) => {
+  await startLiveStream(db, {
+    serverUrl: SERVER_URL,
+    reconnectBase: 1,
+    reconnectMax: 1,
+    ...options,
+  });
+  const socket = sockets[sockets.length - 1];
+  socket.open();
+  await socket.receive({ type: "ready" });
+  return socket;
+};
+
+beforeEach(async () => {
+  sockets = [];
+  global.WebSocket = FakeWebSocket;
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+  await SecureStore.setItemAsync(
+    "deviceCredentials",
+    JSON.stringify({
+      deviceId: "device-1",
+      serverUrl: SERVER_URL,
+      token: "token-1",
+      refreshToken: "refresh-1",
+    })
+  );
+});
+
+afterEach(async () => {
+  await stopLiveStream();
+  delete global.WebSocket;
+  delete global.fetch;
+});
+
+test("liveUrl points at the live endpoint", () => {
+  expect(liveUrl("https://sync.example.com/")).toBe(
+    "wss://sync.example.com/live"
+  );
+  expect(liveUrl(SERVER_URL)).toBe("ws://sync.test/live");
+});
+
+test("streams points once the server is ready and records its answer", async () => {
+  const states = [];
+  const unsubscribe = subscribeLiveStatus(({ state }) => states.push(state));
+  const socket = await goLive();
+  unsubscribe();
+
+  expect(socket.url).toBe("ws://sync.test/live");
+  expect(socket.sent[0]).toEqual({
+    type: "hello",
+    device_id: "device-1",
+    token: "token-1",
+  });
+  expect(states).toEqual(["off", "connecting", "live"]);
+
+  const ids = await save(0, 1, 2);
+  expect(await streamLocations(db, ids)).toBe(3);
+  const { points } = socket.sent[1];
+  expect(points).toHaveLength(3);
+  expect(await getQueueCounts(db)).toMatchObject({ in_flight: 3 });
+
+  await socket.receive({
+    type: "ack",
+    accepted: [points[0].id, points[1].id],
+    rejected: [{ id: points[2].id, error: "Invalid fix" }],
+  });
+
+  expect(await getQueueCounts(db)).toEqual({
+    pending: 0,
+    in_flight: 0,
+    failed: 1,
+  });
+  const synced = await db.getFirstAsync(
+    "SELECT COUNT(*) AS count FROM locations WHERE synced = 1"
+  );
+  expect(synced.count).toBe(2);
+});
+
+test("points saved while not live are left to the batch sync", async () => {
+  await startLiveStream(db, { serverUrl: SERVER_URL });
+  const ids = await save(0);
+
+  expect(getLiveStatus().state).toBe("connecting");
+  expect(await streamLocations(db, ids)).toBe(0);
+  expect(await getQueueCounts(db)).toMatchObject({ pending: 1 });
+});
+
+test("a dropped connection requeues its points and reconnects", async () => {
+  const socket = await goLive();
+  await streamLocations(db, await save(0, 1));
+
+  await socket.drop();
+
+  expect(await getQueueCounts(db)).toMatchObject({
+    pending: 2,
+    in_flight: 0,
+  });
+  expect(getLiveStatus().state).toBe("offline");
+
+  await wait(20);
+  expect(sockets).toHaveLength(2);
+  sockets[1].open();
+  await sockets[1].receive({ type: "ready" });
+  expect(getLiveStatus().state).toBe("live");
+});
+
+test("the heartbeat pings and gives up on unanswered points", async () => {
+  const socket = await goLive({ heartbeat: 5, ackTimeout: 1 });
+  await streamLocations(db, await save(0));
+  await socket.receive({ type: "pong" });
+
+  await wait(30);
+
+  expect(socket.sent.some((message) => message.type === "ping")).toBe(true);
+  expect(await getQueueCounts(db)).toMatchObject({ pending: 1 });
+});
+
+test("a silent server is dropped", async () => {
+  const socket = await goLive({ heartbeat: 5, heartbeatTimeout: 10 });
+
+  await wait(40);
+
+  expect(socket.readyState).toBe(3);
+  expect(sockets.length).toBeGreaterThan(1);
+});
+
+test("a refused token pauses the stream when it can't be refreshed", async () => {
+  global.fetch = jest.fn(async () => ({
+    ok: false,
+    status: 401,
+    json: async () => ({}),
+  }));
+  const socket = await goLive();
+
+  await socket.drop(4001);
+
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(getLiveStatus().state).toBe("paused");
+  await wait(20);
+  expect(sockets).toHaveLength(1);
+});
+
+test("without credentials the stream stays paused", async () => {
+  await SecureStore.deleteItemAsync("deviceCredentials");
+
+  await startLiveStream(db, { serverUrl: SERVER_URL });
+
+  expect(getLiveStatus().state).toBe("paused");
+  expect(sockets).toEqual([]);
+});
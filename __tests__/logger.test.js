@@ -0,0 +1,90 @@
+import { openDatabase } from "../src/db";
+import { createLogger, writeLog, queryLogs, exportLogs } from "../src/logger";
+
+let db;
+
+const messages = (rows) => rows.map((row) => row.message);
+
+beforeEach(async () => {
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  db = await openDatabase();
+  await db.runAsync("DELETE FROM app_logs");
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test("task loggers write tagged entries without a database handle", async () => {
+  const log = createLogger("sync-task");
+
+  await log.info("Synced 3 records");
+  await log.error("Sync failed", new Error("timeout"));
+
+  expect(
+    await db.getAllAsync(
+      "SELECT level, context, message FROM app_logs ORDER BY id"
+    )
+  ).toEqual([
+    { level: "info", context: "sync-task", message: "Synced 3 records" },
+    { level: "error", context: "sync-task", message: "Sync failed: timeout" },
+  ]);
+  expect(console.error).toHaveBeenCalledWith(
+    "[sync-task] Sync failed: timeout"
+  );
+});
+
+describe("with entries", () => {
+  beforeEach(async () => {
+    await writeLog(db, "info", "Location saved", "location-task");
+    await writeLog(db, "warn", "Location rejected (100%_sure)", "ui");
+    await writeLog(db, "error", "Sync failed", "sync-task");
+  });
+
+  test("queryLogs filters by level, context and search, newest first", async () => {
+    expect(messages(await queryLogs(db))).toEqual([
+      "Sync failed",
+      "Location rejected (100%_sure)",
+      "Location saved",
+    ]);
+    expect(messages(await queryLogs(db, { level: "warn" }))).toEqual([
+      "Sync failed",
+      "Location rejected (100%_sure)",
+    ]);
+    expect(messages(await queryLogs(db, { context: "ui" }))).toEqual([
+      "Location rejected (100%_sure)",
+    ]);
+    // LIKE wildcards in the search are taken literally
+    expect(messages(await queryLogs(db, { search: "%_s" }))).toEqual([
+      "Location rejected (100%_sure)",
+    ]);
+    expect(messages(await queryLogs(db, { search: "location" }))).toHaveLength(
+      2
+    );
+    expect(await queryLogs(db, {}, 1)).toHaveLength(1);
+  });
+
+  test("queryLogs filters by time", async () => {
+    await db.runAsync(
+      "UPDATE app_logs SET created_at = '2020-01-01 00:00:00' WHERE level = 'info'"
+    );
+
+    expect(
+      messages(await queryLogs(db, { since: Date.UTC(2021, 0, 1) }))
+    ).toEqual(["Sync failed", "Location rejected (100%_sure)"]);
+  });
+
+  test("exportLogs writes the matching entries as CSV, oldest first", async () => {
+    const { file, count } = await exportLogs(db, { level: "warn" });
+
+    expect(count).toBe(2);
+    const lines = (await file.text()).trim().split("\n");
+    expect(lines[0]).toBe("id,created_at,level,context,message");
+    expect(lines.slice(1).map((line) => line.split(",").slice(2))).toEqual([
+      ["warn", "ui", "Location rejected (100%_sure)"],
+      ["error", "sync-task", "Sync failed"],
+    ]);
+  });
+});
@@ -0,0 +1,130 @@
+import * as SQLite from "expo-sqlite";
+import {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  MigrationError,
+  getSchemaVersion,
+  migrate,
+} from "../src/migrations";
+
+let db;
+
+const migrateTo = (version) =>
+  migrate(
+    db,
+    MIGRATIONS.filter((migration) => migration.version <= version)
+  );
+
+const tableNames = async () =>
+  (
+    await db.getAllAsync(
+      "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"
+    )
+  ).map(({ name }) => name);
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+});
+
+test("a new database is brought up to the current version once", async () => {
+  expect(await migrate(db)).toEqual(MIGRATIONS.map(({ version }) => version));
+  expect(await getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+  expect(await migrate(db)).toEqual([]);
+});
+
+test("a database from before migrations keeps its rows", async () => {
+  await db.execAsync(`
+    CREATE TABLE locations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      latitude REAL NOT NULL,
+      longitude REAL NOT NULL,
+      accuracy REAL,
+      altitude REAL,
+      speed REAL,
+      heading REAL,
+      timestamp INTEGER NOT NULL,
+      synced INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    INSERT INTO locations (latitude, longitude, timestamp) VALUES (52.52, 13.405, 1000);
+  `);
+
+  await migrate(db);
+
+  expect(await getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+  expect(await db.getAllAsync("SELECT timestamp FROM locations")).toEqual([
+    { timestamp: 1000 },
+  ]);
+});
+
+test("two connections migrating at once apply each step once", async () => {
+  const other = await SQLite.openDatabaseAsync("test.db");
+
+  const [first, second] = await Promise.all([migrate(db), migrate(other)]);
+
+  expect([...first, ...second].sort((a, b) => a - b)).toEqual(
+    MIGRATIONS.map(({ version }) => version)
+  );
+  expect(await getSchemaVersion(other)).toBe(SCHEMA_VERSION);
+});
+
+test("a failing step is rolled back", async () => {
+  await migrate(db);
+  const failing = {
+    version: SCHEMA_VERSION + 1,
+    description: "broken step",
+    up: async (txn) => {
+      await txn.execAsync("CREATE TABLE half_done (id INTEGER)");
+      await txn.execAsync("ALTER TABLE missing ADD COLUMN value TEXT");
+    },
+  };
+
+  const error = await migrate(db, [...MIGRATIONS, failing]).catch((e) => e);
+
+  expect(error).toBeInstanceOf(MigrationError);
+  expect(error).toMatchObject({ version: SCHEMA_VERSION + 1 });
+  expect(error.message).toContain("broken step");
+  expect(await getSchemaVersion(db)).toBe(SCHEMA_VERSION);
+  expect(await tableNames()).not.toContain("half_done");
+});
+
+test("a database of a newer build is left alone", async () => {
+  await db.execAsync(`PRAGMA user_version = ${SCHEMA_VERSION + 1}`);
+  const warn = jest.spyOn(console, "warn").mockImplementation(() => {});
+
+  expect(await migrate(db)).toEqual([]);
+
+  expect(warn).toHaveBeenCalledWith(expect.stringContaining("newer"));
+  expect(await tableNames()).toEqual([]);
+  warn.mockRestore();
+});
+
+test("per-record sync state keeps one entry per unsynced record", async () => {
+  await migrateTo(9);
+  for (const [timestamp, synced] of [
+    [1000, 1],
+    [2000, 0],
+    [3000, 0],
+  ]) {
+    await db.runAsync(
+      "INSERT INTO locations (latitude, longitude, timestamp, synced, client_id) VALUES (52.52, 13.405, ?, ?, ?)",
+      [timestamp, synced, `point-${timestamp}`]
+    );
+  }
+  // Queued twice, and once; the third location was never queued
+  await db.execAsync(`
+    INSERT INTO sync_queue (table_name, record_id, operation) VALUES
+      ('locations', 1, 'INSERT'), ('locations', 2, 'INSERT'),
+      ('locations', 2, 'INSERT');
+  `);
+
+  expect(await migrate(db)).toEqual([10]);
+
+  const entries = await db.getAllAsync(
+    "SELECT record_id, state, attempts FROM sync_queue ORDER BY record_id"
+  );
+  expect(entries).toEqual([
+    { record_id: 2, state: "pending", attempts: 0 },
+    { record_id: 3, state: "pending", attempts: 0 },
+  ]);
+});
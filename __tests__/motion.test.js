@@ -0,0 +1,113 @@
+import * as Location from "expo-location";
+import { MOTION_SAMPLING } from "../src/config";
+import { TRACKING_PROFILES, locationOptions } from "../src/profiles";
+import {
+  INITIAL_MOTION_STATE,
+  nextMotionState,
+  getMotionState,
+  saveMotionState,
+  resetMotionState,
+  samplingOptions,
+} from "../src/motion";
+
+const START = 1700000000000;
+const { stationaryAfterMs, lowPower } = MOTION_SAMPLING;
+
+// A fix `meters` north of the start, `seconds` after START
+const fix = (meters, seconds, coords = {}) => ({
+  timestamp: START + seconds * 1000,
+  coords: {
+    latitude: 52.52 + meters / 111320,
+    longitude: 13.405,
+    accuracy: 10,
+    speed: null,
+    ...coords,
+  },
+});
+
+const STATIONARY = { mode: "stationary", anchor: null, since: START };
+
+describe("nextMotionState", () => {
+  test("stays moving while the device moves", () => {
+    const state = nextMotionState(INITIAL_MOTION_STATE, [
+      fix(100, 60),
+      fix(0, 0),
+      fix(200, 600),
+    ]);
+
+    expect(state).toEqual({
+      mode: "moving",
+      anchor: expect.objectContaining({ timestamp: START + 600000 }),
+      since: null,
+    });
+  });
+
+  test("switches to low power after staying put, and back on moving", () => {
+    const still = nextMotionState(INITIAL_MOTION_STATE, [
+      fix(0, 0),
+      fix(5, 60),
+      fix(10, stationaryAfterMs / 1000),
+    ]);
+    expect(still).toMatchObject({
+      mode: "stationary",
+      since: START + stationaryAfterMs,
+    });
+    expect(still.anchor.timestamp).toBe(START);
+
+    // Within the fix's accuracy: still there
+    const coarse = nextMotionState(still, [fix(80, 1000, { accuracy: 100 })]);
+    expect(coarse.mode).toBe("stationary");
+
+    const moving = nextMotionState(still, [fix(0, 1000, { speed: 3 })]);
+    expect(moving).toMatchObject({ mode: "moving", since: START + 1000000 });
+  });
+});
+
+test("the motion state is stored between task runs", async () => {
+  expect(await getMotionState()).toEqual(INITIAL_MOTION_STATE);
+
+  await saveMotionState(STATIONARY);
+  expect(await getMotionState()).toEqual(STATIONARY);
+
+  await resetMotionState();
+  expect(await getMotionState()).toMatchObject({
+    mode: "moving",
+    anchor: null,
+  });
+});
+
+describe("samplingOptions", () => {
+  const profile = (key, overrides = {}) => ({
+    key,
+    ...TRACKING_PROFILES[key],
+    ...overrides,
+  });
+
+  test("moving devices sample as their profile says", () => {
+    expect(samplingOptions(INITIAL_MOTION_STATE, profile("high"))).toEqual(
+      locationOptions(profile("high"))
+    );
+  });
+
+  test("low power samples less often and less accurately", () => {
+    expect(samplingOptions(STATIONARY, profile("high"))).toEqual({
+      ...lowPower,
+      accuracy: Location.Accuracy[lowPower.accuracy],
+    });
+  });
+
+  test("low power never samples more than the profile", () => {
+    const sparse = profile("custom", {
+      accuracy: "Lowest",
+      timeInterval: 2 * lowPower.timeInterval,
+      distanceInterval: 2 * lowPower.distanceInterval,
+    });
+
+    expect(samplingOptions(STATIONARY, sparse)).toEqual({
+      ...lowPower,
+      accuracy: Location.Accuracy.Lowest,
+      timeInterval: 2 * lowPower.timeInterval,
+      distanceInterval: 2 * lowPower.distanceInterval,
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { TRIP_DWELL_MS } from "../src/config";
+import {
+  SYNC_COLORS,
+  SPEED_BANDS,
+  speedColor,
+  segmentColor,
+  projectPoints,
+  buildPolylines,
+  findStops,
+  nearestPoint,
+} from "../src/plot";
+
+const START = 1700000000000;
+
+// A point `meters` north of the start, `seconds` after START
+const point = (meters, seconds, extra = {}) => ({
+  latitude: 52.52 + meters / 111320,
+  longitude: 13.405,
+  timestamp: START + seconds * 1000,
+  ...extra,
+});
+
+test("speedColor picks the band of the speed in km/h", () => {
+  expect(speedColor(2)).toBe(SPEED_BANDS[0].color);
+  expect(speedColor(5)).toBe(SPEED_BANDS[1].color);
+  expect(speedColor(20)).toBe(SPEED_BANDS[2].color);
+  expect(speedColor(30)).toBe(SPEED_BANDS[3].color);
+  expect(speedColor(null)).toBe(SPEED_BANDS[0].color);
+});
+
+test("segmentColor colours by sync state or speed", () => {
+  const previous = point(0, 0);
+
+  expect(segmentColor("sync", previous, point(100, 10, { synced: 1 }))).toBe(
+    SYNC_COLORS.synced
+  );
+  expect(segmentColor("sync", previous, point(100, 10, { synced: 0 }))).toBe(
+    SYNC_COLORS.pending
+  );
+  // 30 m/s reported, 10 m/s between the points
+  expect(segmentColor("speed", previous, point(100, 10, { speed: 30 }))).toBe(
+    speedColor(30)
+  );
+  expect(segmentColor("speed", previous, point(100, 10))).toBe(speedColor(10));
+});
+
+describe("projectPoints", () => {
+  test("fits the track into the box, north up", () => {
+    const projected = projectPoints(
+      [point(0, 0), point(1000, 0), point(500, 0, { longitude: 13.41 })],
+      200,
+      100,
+      10
+    );
+
+    // Taller than wide: the height is filled and the track centred across
+    expect(projected[0].y).toBeCloseTo(90);
+    expect(projected[1].y).toBeCloseTo(10);
+    expect(projected[0].x).toBe(projected[1].x);
+    expect(projected[2].x).toBeGreaterThan(projected[0].x);
+    for (const { x } of projected) {
+      expect(x).toBeGreaterThanOrEqual(10);
+      expect(x).toBeLessThanOrEqual(190);
+    }
+  });
+
+  test("keeps distances in both directions to the same scale", () => {
+    // 1 km north and 1 km east
+    const east = 1000 / (111320 * Math.cos((52.52 * Math.PI) / 180));
+    const [start, north, eastward] = projectPoints(
+      [point(0, 0), point(1000, 0), point(0, 0, { longitude: 13.405 + east })],
+      300,
+      300
+    );
+
+    expect(eastward.x - start.x).toBeCloseTo(start.y - north.y, 0);
+  });
+
+  test("handles no points and a single point", () => {
+    expect(projectPoints([], 100, 100)).toEqual([]);
+    const [only] = projectPoints([point(0, 0)], 100, 100);
+    expect(Number.isFinite(only.x) && Number.isFinite(only.y)).toBe(true);
+  });
+});
+
+test("buildPolylines merges segments of the same colour", () => {
+  const points = [
+    point(0, 0, { synced: 1 }),
+    point(100, 10, { synced: 1 }),
+    point(200, 20, { synced: 1 }),
+    point(300, 30, { synced: 0 }),
+  ];
+  const projected = points.map((_, index) => ({ x: index, y: index * 2 }));
+
+  expect(buildPolylines(points, projected, "sync")).toEqual([
+    { color: SYNC_COLORS.synced, points: "0,0 1,2 2,4" },
+    { color: SYNC_COLORS.pending, points: "2,4 3,6" },
+  ]);
+  expect(buildPolylines(points.slice(0, 1), projected, "sync")).toEqual([]);
+});
+
+test("findStops finds long enough stays in one place", () => {
+  const minutes = TRIP_DWELL_MS / 60000;
+  const points = [
+    point(0, 0),
+    point(500, 50),
+    ...Array.from({ length: minutes + 1 }, (_, index) =>
+      point(505, 60 + index * 60)
+    ),
+    point(2000, 120 + minutes * 60),
+    // Too short to count
+    point(2005, 180 + minutes * 60),
+  ];
+
+  expect(findStops(points)).toEqual([
+    {
+      index: 1,
+      latitude: points[1].latitude,
+      longitude: points[1].longitude,
+      start: START + 50000,
+      end: START + (60 + minutes * 60) * 1000,
+    },
+  ]);
+});
+
+test("nearestPoint finds the closest point within reach", () => {
+  const projected = [
+    { x: 0, y: 0 },
+    { x: 10, y: 0 },
+    { x: 50, y: 50 },
+  ];
+
+  expect(nearestPoint(projected, 8, 1)).toBe(1);
+  expect(nearestPoint(projected, 45, 45)).toBe(2);
+  expect(nearestPoint(projected, 200, 200)).toBe(-1);
+});
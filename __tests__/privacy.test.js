@@ -0,0 +1,132 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import { enqueue } from "../src/queue";
+import { haversineDistance } from "../src/geo";
+import {
+  addPrivacyZone,
+  removePrivacyZone,
+  getPrivacyZones,
+  maskPoint,
+  screenLocations,
+} from "../src/privacy";
+
+const HOME = { latitude: 52.52, longitude: 13.405 };
+const INSIDE = { latitude: 52.5205, longitude: 13.405 };
+const OUTSIDE = { latitude: 52.53, longitude: 13.405 };
+
+const zone = (mode, radius = 200) => ({ ...HOME, radius, mode });
+
+test("points outside every zone are unchanged", () => {
+  expect(maskPoint(OUTSIDE, [zone("drop")])).toEqual({
+    zone: null,
+    position: OUTSIDE,
+  });
+});
+
+test("snap zones move points just past their edge", () => {
+  const { zone: match, position } = maskPoint(INSIDE, [zone("snap")]);
+
+  expect(match.mode).toBe("snap");
+  expect(haversineDistance(HOME, position)).toBeGreaterThan(200);
+  expect(haversineDistance(HOME, position)).toBeLessThan(202);
+});
+
+test("the strictest of overlapping zones applies", () => {
+  const { zone: match, position } = maskPoint(INSIDE, [
+    zone("snap"),
+    zone("local", 100),
+  ]);
+
+  expect(match.mode).toBe("local");
+  expect(position).toBeNull();
+});
+
+describe("screenLocations", () => {
+  let db;
+
+  const addLocation = async (point, timestamp) => {
+    const { lastInsertRowId } = await db.runAsync(
+      `INSERT INTO locations (latitude, longitude, altitude, timestamp, synced, client_id)
+      VALUES (?, ?, 40, ?, 0, ?)`,
+      [point.latitude, point.longitude, timestamp, `point-${timestamp}`]
+    );
+    await enqueue(db, "locations", lastInsertRowId);
+  };
+
+  const screen = async () =>
+    screenLocations(
+      db,
+      await db.getAllAsync("SELECT * FROM locations ORDER BY timestamp"),
+      await getPrivacyZones(db)
+    );
+
+  beforeEach(async () => {
+    db = await SQLite.openDatabaseAsync("test.db");
+    await migrate(db);
+    await addLocation(INSIDE, 1000);
+    await addLocation(OUTSIDE, 2000);
+  });
+
+  test("drop zones delete their points", async () => {
+    await addPrivacyZone(db, { name: "Home", ...zone("drop") });
+
+    const rows = await screen();
+    expect(rows.map((row) => row.timestamp)).toEqual([2000]);
+
+    const stored = await db.getAllAsync("SELECT timestamp FROM locations");
+    expect(stored).toEqual([{ timestamp: 2000 }]);
+    const queued = await db.getFirstAsync(
+      "SELECT COUNT(*) AS count FROM sync_queue"
+    );
+    expect(queued.count).toBe(1);
+  });
+
+  test("drop zones correct the stats of the trips they cut", async () => {
+    const { lastInsertRowId: tripId } = await db.runAsync(
+      `INSERT INTO trips (client_id, started_at, ended_at, distance, point_count, synced)
+      VALUES ('trip-1', 1000, 2000, 1111, 2, 1)`
+    );
+    await db.runAsync("UPDATE locations SET trip_id = ?", [tripId]);
+    await addPrivacyZone(db, { name: "Home", ...zone("drop") });
+
+    await screen();
+
+    const trip = await db.getFirstAsync("SELECT * FROM trips");
+    expect(trip).toMatchObject({ distance: 0, point_count: 1, synced: 0 });
+    const queued = await db.getFirstAsync(
+      "SELECT state FROM sync_queue WHERE table_name = 'trips'"
+    );
+    expect(queued.state).toBe("pending");
+  });
+
+  test("snap zones upload moved points without altitude", async () => {
+    await addPrivacyZone(db, { name: "Home", ...zone("snap") });
+
+    const [snapped, outside] = await screen();
+    expect(snapped.altitude).toBeNull();
+    expect(haversineDistance(HOME, snapped)).toBeGreaterThan(200);
+    expect(outside.altitude).toBe(40);
+
+    // The stored point keeps its real coordinates
+    const stored = await db.getFirstAsync(
+      "SELECT latitude FROM locations WHERE timestamp = 1000"
+    );
+    expect(stored.latitude).toBe(INSIDE.latitude);
+  });
+
+  test("local zones withhold points until the zone is removed", async () => {
+    const id = await addPrivacyZone(db, { name: "Home", ...zone("local") });
+
+    expect(await screen()).toHaveLength(1);
+    const withheld = await db.getFirstAsync(
+      "SELECT withheld FROM locations WHERE timestamp = 1000"
+    );
+    expect(withheld.withheld).toBe(1);
+
+    await removePrivacyZone(db, id);
+    const released = await db.getFirstAsync(
+      "SELECT withheld FROM locations WHERE timestamp = 1000"
+    );
+    expect(released.withheld).toBe(0);
+  });
+});
@@ -0,0 +1,87 @@
+import * as Location from "expo-location";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  TRACKING_PROFILES,
+  validateProfile,
+  saveCustomProfile,
+  getProfile,
+  getActiveProfile,
+  setActiveProfile,
+  locationOptions,
+  describeProfile,
+} from "../src/profiles";
+
+const CUSTOM = { accuracy: "High", timeInterval: 5000, distanceInterval: 0 };
+
+test("the balanced profile is active until another is chosen", async () => {
+  expect(await getActiveProfile()).toEqual({
+    key: "balanced",
+    ...TRACKING_PROFILES.balanced,
+  });
+
+  expect((await setActiveProfile("battery")).key).toBe("battery");
+  expect(await getActiveProfile()).toMatchObject({
+    key: "battery",
+    timeInterval: 120000,
+  });
+  await expect(setActiveProfile("turbo")).rejects.toThrow("Unknown profile");
+});
+
+test("unknown stored profiles fall back to the default", async () => {
+  await AsyncStorage.setItem("trackingProfile", "removed-profile");
+
+  expect((await getActiveProfile()).key).toBe("balanced");
+  expect((await getProfile(undefined)).key).toBe("balanced");
+});
+
+test("validateProfile checks the custom settings", () => {
+  expect(validateProfile(CUSTOM)).toBeNull();
+  expect(validateProfile({ ...CUSTOM, accuracy: "Best" })).toMatch(
+    "Unknown accuracy"
+  );
+  expect(validateProfile({ ...CUSTOM, timeInterval: 500 })).toMatch(
+    "at least 1 second"
+  );
+  expect(validateProfile({ ...CUSTOM, timeInterval: 1500.5 })).not.toBeNull();
+  expect(validateProfile({ ...CUSTOM, distanceInterval: -1 })).toMatch(
+    "0 or more"
+  );
+});
+
+test("the custom profile uses the saved settings", async () => {
+  expect(await getProfile("custom")).toEqual({
+    key: "custom",
+    ...TRACKING_PROFILES.custom,
+  });
+
+  await saveCustomProfile({ ...CUSTOM, extra: true });
+  await expect(
+    saveCustomProfile({ ...CUSTOM, timeInterval: 0 })
+  ).rejects.toThrow("at least 1 second");
+
+  expect(await getProfile("custom")).toEqual({
+    key: "custom",
+    label: "Custom",
+    ...CUSTOM,
+  });
+});
+
+test("broken custom settings are ignored", async () => {
+  const error = jest.spyOn(console, "error").mockImplementation(() => {});
+  await AsyncStorage.setItem("customTrackingProfile", "{not json");
+
+  expect(await getProfile("custom")).toMatchObject(TRACKING_PROFILES.custom);
+  expect(error).toHaveBeenCalled();
+  error.mockRestore();
+});
+
+test("profiles turn into location options and a description", async () => {
+  const profile = await getProfile("high");
+
+  expect(locationOptions(profile)).toEqual({
+    accuracy: Location.Accuracy.Highest,
+    timeInterval: 10000,
+    distanceInterval: 5,
+  });
+  expect(describeProfile(profile)).toBe("10 s / 5 m");
+});
@@ -0,0 +1,127 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import {
+  locationConditions,
+  fetchLocationPage,
+  forEachLocationPage,
+} from "../src/queries";
+
+let db;
+
+// Rows as [timestamp, synced, trip_id]; two share a timestamp
+const ROWS = [
+  [1000, 1, 1],
+  [2000, 1, 1],
+  [2000, 0, 1],
+  [3000, 0, 2],
+  [4000, 0, 2],
+];
+
+const pages = async (filters, options) => {
+  const result = [];
+  await forEachLocationPage(
+    db,
+    filters,
+    (rows) => result.push(rows.map((row) => row.id)),
+    options
+  );
+  return result;
+};
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+  for (const [timestamp, synced, tripId] of ROWS) {
+    await db.runAsync(
+      "INSERT INTO locations (latitude, longitude, timestamp, synced, trip_id) VALUES (52.52, 13.405, ?, ?, ?)",
+      [timestamp, synced, tripId]
+    );
+  }
+});
+
+test("locationConditions turns filters into conditions", () => {
+  expect(locationConditions()).toEqual({ conditions: [], params: [] });
+  expect(
+    locationConditions({
+      from: 1000,
+      to: 2000,
+      tripId: 3,
+      synced: false,
+      maxId: 9,
+    })
+  ).toEqual({
+    conditions: [
+      "timestamp >= ?",
+      "timestamp <= ?",
+      "trip_id = ?",
+      "synced = ?",
+      "id <= ?",
+    ],
+    params: [1000, 2000, 3, 0, 9],
+  });
+});
+
+test("pages follow on without gaps or repeats, even on equal timestamps", async () => {
+  expect(await pages({}, { pageSize: 2 })).toEqual([[1, 2], [3, 4], [5]]);
+  expect(await pages({}, { pageSize: 5 })).toEqual([[1, 2, 3, 4, 5]]);
+});
+
+test("pages run newest first when descending", async () => {
+  expect(await pages({}, { pageSize: 2, descending: true })).toEqual([
+    [5, 4],
+    [3, 2],
+    [1],
+  ]);
+});
+
+test("filters apply to every page", async () => {
+  expect(await pages({ synced: false }, { pageSize: 2 })).toEqual([
+    [3, 4],
+    [5],
+  ]);
+  expect(await pages({ tripId: 1, from: 2000 }, { pageSize: 1 })).toEqual([
+    [2],
+    [3],
+  ]);
+});
+
+test("fetchLocationPage returns the cursor of the next page", async () => {
+  const first = await fetchLocationPage(db, {}, { pageSize: 3 });
+  expect(first.cursor).toEqual({ timestamp: 2000, id: 3 });
+
+  const last = await fetchLocationPage(
+    db,
+    {},
+    { pageSize: 3, cursor: first.cursor, columns: "synced" }
+  );
+  expect(last).toEqual({
+    rows: [
+      { id: 4, timestamp: 3000, synced: 0 },
+      { id: 5, timestamp: 4000, synced: 0 },
+    ],
+    cursor: null,
+  });
+});
+
+test("pages are read through an index", async () => {
+  const plan = async (filters) => {
+    const { conditions, params } = locationConditions(filters);
+    const rows = await db.getAllAsync(
+      `EXPLAIN QUERY PLAN SELECT * FROM locations
+      WHERE ${[...conditions, "(timestamp, id) > (?, ?)"].join(" AND ")}
+      ORDER BY timestamp, id LIMIT 50`,
+      [...params, 0, 0]
+    );
+    return rows.map((row) => row.detail).join("\n");
+  };
+
+  expect(await plan({ from: 1000 })).toMatch(
+    /SEARCH locations USING (COVERING )?INDEX idx_locations_timestamp\b/
+  );
+  expect(await plan({ synced: false })).toMatch(
+    /SEARCH locations USING (COVERING )?INDEX idx_locations_synced\b/
+  );
+  expect(await plan({ tripId: 1 })).toMatch(
+    /SEARCH locations USING (COVERING )?INDEX idx_locations_trip_id\b/
+  );
+});
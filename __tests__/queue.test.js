@@ -0,0 +1,166 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import {
+  SYNC_MAX_RECORD_ATTEMPTS,
+  SYNC_RECORD_RETRY_BASE_MS,
+} from "../src/config";
+import {
+  enqueue,
+  markInFlight,
+  markUnsent,
+  markSynced,
+  markAttemptFailed,
+  markRejected,
+  recoverInFlight,
+  getQueueCounts,
+  getFailedItems,
+  retryFailed,
+  discardFailed,
+} from "../src/queue";
+
+let db;
+
+const addLocation = async (timestamp) => {
+  const { lastInsertRowId } = await db.runAsync(
+    `INSERT INTO locations (latitude, longitude, timestamp, synced, client_id)
+    VALUES (52.52, 13.405, ?, 0, ?)`,
+    [timestamp, `point-${timestamp}`]
+  );
+  await enqueue(db, "locations", lastInsertRowId);
+  return lastInsertRowId;
+};
+
+const entry = (recordId) =>
+  db.getFirstAsync(
+    "SELECT * FROM sync_queue WHERE table_name = 'locations' AND record_id = ?",
+    [recordId]
+  );
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+});
+
+test("enqueue keeps one pending entry per record", async () => {
+  const id = await addLocation(1000);
+  await markAttemptFailed(db, "locations", [id], "Timeout");
+  await enqueue(db, "locations", id);
+
+  const rows = await db.getAllAsync("SELECT * FROM sync_queue");
+  expect(rows).toHaveLength(1);
+  expect(rows[0]).toMatchObject({
+    state: "pending",
+    attempts: 0,
+    last_error: null,
+    next_retry_at: null,
+  });
+});
+
+test("acknowledged records are marked synced and leave the queue", async () => {
+  const id = await addLocation(1000);
+  await markInFlight(db, "locations", [id]);
+  expect((await entry(id)).state).toBe("in_flight");
+
+  await markSynced(db, "locations", [id]);
+  expect(await entry(id)).toBeNull();
+  const row = await db.getFirstAsync("SELECT synced FROM locations");
+  expect(row.synced).toBe(1);
+});
+
+test("records queued again while in flight stay queued", async () => {
+  const id = await addLocation(1000);
+  await markInFlight(db, "locations", [id]);
+  await enqueue(db, "locations", id);
+
+  await markSynced(db, "locations", [id]);
+  expect((await entry(id)).state).toBe("pending");
+  const row = await db.getFirstAsync("SELECT synced FROM locations");
+  expect(row.synced).toBe(0);
+});
+
+test("unsent batches go back without counting an attempt", async () => {
+  const id = await addLocation(1000);
+  await markInFlight(db, "locations", [id]);
+  await markUnsent(db, "locations", [id]);
+
+  expect(await entry(id)).toMatchObject({ state: "pending", attempts: 0 });
+});
+
+test("failed attempts back off and fail after the last attempt", async () => {
+  const id = await addLocation(1000);
+  const now = 1_000_000;
+
+  await markAttemptFailed(db, "locations", [id], "Not acknowledged", now);
+  expect(await entry(id)).toMatchObject({
+    state: "pending",
+    attempts: 1,
+    last_error: "Not acknowledged",
+    next_retry_at: now + SYNC_RECORD_RETRY_BASE_MS,
+  });
+
+  await markAttemptFailed(db, "locations", [id], "Not acknowledged", now);
+  expect((await entry(id)).next_retry_at).toBe(
+    now + 2 * SYNC_RECORD_RETRY_BASE_MS
+  );
+
+  for (let attempt = 2; attempt < SYNC_MAX_RECORD_ATTEMPTS; attempt++) {
+    await markAttemptFailed(db, "locations", [id], "Not acknowledged", now);
+  }
+  expect(await entry(id)).toMatchObject({
+    state: "failed",
+    attempts: SYNC_MAX_RECORD_ATTEMPTS,
+  });
+});
+
+test("rejected records fail right away and can be retried", async () => {
+  const id = await addLocation(1000);
+  await markRejected(db, "locations", [
+    { recordId: id, error: "Invalid coordinates" },
+  ]);
+
+  const [item] = await getFailedItems(db);
+  expect(item).toMatchObject({
+    record_id: id,
+    attempts: 1,
+    last_error: "Invalid coordinates",
+    record_time: 1000,
+    next_retry_at: null,
+  });
+  expect((await getQueueCounts(db)).failed).toBe(1);
+
+  expect(await retryFailed(db)).toBe(1);
+  expect(await entry(id)).toMatchObject({ state: "pending", attempts: 0 });
+});
+
+test("entries left in flight are recovered", async () => {
+  const ids = [await addLocation(1000), await addLocation(2000)];
+  await markInFlight(db, "locations", ids);
+
+  expect(await recoverInFlight(db)).toBe(2);
+  expect(await getQueueCounts(db)).toMatchObject({
+    pending: 2,
+    in_flight: 0,
+  });
+});
+
+test("discarding a failed trip keeps its locations", async () => {
+  const { lastInsertRowId: tripId } = await db.runAsync(
+    `INSERT INTO trips (client_id, started_at, ended_at, synced)
+    VALUES ('trip-1', 1000, 2000, 0)`
+  );
+  await enqueue(db, "trips", tripId);
+  const locationId = await addLocation(1500);
+  await db.runAsync("UPDATE locations SET trip_id = ? WHERE id = ?", [
+    tripId,
+    locationId,
+  ]);
+  await markRejected(db, "trips", [{ recordId: tripId, error: "Bad trip" }]);
+
+  const [item] = await getFailedItems(db);
+  await discardFailed(db, item);
+
+  expect(await db.getFirstAsync("SELECT * FROM trips")).toBeNull();
+  const location = await db.getFirstAsync("SELECT trip_id FROM locations");
+  expect(location.trip_id).toBeNull();
+  expect((await getQueueCounts(db)).failed).toBe(0);
+});
@@ -0,0 +1,225 @@
+import { parseTrack, pickTrackFile } from "../src/import";
+import { buildReplayFixes, startReplay } from "../src/replay";
+
+const START = 1700000000000;
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <trk><trkseg>
+    <trkpt lat="52.5200" lon="13.4050"><ele>34</ele><time>2024-05-01T08:00:00Z</time></trkpt>
+    <trkpt lat="52.5210" lon="13.4050"><time>2024-05-01T08:00:10Z</time>
+      <extensions><gpxtpx:speed>11.5</gpxtpx:speed></extensions></trkpt>
+    <trkpt lat="52.5220" lon="13.4050" />
+  </trkseg></trk>
+  <rte><rtept lat="1" lon="2" /></rte>
+</gpx>`;
+
+describe("parseTrack", () => {
+  test("reads GPX track points with their elevation, time and speed", () => {
+    expect(parseTrack(GPX, "ride.gpx")).toEqual([
+      {
+        latitude: 52.52,
+        longitude: 13.405,
+        altitude: 34,
+        time: Date.parse("2024-05-01T08:00:00Z"),
+        speed: null,
+        heading: null,
+      },
+      {
+        latitude: 52.521,
+        longitude: 13.405,
+        altitude: null,
+        time: Date.parse("2024-05-01T08:00:10Z"),
+        speed: 11.5,
+        heading: null,
+      },
+      {
+        latitude: 52.522,
+        longitude: 13.405,
+        altitude: null,
+        time: null,
+        speed: null,
+        heading: null,
+      },
+    ]);
+  });
+
+  test("reads GeoJSON lines with their coordinate times", () => {
+    const text = JSON.stringify({
+      type: "Feature",
+      properties: { coordTimes: ["2024-05-01T08:00:00Z", null] },
+      geometry: {
+        type: "LineString",
+        coordinates: [
+          [13.405, 52.52, 34],
+          [13.405, 52.521],
+        ],
+      },
+    });
+
+    expect(parseTrack(text, "ride.json")).toMatchObject([
+      {
+        latitude: 52.52,
+        altitude: 34,
+        time: Date.parse("2024-05-01T08:00:00Z"),
+      },
+      { latitude: 52.521, altitude: null, time: null },
+    ]);
+  });
+
+  test("prefers GeoJSON point features, which carry speed and heading", () => {
+    const feature = (latitude, properties) => ({
+      type: "Feature",
+      properties,
+      geometry: { type: "Point", coordinates: [13.405, latitude] },
+    });
+    const text = JSON.stringify({
+      type: "FeatureCollection",
+      features: [
+        {
+          type: "Feature",
+          geometry: {
+            type: "LineString",
+            coordinates: [
+              [13.405, 52.52],
+              [13.405, 52.521],
+            ],
+          },
+        },
+        feature(52.52, { timestamp: START, speed: 3, course: 90 }),
+        feature(52.521, { time: START + 1000 }),
+      ],
+    });
+
+    expect(parseTrack(text)).toMatchObject([
+      { latitude: 52.52, time: START, speed: 3, heading: 90 },
+      { latitude: 52.521, time: START + 1000, speed: null },
+    ]);
+  });
+
+  test("files without points are refused", () => {
+    expect(() => parseTrack("<gpx></gpx>", "empty.gpx")).toThrow(
+      "No track points"
+    );
+  });
+
+  test("a cancelled file picker imports nothing", async () => {
+    expect(await pickTrackFile()).toBeNull();
+  });
+});
+
+describe("buildReplayFixes", () => {
+  const point = (latitude, time = null, extra = {}) => ({
+    latitude,
+    longitude: 13.405,
+    altitude: null,
+    time,
+    speed: null,
+    heading: null,
+    ...extra,
+  });
+
+  test("keeps the track's spacing in time from the start time", () => {
+    const fixes = buildReplayFixes(
+      [
+        point(52.52, 5000),
+        point(52.5201, 15000),
+        // Repeated and out-of-order times are dropped
+        point(52.5202, 15000),
+        point(52.5203, 12000),
+        point(52.5209, 25000, { speed: 4, heading: 10 }),
+      ],
+      START
+    );
+
+    expect(fixes.map((fix) => fix.timestamp)).toEqual([
+      START,
+      START + 10000,
+      START + 20000,
+    ]);
+    expect(fixes.every((fix) => fix.mocked)).toBe(true);
+
+    // Speed and heading derived from the geometry unless the track has them
+    expect(fixes[0].coords).toMatchObject({ speed: 0, heading: null });
+    expect(fixes[1].coords.speed).toBeCloseTo(1.11, 1);
+    expect(fixes[1].coords.heading).toBeCloseTo(0, 5);
+    expect(fixes[2].coords).toMatchObject({ speed: 4, heading: 10 });
+  });
+
+  test("spaces tracks without times at a steady driving speed", () => {
+    const fixes = buildReplayFixes(
+      [point(52.52), point(52.521), point(52.521)],
+      START
+    );
+
+    // About 111 m at 10 m/s, then at least a second for a repeated position
+    expect(fixes[1].timestamp - START).toBeGreaterThan(11000);
+    expect(fixes[1].timestamp - START).toBeLessThan(11300);
+    expect(fixes[2].timestamp - fixes[1].timestamp).toBe(1000);
+  });
+});
+
+describe("startReplay", () => {
+  const fixes = buildReplayFixes(
+    [0, 10000, 30000].map((time, index) => ({
+      latitude: 52.52 + index * 0.001,
+      longitude: 13.405,
+      altitude: null,
+      time,
+      speed: null,
+      heading: null,
+    })),
+    START
+  );
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test("delivers the fixes unchanged, faster by the playback speed", async () => {
+    const delivered = [];
+    const progress = [];
+    const controller = startReplay(fixes, {
+      speed: 10,
+      onFix: (fix) => delivered.push(fix),
+      onProgress: (done, total) => progress.push([done, total]),
+    });
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(delivered).toHaveLength(1);
+    await jest.advanceTimersByTimeAsync(999);
+    expect(delivered).toHaveLength(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(delivered).toHaveLength(2);
+    await jest.advanceTimersByTimeAsync(2000);
+
+    expect(await controller.done).toBe(3);
+    expect(delivered).toEqual(fixes);
+    expect(progress).toEqual([
+      [1, 3],
+      [2, 3],
+      [3, 3],
+    ]);
+  });
+
+  test("stop ends the replay early and failing fixes don't", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const onFix = jest.fn(async () => {
+      throw new Error("Filtered");
+    });
+    const controller = startReplay(fixes, { onFix });
+
+    await jest.advanceTimersByTimeAsync(10000);
+    controller.stop();
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(await controller.done).toBe(2);
+    expect(onFix).toHaveBeenCalledTimes(2);
+    expect(error).toHaveBeenCalledTimes(2);
+    error.mockRestore();
+  });
+});
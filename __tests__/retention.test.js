@@ -0,0 +1,157 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+import { markInFlight, markSynced, getQueueCounts } from "../src/queue";
+import { startTrip, endTrip } from "../src/trips";
+import { RETENTION_RUN_INTERVAL_MS } from "../src/config";
+import { DEFAULT_SETTINGS } from "../src/settings";
+import {
+  applyRetention,
+  runScheduledRetention,
+  describeRetention,
+  formatBytes,
+} from "../src/retention";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = 1700000000000;
+
+let db;
+
+const fix = (daysAgo) => ({
+  timestamp: NOW - daysAgo * DAY_MS,
+  coords: {
+    latitude: 52.52 + daysAgo * 0.01,
+    longitude: 13.405,
+    accuracy: 5,
+    altitude: null,
+    speed: null,
+    heading: null,
+  },
+});
+
+const policy = (changes = {}) => ({ ...DEFAULT_SETTINGS, ...changes });
+
+const count = async (table, where = "1") =>
+  (
+    await db.getFirstAsync(
+      `SELECT COUNT(*) AS count FROM ${table} WHERE ${where}`
+    )
+  ).count;
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+
+  // Synced and unsynced points from 40 days ago and from yesterday
+  const { ids } = await saveLocations(
+    db,
+    [fix(40), fix(40.5), fix(1), fix(1.5)],
+    { filter: false }
+  );
+  const synced = [ids[0], ids[2]];
+  await markInFlight(db, "locations", synced);
+  await markSynced(db, "locations", synced);
+  await db.runAsync("DELETE FROM app_logs");
+});
+
+test("only synced data past the retention period is deleted", async () => {
+  const result = await applyRetention(db, policy(), { now: NOW });
+
+  expect(result).toMatchObject({ locations: 1, vacuumed: false });
+  expect(await count("locations")).toBe(3);
+  expect(await count("locations", "synced = 0")).toBe(2);
+  expect((await getQueueCounts(db)).pending).toBe(2);
+});
+
+test("the override deletes unsynced data and its queue entries", async () => {
+  const result = await applyRetention(db, policy({ purgeUnsynced: true }), {
+    now: NOW,
+  });
+
+  expect(result.locations).toBe(2);
+  expect(await count("locations")).toBe(2);
+  expect((await getQueueCounts(db)).pending).toBe(1);
+});
+
+test("old trips go once their points are gone", async () => {
+  const old = await startTrip(db, NOW - 41 * DAY_MS);
+  await endTrip(db, old, NOW - 40 * DAY_MS, "manual");
+  const withPoints = await startTrip(db, NOW - 41 * DAY_MS);
+  await endTrip(db, withPoints, NOW - 40 * DAY_MS, "manual");
+  await db.runAsync("UPDATE locations SET trip_id = ? WHERE synced = 0", [
+    withPoints,
+  ]);
+  await db.runAsync("UPDATE trips SET synced = 1");
+
+  const result = await applyRetention(db, policy(), { now: NOW });
+
+  expect(result.trips).toBe(1);
+  expect(
+    (await db.getAllAsync("SELECT id FROM trips")).map(({ id }) => id)
+  ).toEqual([withPoints]);
+});
+
+test("logs are capped by age and count", async () => {
+  await db.runAsync(
+    "INSERT INTO app_logs (message, created_at) VALUES ('old', datetime(?, 'unixepoch'))",
+    [Math.floor((NOW - 20 * DAY_MS) / 1000)]
+  );
+  for (let index = 0; index < 5; index++) {
+    await db.runAsync(
+      "INSERT INTO app_logs (message, created_at) VALUES (?, datetime(?, 'unixepoch'))",
+      [`entry ${index}`, Math.floor(NOW / 1000)]
+    );
+  }
+
+  const result = await applyRetention(db, policy({ logMaxRows: 3 }), {
+    now: NOW,
+  });
+
+  expect(result.logs).toBe(3);
+  expect(
+    (await db.getAllAsync("SELECT message FROM app_logs ORDER BY id")).map(
+      ({ message }) => message
+    )
+  ).toEqual(["entry 2", "entry 3", "entry 4"]);
+});
+
+test("VACUUM reports the space it freed", async () => {
+  const result = await applyRetention(db, policy({ purgeUnsynced: true }), {
+    now: NOW,
+    vacuum: true,
+  });
+
+  expect(result.vacuumed).toBe(true);
+  expect(result.sizeAfter).toBeGreaterThan(0);
+  expect(result.freedBytes).toBe(
+    Math.max(0, result.sizeBefore - result.sizeAfter)
+  );
+  expect(describeRetention(result)).toMatch(
+    /^Retention: deleted 2 locations, 0 trips, 0 geofence events and 0 log entries; freed \d+ KB \(vacuumed\), database is \d+ KB$/
+  );
+});
+
+test("scheduled runs happen once per interval", async () => {
+  const first = await runScheduledRetention(db, policy(), NOW);
+  expect(first).toMatchObject({ locations: 1, vacuumed: true });
+
+  expect(
+    await runScheduledRetention(
+      db,
+      policy(),
+      NOW + RETENTION_RUN_INTERVAL_MS - 1
+    )
+  ).toBeNull();
+
+  const next = await runScheduledRetention(
+    db,
+    policy(),
+    NOW + RETENTION_RUN_INTERVAL_MS
+  );
+  expect(next).toMatchObject({ locations: 0, vacuumed: false });
+});
+
+test("formatBytes uses KB and MB", () => {
+  expect(formatBytes(4096)).toBe("4 KB");
+  expect(formatBytes(3.5 * 1024 * 1024)).toBe("3.5 MB");
+});
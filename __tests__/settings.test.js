@@ -0,0 +1,79 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  DEFAULT_SETTINGS,
+  SettingsError,
+  validateSetting,
+  parseSetting,
+  getSettings,
+  saveSettings,
+  resetSettings,
+} from "../src/settings";
+
+test("validateSetting checks each type", () => {
+  expect(validateSetting("syncInterval", 30)).toBeNull();
+  expect(validateSetting("syncInterval", 5)).toBe(
+    "Background sync interval must be between 15 and 1440"
+  );
+  expect(validateSetting("syncInterval", "30")).toMatch("must be a number");
+  expect(validateSetting("wifiOnly", "yes")).toMatch("on or off");
+  expect(validateSetting("serverUrl", "https://sync.example.com")).toBeNull();
+  expect(validateSetting("serverUrl", "sync.example.com")).toMatch(
+    "http:// or https://"
+  );
+  expect(validateSetting("notificationTitle", " ")).toMatch("can't be empty");
+  expect(validateSetting("notificationTitle", "x".repeat(61))).toMatch(
+    "at most 60"
+  );
+  expect(validateSetting("theme", "dark")).toBe("Unknown setting: theme");
+});
+
+test("parseSetting converts input text", () => {
+  expect(parseSetting("batchKb", " 64 ")).toBe(64);
+  expect(parseSetting("batchKb", "6.4")).toBe("6.4");
+  expect(parseSetting("serverUrl", " https://sync.example.com// ")).toBe(
+    "https://sync.example.com"
+  );
+  expect(parseSetting("notificationBody", "  On duty ")).toBe("On duty");
+  expect(parseSetting("wifiOnly", true)).toBe(true);
+});
+
+test("saved settings are read back, defaults fill the rest", async () => {
+  expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+
+  const saved = await saveSettings({ wifiOnly: true, refreshInterval: 10 });
+
+  expect(saved).toEqual({
+    ...DEFAULT_SETTINGS,
+    wifiOnly: true,
+    refreshInterval: 10,
+  });
+  expect(await getSettings()).toEqual(saved);
+  expect(await resetSettings()).toEqual(DEFAULT_SETTINGS);
+  expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+});
+
+test("invalid changes are refused and nothing is saved", async () => {
+  const error = await saveSettings({
+    wifiOnly: true,
+    syncInterval: 1,
+    retentionDays: 0,
+  }).catch((e) => e);
+
+  expect(error).toBeInstanceOf(SettingsError);
+  expect(Object.keys(error.errors)).toEqual(["syncInterval", "retentionDays"]);
+  expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+});
+
+test("stored values that don't validate fall back to the default", async () => {
+  await AsyncStorage.setItem(
+    "settings",
+    JSON.stringify({ syncInterval: 2, logMaxDays: 7, removed: 1 })
+  );
+
+  expect(await getSettings()).toEqual({ ...DEFAULT_SETTINGS, logMaxDays: 7 });
+
+  const errorLog = jest.spyOn(console, "error").mockImplementation(() => {});
+  await AsyncStorage.setItem("settings", "{broken");
+  expect(await getSettings()).toEqual(DEFAULT_SETTINGS);
+  errorLog.mockRestore();
+});
@@ -0,0 +1,112 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+import { TRIP_GAP_MS } from "../src/config";
+import { haversineDistance } from "../src/geo";
+import {
+  computeMovementStats,
+  getMovementStats,
+  startOfDay,
+} from "../src/stats";
+
+const START = 1700000000000;
+
+// A point `meters` north of the start, `seconds` after START
+const point = (meters, seconds, speed = null) => ({
+  latitude: 52.52 + meters / 111320,
+  longitude: 13.405,
+  speed,
+  timestamp: START + seconds * 1000,
+});
+
+test("haversineDistance measures along the surface", () => {
+  expect(haversineDistance(point(0, 0), point(1000, 0))).toBeCloseTo(1000, -1);
+  expect(haversineDistance(point(0, 0), point(0, 0))).toBe(0);
+});
+
+describe("computeMovementStats", () => {
+  test("splits time into moving and stationary segments", () => {
+    const stats = computeMovementStats([
+      point(0, 0),
+      point(100, 10),
+      point(200, 20),
+      // Standing still for a minute
+      point(200, 80),
+    ]);
+
+    expect(stats.distance).toBeCloseTo(200, 0);
+    expect(stats.movingTime).toBe(20000);
+    expect(stats.stationaryTime).toBe(60000);
+    expect(stats.averageSpeed).toBeCloseTo(10, 1);
+    expect(stats.maxSpeed).toBeCloseTo(10, 1);
+    expect(stats).toMatchObject({
+      pointCount: 4,
+      startedAt: START,
+      endedAt: START + 80000,
+    });
+  });
+
+  test("prefers the speed the GPS reported", () => {
+    const stats = computeMovementStats([point(0, 0), point(100, 10, 14)]);
+
+    expect(stats.maxSpeed).toBe(14);
+  });
+
+  test("skips gaps in recording", () => {
+    const gap = TRIP_GAP_MS / 1000 + 10;
+    const stats = computeMovementStats([
+      point(0, 0),
+      point(100, 10),
+      point(5000, 10 + gap),
+    ]);
+
+    expect(stats.distance).toBeCloseTo(100, 0);
+    expect(stats.movingTime + stats.stationaryTime).toBe(10000);
+  });
+
+  test("is all zeros without movement", () => {
+    expect(computeMovementStats([])).toMatchObject({
+      distance: 0,
+      movingTime: 0,
+      averageSpeed: 0,
+      maxSpeed: 0,
+      pointCount: 0,
+      startedAt: null,
+    });
+    expect(computeMovementStats([point(0, 0)]).averageSpeed).toBe(0);
+  });
+});
+
+test("getMovementStats covers the stored points in the range", async () => {
+  const db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+  await saveLocations(
+    db,
+    [0, 1, 2, 3, 4].map((index) => ({
+      timestamp: START + index * 10000,
+      coords: { ...point(index * 100, 0), accuracy: 5 },
+    })),
+    { filter: false }
+  );
+
+  const all = await getMovementStats(db);
+  const part = await getMovementStats(db, {
+    from: START + 10000,
+    to: START + 30000,
+  });
+
+  expect(all.distance).toBeCloseTo(400, 0);
+  expect(part).toMatchObject({
+    pointCount: 3,
+    startedAt: START + 10000,
+    endedAt: START + 30000,
+  });
+  expect(part.distance).toBeCloseTo(200, 0);
+});
+
+test("startOfDay is local midnight", () => {
+  const midnight = new Date(2024, 2, 10).getTime();
+
+  expect(startOfDay(midnight + 13 * 3600 * 1000)).toBe(midnight);
+  expect(startOfDay(midnight)).toBe(midnight);
+});
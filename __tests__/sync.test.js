@@ -0,0 +1,305 @@
+import * as SQLite from "expo-sqlite";
+import * as SecureStore from "expo-secure-store";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+import { enqueue, getQueueCounts } from "../src/queue";
+import { startTrip } from "../src/trips";
+import { addGeofence, getGeofences, checkGeofences } from "../src/geofences";
+import {
+  SyncError,
+  backoffDelay,
+  postWithRetry,
+  syncAll,
+  syncTotals,
+} from "../src/sync";
+
+const SERVER_URL = "http://sync.test";
+
+let db;
+let requests;
+// Answers POST bodies with { status, body, headers }; GET /geofences always
+// returns no geofences
+let respond;
+
+const reply = ({ status = 200, body = {}, headers = {} }) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null },
+  json: async () => body,
+});
+
+const fix = (index) => ({
+  timestamp: 1700000000000 + index * 10000,
+  coords: {
+    latitude: 52.52 + index * 0.0005,
+    longitude: 13.405,
+    accuracy: 5,
+    altitude: null,
+    speed: null,
+    heading: null,
+  },
+});
+
+const queueState = (timestamp) =>
+  db.getFirstAsync(
+    `SELECT sync_queue.* FROM sync_queue JOIN locations
+    ON sync_queue.table_name = 'locations' AND sync_queue.record_id = locations.id
+    WHERE locations.timestamp = ?`,
+    [timestamp]
+  );
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+  await SecureStore.setItemAsync(
+    "deviceCredentials",
+    JSON.stringify({
+      deviceId: "device-1",
+      serverUrl: SERVER_URL,
+      token: "token-1",
+      refreshToken: "refresh-1",
+    })
+  );
+  await saveLocations(db, [fix(0), fix(1), fix(2), fix(3)]);
+
+  requests = [];
+  respond = (body) => ({
+    body: { accepted: body.points.map((point) => point.id) },
+  });
+  global.fetch = jest.fn(async (url, options = {}) => {
+    if (!options.method) return reply({ body: { geofences: [] } });
+
+    const body = JSON.parse(options.body);
+    requests.push({ url, headers: options.headers, body });
+    return reply(respond(body));
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("uploads pending locations with the device credentials", async () => {
+  const result = await syncAll(db, { serverUrl: SERVER_URL });
+
+  expect(requests).toHaveLength(1);
+  expect(requests[0].url).toBe(`${SERVER_URL}/locations`);
+  expect(requests[0].headers).toMatchObject({
+    Authorization: "Bearer token-1",
+    "X-Device-Id": "device-1",
+  });
+  expect(requests[0].body.points).toHaveLength(4);
+
+  expect(syncTotals(result)).toMatchObject({
+    sent: 4,
+    acknowledged: 4,
+    rejected: 0,
+  });
+  expect(await getQueueCounts(db)).toEqual({
+    pending: 0,
+    in_flight: 0,
+    failed: 0,
+  });
+  const synced = await db.getFirstAsync(
+    "SELECT COUNT(*) AS count FROM locations WHERE synced = 1"
+  );
+  expect(synced.count).toBe(4);
+
+  // Nothing is sent twice
+  await syncAll(db, { serverUrl: SERVER_URL });
+  expect(requests).toHaveLength(1);
+});
+
+test("splits uploads into batches that fit the byte limit", async () => {
+  const result = await syncAll(db, { serverUrl: SERVER_URL, batchBytes: 500 });
+
+  expect(requests.length).toBeGreaterThan(1);
+  expect(result.locations.batches).toBe(requests.length);
+  expect(result.locations.acknowledged).toBe(4);
+});
+
+test("records rejected and unacknowledged points", async () => {
+  respond = ({ points }) => ({
+    body: {
+      accepted: [points[0].id, points[1].id],
+      rejected: [{ id: points[2].id, error: "Invalid fix" }],
+    },
+  });
+
+  const result = await syncAll(db, { serverUrl: SERVER_URL });
+
+  expect(result.locations).toMatchObject({
+    sent: 4,
+    acknowledged: 2,
+    rejected: 1,
+  });
+  expect(await queueState(fix(2).timestamp)).toMatchObject({
+    state: "failed",
+    last_error: "Invalid fix",
+  });
+  const unacknowledged = await queueState(fix(3).timestamp);
+  expect(unacknowledged).toMatchObject({
+    state: "pending",
+    attempts: 1,
+    last_error: "Not acknowledged by the server",
+  });
+  expect(unacknowledged.next_retry_at).toBeGreaterThan(Date.now());
+});
+
+test("a batch the server rejects counts an attempt", async () => {
+  respond = () => ({ status: 400 });
+
+  await expect(syncAll(db, { serverUrl: SERVER_URL })).rejects.toMatchObject({
+    status: 400,
+  });
+  expect(await queueState(fix(0).timestamp)).toMatchObject({
+    state: "pending",
+    attempts: 1,
+  });
+});
+
+test("a batch that never got through stays pending", async () => {
+  global.fetch.mockImplementation(async () => {
+    throw new TypeError("Network request failed");
+  });
+
+  await expect(
+    syncAll(db, { serverUrl: SERVER_URL, retries: 0 })
+  ).rejects.toThrow("Network request failed");
+  expect(await getQueueCounts(db)).toMatchObject({
+    pending: 4,
+    in_flight: 0,
+  });
+  expect((await queueState(fix(0).timestamp)).attempts).toBe(0);
+});
+
+test("sync pauses without credentials for the server", async () => {
+  await expect(
+    syncAll(db, { serverUrl: "http://other.test" })
+  ).rejects.toMatchObject({ name: "AuthError" });
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+describe("postWithRetry", () => {
+  const URL = `${SERVER_URL}/locations`;
+  // Replies to the POSTs in turn; the last one repeats
+  const replies = (...answers) => {
+    global.fetch.mockImplementation(async () => {
+      const answer = answers.length > 1 ? answers.shift() : answers[0];
+      if (answer instanceof Error) throw answer;
+      return reply(answer);
+    });
+  };
+
+  test("retries network errors, 429 and 5xx responses", async () => {
+    replies(
+      new TypeError("Network request failed"),
+      { status: 429 },
+      { status: 503 },
+      { body: { accepted: ["a"] } }
+    );
+
+    expect(await postWithRetry(URL, { points: [] }, { baseDelay: 1 })).toEqual({
+      accepted: ["a"],
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+
+  test("gives up after the last retry", async () => {
+    replies({ status: 500 });
+
+    await expect(
+      postWithRetry(URL, {}, { retries: 2, baseDelay: 1 })
+    ).rejects.toMatchObject({ name: "SyncError", status: 500 });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  test("doesn't retry a batch the server refuses", async () => {
+    replies({ status: 422 });
+
+    await expect(postWithRetry(URL, {}, { baseDelay: 1 })).rejects.toThrow(
+      SyncError
+    );
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test("backoffDelay stays below the capped exponential ceiling", () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const delay = backoffDelay(attempt, 100, 1000);
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThan(Math.min(1000, 100 * 2 ** attempt));
+    }
+  });
+});
+
+test("trips and geofence events are uploaded before the points", async () => {
+  const tripId = await startTrip(db, fix(0).timestamp);
+  await db.runAsync("UPDATE locations SET trip_id = ?", [tripId]);
+  await addGeofence(db, {
+    name: "Depot",
+    latitude: 52.52,
+    longitude: 13.405,
+    clientId: "depot",
+  });
+  await checkGeofences(db, await getGeofences(db), {
+    latitude: 52.52,
+    longitude: 13.405,
+    timestamp: fix(0).timestamp,
+  });
+  respond = (body) => ({
+    body: {
+      accepted: (body.trips || body.events || body.points).map(
+        (item) => item.id
+      ),
+    },
+  });
+
+  const result = await syncAll(db, { serverUrl: SERVER_URL });
+
+  expect(requests.map(({ url }) => url.slice(SERVER_URL.length))).toEqual([
+    "/trips",
+    "/geofence-events",
+    "/locations",
+  ]);
+  const [trips, events, locations] = requests.map(({ body }) => body);
+  expect(trips.trips).toMatchObject([
+    { started_at: fix(0).timestamp, ended_at: null },
+  ]);
+  expect(events.events).toMatchObject([
+    { geofence_id: "depot", event_type: "enter" },
+  ]);
+  expect(locations.points.map((point) => point.trip_id)).toEqual(
+    Array(4).fill(trips.trips[0].id)
+  );
+  expect(result.trips.acknowledged).toBe(1);
+  expect(result.events.acknowledged).toBe(1);
+});
+
+test("a batch sent again carries the same client ids", async () => {
+  // A point recorded before client ids existed
+  const { lastInsertRowId } = await db.runAsync(
+    "INSERT INTO locations (latitude, longitude, timestamp) VALUES (52.5, 13.4, 1)"
+  );
+  await enqueue(db, "locations", lastInsertRowId);
+  respond = () => ({ status: 503 });
+
+  await expect(
+    syncAll(db, { serverUrl: SERVER_URL, retries: 0 })
+  ).rejects.toMatchObject({ status: 503 });
+  respond = (body) => ({
+    body: { accepted: body.points.map((point) => point.id) },
+  });
+  await syncAll(db, { serverUrl: SERVER_URL });
+
+  const [first, second] = requests.map(({ body }) =>
+    body.points.map((point) => point.id)
+  );
+  expect(first).toHaveLength(5);
+  expect(first.every(Boolean)).toBe(true);
+  expect(second).toEqual(first);
+  const legacy = await db.getFirstAsync(
+    "SELECT client_id FROM locations WHERE id = ?",
+    [lastInsertRowId]
+  );
+  expect(first).toContain(legacy.client_id);
+});
@@ -0,0 +1,349 @@
+// The tracker runs against fresh modules in every test, on a freshly
+// installed device: empty database and storage, no running OS tasks
+let Tracker;
+let Location;
+let TaskManager;
+let NetInfo;
+let AsyncStorage;
+
+const fix = (index, start = 1700000000000) => ({
+  timestamp: start + index * 10000,
+  coords: {
+    latitude: 52.52 + index * 0.0005,
+    longitude: 13.405,
+    accuracy: 5,
+    altitude: null,
+    speed: 5,
+    heading: null,
+  },
+});
+
+// Credentials for the default sync server
+const storeCredentials = () => {
+  const SecureStore = require("expo-secure-store");
+  const { SYNC_SERVER_URL } = require("../src/config");
+  return SecureStore.setItemAsync(
+    "deviceCredentials",
+    JSON.stringify({
+      deviceId: "device-1",
+      serverUrl: SYNC_SERVER_URL,
+      token: "token-1",
+      refreshToken: "refresh-1",
+    })
+  );
+};
+
+beforeEach(() => {
+  jest.resetModules();
+  Tracker = require("../src/tracker");
+  Location = require("expo-location");
+  TaskManager = require("expo-task-manager");
+  NetInfo = require("@react-native-community/netinfo").default;
+  AsyncStorage = require("@react-native-async-storage/async-storage").default;
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test("init opens the database once and reports the tracking state", async () => {
+  const states = [];
+  Tracker.subscribe("state", (state) => states.push(state));
+
+  const first = await Tracker.init();
+  const second = await Tracker.init();
+
+  expect(second.db).toBe(first.db);
+  expect(first.tracking).toBe(false);
+  expect(states).toEqual([
+    { tracking: false, profile: expect.objectContaining({ key: "balanced" }) },
+  ]);
+});
+
+test("start and stop run the OS tasks and record a trip", async () => {
+  const states = [];
+  Tracker.subscribe("state", ({ tracking }) => states.push(tracking));
+
+  const { tripId, profile } = await Tracker.start("high");
+  expect(profile.key).toBe("high");
+  expect(Location.__state.updates.has(Tracker.LOCATION_TASK_NAME)).toBe(true);
+  expect(await TaskManager.isTaskRegisteredAsync(Tracker.SYNC_TASK_NAME)).toBe(
+    true
+  );
+  expect(await Tracker.isTracking()).toBe(true);
+  expect((await Tracker.getStats()).currentTrip).toMatchObject({
+    id: tripId,
+    ended_at: null,
+  });
+  await expect(Tracker.start()).rejects.toThrow("already running");
+
+  expect(await Tracker.stop()).toEqual({ tripId });
+  expect(Location.__state.updates.size).toBe(0);
+  expect(await Tracker.isTracking()).toBe(false);
+  expect((await Tracker.getStats()).currentTrip).toBeNull();
+
+  const session = await Tracker.getTrackingSession();
+  expect(session.stoppedAt).toBeGreaterThanOrEqual(session.startedAt);
+  expect(states).toEqual([false, true, false]);
+});
+
+test("switching profiles while tracking restarts updates and the trip", async () => {
+  const { tripId } = await Tracker.start("balanced");
+
+  const profile = await Tracker.setProfile("high");
+
+  expect(profile.key).toBe("high");
+  expect(
+    Location.__state.updates.get(Tracker.LOCATION_TASK_NAME)
+  ).toMatchObject({
+    accuracy: Location.Accuracy.Highest,
+    timeInterval: 10000,
+    distanceInterval: 5,
+  });
+  const { currentTrip } = await Tracker.getStats();
+  expect(currentTrip).toMatchObject({ profile: "high", ended_at: null });
+  expect(currentTrip.id).not.toBe(tripId);
+
+  await Tracker.stop();
+  expect((await Tracker.setProfile("battery")).key).toBe("battery");
+  expect(Location.__state.updates.size).toBe(0);
+});
+
+test("the tracking notification follows the saved settings", async () => {
+  const { saveSettings } = require("../src/settings");
+  const notification = () =>
+    Location.__state.updates.get(Tracker.LOCATION_TASK_NAME).foregroundService;
+  await saveSettings({ notificationTitle: "On duty" });
+
+  expect(await Tracker.applySettings()).toBe(false);
+  await Tracker.start();
+  expect(notification().notificationTitle).toBe("On duty");
+
+  await saveSettings({ notificationBody: "Route 12" });
+  expect(await Tracker.applySettings()).toBe(true);
+  expect(notification()).toMatchObject({
+    notificationTitle: "On duty",
+    notificationBody: "Route 12",
+  });
+});
+
+test("start needs the location permission", async () => {
+  Location.__state.permission = "denied";
+
+  await expect(Tracker.start()).rejects.toThrow("permission");
+  expect(await Tracker.isTracking()).toBe(false);
+});
+
+test("init resumes tracking the OS stopped", async () => {
+  await AsyncStorage.setItem("isTracking", "true");
+
+  const { tracking } = await Tracker.init();
+
+  expect(tracking).toBe(true);
+  expect(Location.__state.updates.has(Tracker.LOCATION_TASK_NAME)).toBe(true);
+  expect(await TaskManager.isTaskRegisteredAsync(Tracker.SYNC_TASK_NAME)).toBe(
+    true
+  );
+});
+
+test("init marks tracking stopped when it can't resume", async () => {
+  const { saveSettings } = require("../src/settings");
+  const { openDatabase } = require("../src/db");
+  const { startTrip } = require("../src/trips");
+  await saveSettings({ resumeTracking: false });
+  // Tracking was on when the OS killed the location updates
+  await AsyncStorage.setItem("isTracking", "true");
+  await require("expo-background-fetch").registerTaskAsync(
+    Tracker.SYNC_TASK_NAME
+  );
+  const tripId = await startTrip(await openDatabase(), Date.now() - 60000);
+
+  const { db, tracking } = await Tracker.init();
+
+  expect(tracking).toBe(false);
+  expect(await Tracker.isTracking()).toBe(false);
+  expect(await TaskManager.isTaskRegisteredAsync(Tracker.SYNC_TASK_NAME)).toBe(
+    false
+  );
+  expect(
+    await db.getFirstAsync("SELECT end_reason FROM trips WHERE id = ?", [
+      tripId,
+    ])
+  ).toEqual({ end_reason: "recovery" });
+  const [recovery] = await db.getAllAsync(
+    "SELECT level, message FROM app_logs WHERE message LIKE '%resuming is turned off%'"
+  );
+  expect(recovery.level).toBe("warn");
+});
+
+test("recorded locations are emitted, counted and queried", async () => {
+  const events = [];
+  const unsubscribe = Tracker.subscribe("location", (event) =>
+    events.push(event)
+  );
+
+  const result = await Tracker.recordLocations([fix(0), fix(1), fix(1)]);
+  expect(result).toMatchObject({ saved: 2, duplicates: 1 });
+  expect(events).toHaveLength(1);
+  expect(events[0].points.map((point) => point.timestamp)).toEqual([
+    fix(0).timestamp,
+    fix(1).timestamp,
+  ]);
+
+  unsubscribe();
+  await Tracker.recordLocations([fix(2)]);
+  expect(events).toHaveLength(1);
+
+  expect(await Tracker.getStats()).toMatchObject({
+    total: 3,
+    synced: 0,
+    pending: 3,
+    withheld: 0,
+    failed: 0,
+    tracking: false,
+  });
+
+  const page = await Tracker.query(
+    { from: fix(1).timestamp },
+    { pageSize: 1, descending: true }
+  );
+  expect(page.rows).toHaveLength(1);
+  expect(page.rows[0].timestamp).toBe(fix(2).timestamp);
+  expect(page.cursor).not.toBeNull();
+
+  const next = await Tracker.query(
+    { from: fix(1).timestamp },
+    { pageSize: 1, descending: true, cursor: page.cursor }
+  );
+  expect(next.rows.map((row) => row.timestamp)).toEqual([fix(1).timestamp]);
+});
+
+test("the background location task saves fixes to the open trip", async () => {
+  const { tripId } = await Tracker.start();
+
+  await TaskManager.__runTask(Tracker.LOCATION_TASK_NAME, {
+    data: { locations: [fix(0, Date.now()), fix(1, Date.now())] },
+  });
+
+  const { rows } = await Tracker.query({ tripId }, { columns: "trip_id" });
+  expect(rows).toHaveLength(2);
+});
+
+test("subscribe rejects unknown events", () => {
+  expect(() => Tracker.subscribe("trip", () => {})).toThrow(
+    "Unknown tracker event"
+  );
+});
+
+describe("syncNow", () => {
+  beforeEach(async () => {
+    await storeCredentials();
+
+    // A server acknowledging everything it gets
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const body = options.method ? JSON.parse(options.body) : {};
+      const items = body.points || body.trips || body.events || [];
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () =>
+          options.method
+            ? { accepted: items.map((item) => item.id) }
+            : { geofences: [] },
+      };
+    });
+    NetInfo.__setState({ isConnected: true, type: "wifi" });
+  });
+
+  test("uploads pending locations and emits the result", async () => {
+    const events = [];
+    Tracker.subscribe("sync", (event) => events.push(event));
+    await Tracker.recordLocations([fix(0), fix(1)]);
+
+    const result = await Tracker.syncNow();
+
+    expect(result.locations.acknowledged).toBe(2);
+    expect(events).toEqual([{ result }]);
+    expect(await Tracker.getStats()).toMatchObject({ synced: 2, pending: 0 });
+  });
+
+  test("does nothing while offline", async () => {
+    NetInfo.__setState({ isConnected: false, type: "none" });
+    await Tracker.recordLocations([fix(0)]);
+
+    expect(await Tracker.syncNow()).toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(await TaskManager.__runTask(Tracker.SYNC_TASK_NAME)).toBe(
+      require("expo-background-fetch").BackgroundFetchResult.NoData
+    );
+  });
+
+  test("emits sync errors", async () => {
+    const events = [];
+    Tracker.subscribe("sync", (event) => events.push(event));
+    global.fetch.mockImplementation(async () => {
+      throw new TypeError("Network request failed");
+    });
+    await Tracker.recordLocations([fix(0)]);
+
+    await expect(Tracker.syncNow({ retries: 0 })).rejects.toThrow(
+      "Network request failed"
+    );
+    expect(events).toEqual([{ error: expect.any(TypeError) }]);
+    expect((await Tracker.getStats()).pending).toBe(1);
+  });
+});
+
+describe("background sync task", () => {
+  const runSyncTask = () => TaskManager.__runTask(Tracker.SYNC_TASK_NAME);
+  let BackgroundFetchResult;
+
+  beforeEach(async () => {
+    ({ BackgroundFetchResult } = require("expo-background-fetch"));
+    await storeCredentials();
+    global.fetch = jest.fn(async (url, options = {}) => {
+      const body = options.method ? JSON.parse(options.body) : {};
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () =>
+          options.method
+            ? { accepted: (body.points || []).map((point) => point.id) }
+            : { geofences: [] },
+      };
+    });
+    NetInfo.__setState({ isConnected: true, type: "wifi" });
+  });
+
+  test("reports new data once it uploaded pending locations", async () => {
+    await Tracker.recordLocations([fix(0), fix(1)]);
+
+    expect(await runSyncTask()).toBe(BackgroundFetchResult.NewData);
+    expect(await Tracker.getStats()).toMatchObject({ synced: 2, pending: 0 });
+    expect(await runSyncTask()).toBe(BackgroundFetchResult.NoData);
+  });
+
+  test("reports a failure when the server takes nothing", async () => {
+    await Tracker.recordLocations([fix(0)]);
+    global.fetch.mockImplementation(async (url, options = {}) => ({
+      ok: !options.method,
+      status: options.method ? 400 : 200,
+      headers: { get: () => null },
+      json: async () => ({ geofences: [] }),
+    }));
+
+    expect(await runSyncTask()).toBe(BackgroundFetchResult.Failed);
+    expect((await Tracker.getStats()).synced).toBe(0);
+  });
+
+  test("reports a failure without valid credentials", async () => {
+    const SecureStore = require("expo-secure-store");
+    await SecureStore.deleteItemAsync("deviceCredentials");
+    await Tracker.recordLocations([fix(0)]);
+
+    expect(await runSyncTask()).toBe(BackgroundFetchResult.Failed);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+import { planReconciliation } from "../src/tracking";
+
+const RESUME = { resumeTracking: true };
+
+const state = (changes = {}) => ({
+  wanted: true,
+  locationRunning: true,
+  syncRegistered: true,
+  permitted: true,
+  ...changes,
+});
+
+test("matching states need nothing", () => {
+  expect(planReconciliation(state(), RESUME)).toEqual({
+    tracking: true,
+    actions: [],
+    message: null,
+    level: "warn",
+  });
+  expect(
+    planReconciliation(
+      state({ wanted: false, locationRunning: false, syncRegistered: false }),
+      RESUME
+    )
+  ).toMatchObject({ tracking: false, actions: [], message: null });
+});
+
+test("a missing sync task is registered again", () => {
+  expect(
+    planReconciliation(state({ syncRegistered: false }), RESUME)
+  ).toMatchObject({ tracking: true, actions: ["registerSync"] });
+});
+
+test("stopped location updates are restarted when resuming is on", () => {
+  expect(
+    planReconciliation(state({ locationRunning: false }), RESUME)
+  ).toMatchObject({ tracking: true, actions: ["startLocation"] });
+  expect(
+    planReconciliation(
+      state({ locationRunning: false, syncRegistered: false }),
+      RESUME
+    )
+  ).toMatchObject({
+    tracking: true,
+    actions: ["startLocation", "registerSync"],
+    level: "warn",
+  });
+});
+
+test("tracking is marked stopped when it can't resume", () => {
+  const off = planReconciliation(state({ locationRunning: false }), {
+    resumeTracking: false,
+  });
+  expect(off).toMatchObject({
+    tracking: false,
+    actions: ["markStopped", "unregisterSync"],
+  });
+  expect(off.message).toMatch("resuming is turned off");
+
+  const denied = planReconciliation(
+    state({ locationRunning: false, syncRegistered: false, permitted: false }),
+    RESUME
+  );
+  expect(denied).toMatchObject({ tracking: false, actions: ["markStopped"] });
+  expect(denied.message).toMatch("permission is missing");
+});
+
+test("OS tasks left running with tracking off are stopped", () => {
+  expect(planReconciliation(state({ wanted: false }), RESUME)).toMatchObject({
+    tracking: false,
+    actions: ["stopLocation", "unregisterSync"],
+  });
+  expect(
+    planReconciliation(state({ wanted: false, locationRunning: false }), RESUME)
+  ).toMatchObject({
+    tracking: false,
+    actions: ["unregisterSync"],
+    level: "info",
+  });
+});
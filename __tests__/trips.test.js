@@ -0,0 +1,210 @@
+import * as SQLite from "expo-sqlite";
+import { migrate } from "../src/migrations";
+import { saveLocations } from "../src/ingest";
+import { markInFlight, markSynced } from "../src/queue";
+import { TRIP_GAP_MS } from "../src/config";
+import {
+  getOpenTrip,
+  startTrip,
+  endOpenTrip,
+  refreshTripStats,
+  getRecentTrips,
+} from "../src/trips";
+
+const START = 1700000000000;
+
+let db;
+
+// A fix `meters` north of the start, `seconds` after START
+const fix = (meters, seconds) => ({
+  timestamp: START + seconds * 1000,
+  coords: {
+    latitude: 52.52 + meters / 111320,
+    longitude: 13.405,
+    accuracy: 5,
+    altitude: null,
+    speed: null,
+    heading: null,
+  },
+});
+
+const record = (fixes) =>
+  saveLocations(db, fixes, { trips: true, profile: "balanced", filter: false });
+
+// Driving north at 10 m/s for `count` fixes from `meters`, `seconds`
+const drive = (count, meters = 0, seconds = 0) =>
+  Array.from({ length: count }, (_, index) =>
+    fix(meters + index * 100, seconds + index * 10)
+  );
+
+// Standing at `meters` once a minute for `minutes` minutes after `seconds`
+const stand = (minutes, meters, seconds) =>
+  Array.from({ length: minutes }, (_, index) =>
+    fix(meters, seconds + (index + 1) * 60)
+  );
+
+const trips = () => db.getAllAsync("SELECT * FROM trips ORDER BY id");
+
+const tripPoints = async (tripId) =>
+  (
+    await db.getAllAsync(
+      "SELECT timestamp FROM locations WHERE trip_id IS ? ORDER BY timestamp",
+      [tripId]
+    )
+  ).map((row) => (row.timestamp - START) / 1000);
+
+const queueState = async (tripId) =>
+  (
+    await db.getFirstAsync(
+      "SELECT state FROM sync_queue WHERE table_name = 'trips' AND record_id = ?",
+      [tripId]
+    )
+  )?.state ?? null;
+
+beforeEach(async () => {
+  db = await SQLite.openDatabaseAsync("test.db");
+  await migrate(db);
+});
+
+test("startTrip closes the open trip and queues the new one", async () => {
+  const first = await startTrip(db, START, "high");
+  const second = await startTrip(db, START + 1000);
+
+  expect(await trips()).toMatchObject([
+    {
+      id: first,
+      profile: "high",
+      ended_at: START + 1000,
+      end_reason: "manual",
+    },
+    { id: second, profile: null, ended_at: null },
+  ]);
+  expect((await getOpenTrip(db)).id).toBe(second);
+  expect(await getRecentTrips(db, 1)).toMatchObject([{ id: second }]);
+  expect(await queueState(first)).toBe("pending");
+  expect(await queueState(second)).toBe("pending");
+});
+
+test("endOpenTrip never ends a trip before its last point", async () => {
+  await record(drive(3));
+  const { id } = await getOpenTrip(db);
+
+  expect(await endOpenTrip(db, START)).toBe(id);
+  expect(await endOpenTrip(db)).toBeNull();
+
+  const [trip] = await trips();
+  expect(trip.ended_at).toBe(START + 20000);
+});
+
+test("moving fixes open a trip and add up its distance", async () => {
+  await record(drive(4));
+
+  const [trip] = await trips();
+  expect(trip).toMatchObject({
+    started_at: START,
+    ended_at: null,
+    profile: "balanced",
+    point_count: 4,
+  });
+  expect(trip.distance).toBeCloseTo(300, 0);
+  expect(await refreshTripStats(db, trip.id)).toEqual({
+    distance: trip.distance,
+    pointCount: 4,
+  });
+});
+
+test("a gap in fixes ends the trip at its last point", async () => {
+  await record(drive(3));
+  const gapAt = 20 + TRIP_GAP_MS / 1000 + 1;
+  await record(drive(2, 300, gapAt));
+
+  const [first, second] = await trips();
+  expect(first).toMatchObject({
+    ended_at: START + 20000,
+    end_reason: "gap",
+    point_count: 3,
+  });
+  expect(second).toMatchObject({
+    started_at: START + gapAt * 1000,
+    ended_at: null,
+  });
+  expect(await tripPoints(second.id)).toEqual([gapAt, gapAt + 10]);
+});
+
+test("staying put ends the trip where the device stopped", async () => {
+  await record([...drive(5), ...stand(6, 400, 40)]);
+
+  const [trip] = await trips();
+  expect(trip).toMatchObject({
+    ended_at: START + 40000,
+    end_reason: "dwell",
+    point_count: 5,
+  });
+  expect(await tripPoints(trip.id)).toEqual([0, 10, 20, 30, 40]);
+  // The stationary points belong to no trip
+  expect(await tripPoints(null)).toEqual([100, 160, 220, 280, 340, 400]);
+  expect(await getOpenTrip(db)).toBeNull();
+
+  // Moving off again starts a new trip
+  await record(drive(2, 500, 460));
+  expect((await getOpenTrip(db)).started_at).toBe(START + 460000);
+});
+
+test("slow progress away from the stop starts a new trip", async () => {
+  await record([...drive(5), ...stand(6, 400, 40)]);
+
+  // 10 m a minute never moves far from the previous fix
+  await record(
+    Array.from({ length: 8 }, (_, index) =>
+      fix(410 + index * 10, 460 + index * 60)
+    )
+  );
+
+  const open = await getOpenTrip(db);
+  expect(open).not.toBeNull();
+  expect(open.started_at).toBeGreaterThan(START + 460000);
+});
+
+describe("a trip that never moved", () => {
+  const stayPut = () => record([fix(0, 0), ...stand(6, 0, 0)]);
+
+  test("is discarded before it was uploaded", async () => {
+    await stayPut();
+
+    expect(await trips()).toEqual([]);
+    expect(await tripPoints(null)).toHaveLength(7);
+    const queued = await db.getFirstAsync(
+      "SELECT COUNT(*) AS count FROM sync_queue WHERE table_name = 'trips'"
+    );
+    expect(queued.count).toBe(0);
+  });
+
+  test("is ended instead while it is being uploaded", async () => {
+    await record([fix(0, 0)]);
+    const { id } = await getOpenTrip(db);
+    await markInFlight(db, "trips", [id]);
+
+    await record(stand(6, 0, 0));
+
+    expect(await trips()).toMatchObject([
+      { id, ended_at: START, end_reason: "dwell" },
+    ]);
+    // Queued again with the final stats
+    expect(await queueState(id)).toBe("pending");
+  });
+
+  test("is ended instead once the server has it", async () => {
+    await record([fix(0, 0)]);
+    const { id } = await getOpenTrip(db);
+    await markInFlight(db, "trips", [id]);
+    await markSynced(db, "trips", [id]);
+    expect(await queueState(id)).toBeNull();
+
+    await record(stand(6, 0, 0));
+
+    expect(await trips()).toMatchObject([
+      { id, ended_at: START, end_reason: "dwell", synced: 0 },
+    ]);
+    expect(await queueState(id)).toBe("pending");
+  });
+});
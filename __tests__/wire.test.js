@@ -0,0 +1,105 @@
+import { ungzip } from "pako";
+import {
+  ENCODING_HEADER,
+  parseAcceptHeader,
+  encodeLocations,
+  decodeLocations,
+  encodeBatch,
+} from "../src/wire";
+
+const points = [
+  {
+    id: "a",
+    trip_id: "trip-1",
+    timestamp: 1700000000000,
+    latitude: 52.520008,
+    longitude: 13.404954,
+    accuracy: 4.5,
+    altitude: 34.2,
+    speed: 1.25,
+    heading: 90.5,
+  },
+  {
+    id: "b",
+    trip_id: "trip-1",
+    timestamp: 1700000005000,
+    latitude: 52.520108,
+    longitude: 13.405054,
+    accuracy: 5,
+    altitude: null,
+    speed: null,
+    heading: null,
+  },
+  {
+    id: "c",
+    trip_id: null,
+    timestamp: 1700000010000,
+    latitude: 52.519908,
+    longitude: 13.404854,
+    accuracy: 6.1,
+    altitude: 35,
+    speed: 0,
+    heading: 0,
+  },
+];
+
+test("parseAcceptHeader keeps the supported formats", () => {
+  expect([...parseAcceptHeader("gzip, Delta-V1, brotli")]).toEqual([
+    "gzip",
+    "delta-v1",
+  ]);
+  expect(parseAcceptHeader(null).size).toBe(0);
+});
+
+test("delta-v1 encodes coordinates as deltas and decodes them back", () => {
+  const encoded = encodeLocations(points);
+
+  expect(encoded.trips).toEqual(["trip-1"]);
+  expect(encoded.trip).toEqual([0, 0, null]);
+  expect(encoded.timestamp).toEqual([1700000000000, 5000, 5000]);
+  expect(encoded.latitude).toEqual([52520008, 100, -200]);
+  expect(encoded.altitude).toEqual([342, null, 350]);
+
+  const decoded = decodeLocations(encoded);
+  decoded.forEach((point, index) => {
+    for (const [field, value] of Object.entries(points[index])) {
+      if (typeof value === "number") {
+        expect(point[field]).toBeCloseTo(value, 6);
+      } else {
+        expect(point[field]).toBe(value);
+      }
+    }
+  });
+});
+
+test("encodeBatch sends plain JSON without negotiated formats", () => {
+  const body = { device_id: "device-1", points };
+  const encoded = encodeBatch(body, "points", new Set());
+
+  expect(encoded.headers).toEqual({});
+  expect(JSON.parse(encoded.data)).toEqual(body);
+  expect(encoded.bytes).toBe(encoded.data.length);
+});
+
+test("encodeBatch applies delta-v1 and gzip", () => {
+  const body = { device_id: "device-1", points };
+  const encoded = encodeBatch(body, "points", new Set(["delta-v1", "gzip"]));
+
+  expect(encoded.headers).toEqual({
+    [ENCODING_HEADER]: "delta-v1",
+    "Content-Encoding": "gzip",
+  });
+  expect(encoded.bytes).toBe(encoded.data.length);
+
+  const sent = JSON.parse(ungzip(encoded.data, { to: "string" }));
+  expect(sent.device_id).toBe("device-1");
+  expect(sent.points).toEqual(encodeLocations(points));
+});
+
+test("delta-v1 only applies to location batches", () => {
+  const body = { device_id: "device-1", trips: [{ id: "trip-1" }] };
+  const encoded = encodeBatch(body, "trips", new Set(["delta-v1"]));
+
+  expect(encoded.headers).toEqual({});
+  expect(JSON.parse(encoded.data)).toEqual(body);
+});
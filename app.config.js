@@ -44,6 +44,7 @@ export default {
         "expo-sqlite",
         {
           iosDatabaseLocation: "Library/SQLite",
+          useSQLCipher: true,
         },
       ],
     ],
@@ -0,0 +1,7 @@
+// Every test starts on a freshly installed device. The storage mocks keep
+// their data on global.__device rather than in module state, so it outlives
+// jest.resetModules(): two module registries act as two JS runtimes of the
+// app (UI and background task) sharing one device.
+beforeEach(() => {
+  global.__device = {};
+});
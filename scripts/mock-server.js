@@ -0,0 +1,447 @@
+// Local mock of the location sync backend, for testing sync offline.
+//
+//   npm run mock-server
+//
+// Environment:
+//   PORT        port to listen on (default 4000)
+//   FAIL_RATE   fraction of requests answered with a 503, 0..1 (default 0)
+//   DROP_RATE   fraction of records in a batch left unacknowledged (default 0)
+//   REJECT_RATE fraction of records in a batch rejected as invalid (default 0);
+//               rejected records are listed in the response and not retried
+//   TOKEN_TTL   access token lifetime in seconds (default 3600); set it low
+//               to exercise the refresh on 401
+//   COMPACT     set to 0 to accept plain JSON only: the server then doesn't
+//               advertise the compact formats and answers them with a 415
+//   LIVE_SILENT set to 1 to stop answering live stream messages (including
+//               heartbeats) after the handshake, to exercise the reconnect
+//
+// Devices register with POST /devices/register and renew their token with
+// POST /devices/refresh. Uploads and GET /geofences need a valid
+// "Authorization: Bearer <token>" header; restarting the server forgets all
+// devices, so the app has to register again.
+//
+// Live streaming connects a WebSocket to /live (see src/live.js): the
+// device sends { type: "hello", device_id, token } and gets { type: "ready" },
+// or the socket closed with code 4001 for a bad token. After that it sends
+// { type: "points", points } and { type: "ping" }, answered with
+// { type: "ack", accepted, rejected } and { type: "pong" }. Points are stored
+// with the batch uploads.
+//
+// The app downloads GET /geofences on every sync. Seed it with e.g.
+//   curl -X POST localhost:4000/geofences -d '{"geofences":[{"id":"depot",
+//     "name":"Depot","latitude":28.61,"longitude":77.21,"radius":150}]}'
+const crypto = require("crypto");
+const http = require("http");
+const zlib = require("zlib");
+
+const PORT = Number(process.env.PORT) || 4000;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const DROP_RATE = Number(process.env.DROP_RATE) || 0;
+const REJECT_RATE = Number(process.env.REJECT_RATE) || 0;
+const TOKEN_TTL = Number(process.env.TOKEN_TTL) || 3600;
+const COMPACT = process.env.COMPACT !== "0";
+const LIVE_SILENT = process.env.LIVE_SILENT === "1";
+
+// Records per collection keyed by their client id, so re-sent records are
+// stored only once. The request body carries them under the given key.
+// Trips are uploaded when they start and again when they end, so a re-sent
+// trip replaces the stored copy.
+const collections = {
+  "/locations": { key: "points", records: new Map() },
+  "/trips": { key: "trips", records: new Map(), replace: true },
+  "/geofence-events": { key: "events", records: new Map() },
+  "/geofences": { key: "geofences", records: new Map() },
+};
+
+// Registered devices by id, and the access tokens issued to them
+const devices = new Map();
+const tokens = new Map();
+
+// Requests that have to come from a registered device
+const AUTHENTICATED = new Set([
+  "POST /locations",
+  "POST /trips",
+  "POST /geofence-events",
+  "GET /geofences",
+]);
+
+const randomToken = () => crypto.randomBytes(24).toString("hex");
+
+// Issue a new access and refresh token pair, revoking the old refresh token
+const issueTokens = (device) => {
+  const token = randomToken();
+  tokens.set(token, {
+    deviceId: device.id,
+    expiresAt: Date.now() + TOKEN_TTL * 1000,
+  });
+  device.refreshToken = randomToken();
+  return {
+    device_id: device.id,
+    token,
+    refresh_token: device.refreshToken,
+    expires_in: TOKEN_TTL,
+  };
+};
+
+// The device id for a valid access token, or null
+const deviceForToken = (token) => {
+  const issued = token && tokens.get(token);
+  if (!issued || issued.expiresAt < Date.now()) return null;
+  return issued.deviceId;
+};
+
+// The device id for a valid bearer token, or null
+const authenticate = (req) => {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || "");
+  return deviceForToken(match && match[1]);
+};
+
+// Store uploaded records, subject to DROP_RATE and REJECT_RATE; with
+// `replace`, a record already stored is overwritten. Returns { accepted,
+// rejected, duplicates } with the client ids acknowledged and the records
+// rejected as [{ id, error }].
+const storeRecords = (records, uploaded, deviceId, replace = false) => {
+  const accepted = [];
+  const rejected = [];
+  let duplicates = 0;
+
+  for (const record of uploaded) {
+    if (!record || !record.id) continue;
+    if (Math.random() < DROP_RATE) continue;
+    if (Math.random() < REJECT_RATE) {
+      rejected.push({ id: record.id, error: "Simulated invalid record" });
+      continue;
+    }
+
+    if (records.has(record.id) && !replace) {
+      duplicates++;
+    } else {
+      records.set(
+        record.id,
+        deviceId ? { ...record, device_id: deviceId } : record
+      );
+    }
+    accepted.push(record.id);
+  }
+
+  return { accepted, rejected, duplicates };
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    // Advertise the compact upload formats (see src/wire.js)
+    ...(COMPACT && { "X-Sync-Accept": "delta-v1, gzip" }),
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+// Fixed-point scales and delta columns of the delta-v1 location format
+const SCALES = {
+  timestamp: 1,
+  latitude: 1e6,
+  longitude: 1e6,
+  accuracy: 10,
+  altitude: 10,
+  speed: 100,
+  heading: 10,
+};
+const DELTA_COLUMNS = ["timestamp", "latitude", "longitude"];
+
+// Expand a delta-v1 location batch into plain records
+const decodeLocations = (encoded) => {
+  const running = {};
+
+  return encoded.ids.map((id, index) => {
+    const trip = encoded.trip[index];
+    const point = { id, trip_id: trip === null ? null : encoded.trips[trip] };
+
+    for (const [field, scale] of Object.entries(SCALES)) {
+      let value = encoded[field][index];
+      if (value !== null && DELTA_COLUMNS.includes(field)) {
+        value = running[field] = (running[field] || 0) + value;
+      }
+      point[field] = value === null ? null : value / scale;
+    }
+    return point;
+  });
+};
+
+// Parse an upload body in any of the formats the app may send. Returns the
+// body, or undefined with a 415 already sent for a format this server
+// refuses.
+const parseUpload = (req, res, raw, key) => {
+  const gzipped = req.headers["content-encoding"] === "gzip";
+  const encoding = req.headers["x-sync-encoding"];
+
+  if (!COMPACT && (gzipped || encoding)) {
+    console.log(`POST ${req.url} -> 415 (compact format disabled)`);
+    sendJson(res, 415, { error: "Unsupported format" });
+    return undefined;
+  }
+
+  const body = JSON.parse(gzipped ? zlib.gunzipSync(raw) : raw);
+  if (encoding === "delta-v1" && body && key === "points") {
+    body.points = decodeLocations(body.points);
+  }
+  return body;
+};
+
+const handleDevices = async (req, res) => {
+  if (req.method !== "POST") {
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    return sendJson(res, 400, { error: "Invalid JSON" });
+  }
+
+  if (req.url === "/devices/register") {
+    if (!body?.driver_id) {
+      return sendJson(res, 400, { error: "Expected { driver_id }" });
+    }
+    const device = devices.get(body.device_id) || {
+      id: crypto.randomUUID(),
+    };
+    device.driverId = body.driver_id;
+    device.platform = body.platform;
+    devices.set(device.id, device);
+
+    console.log(`Registered device ${device.id} for ${device.driverId}`);
+    return sendJson(res, 200, issueTokens(device));
+  }
+
+  if (req.url === "/devices/refresh") {
+    const device = devices.get(body?.device_id);
+    if (!device || device.refreshToken !== body.refresh_token) {
+      console.log(`Refresh for ${body?.device_id} -> 401`);
+      return sendJson(res, 401, { error: "Invalid refresh token" });
+    }
+    console.log(`Refreshed token for device ${device.id}`);
+    return sendJson(res, 200, issueTokens(device));
+  }
+
+  return sendJson(res, 404, { error: "Not found" });
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.url.startsWith("/devices/")) {
+    return handleDevices(req, res);
+  }
+
+  const collection = collections[req.url];
+
+  if (!collection) {
+    return sendJson(res, 404, { error: "Not found" });
+  }
+
+  const { key, records, replace } = collection;
+
+  const deviceId = authenticate(req);
+  if (AUTHENTICATED.has(`${req.method} ${req.url}`) && !deviceId) {
+    console.log(`${req.method} ${req.url} -> 401`);
+    return sendJson(res, 401, { error: "Invalid or expired token" });
+  }
+
+  if (req.method === "GET") {
+    return sendJson(res, 200, {
+      count: records.size,
+      [key]: [...records.values()],
+    });
+  }
+
+  if (req.method !== "POST") {
+    return sendJson(res, 405, { error: "Method not allowed" });
+  }
+
+  if (Math.random() < FAIL_RATE) {
+    console.log(`POST ${req.url} -> 503 (simulated failure)`);
+    return sendJson(res, 503, { error: "Simulated failure" });
+  }
+
+  const raw = await readBody(req);
+  let body;
+  try {
+    body = parseUpload(req, res, raw, key);
+  } catch (error) {
+    return sendJson(res, 400, { error: "Invalid body" });
+  }
+  if (body === undefined) return;
+
+  if (!body || !Array.isArray(body[key])) {
+    return sendJson(res, 400, { error: `Expected { ${key}: [] }` });
+  }
+
+  const { accepted, rejected, duplicates } = storeRecords(
+    records,
+    body[key],
+    deviceId,
+    replace
+  );
+
+  console.log(
+    `POST ${req.url} (${raw.length} bytes${
+      req.headers["x-sync-encoding"]
+        ? `, ${req.headers["x-sync-encoding"]}`
+        : ""
+    }${req.headers["content-encoding"] === "gzip" ? ", gzip" : ""}) -> ${
+      accepted.length
+    }/${body[key].length} acknowledged, ${
+      rejected.length
+    } rejected, ${duplicates} duplicates, ${records.size} stored`
+  );
+  sendJson(res, 200, { accepted, rejected });
+});
+
+// Minimal WebSocket server side (RFC 6455) for the live stream: text, ping
+// and close frames, no extensions or fragmented messages
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const wsFrame = (opcode, payload) => {
+  const length = payload.length;
+  const header =
+    length < 126
+      ? Buffer.from([0x80 | opcode, length])
+      : Buffer.from([0x80 | opcode, 126, length >> 8, length & 0xff]);
+  return Buffer.concat([header, payload]);
+};
+
+// Split complete frames off the front of buffer. Returns { frames, rest }.
+const wsParse = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = buffer[offset + 1] & 0x80;
+    let length = buffer[offset + 1] & 0x7f;
+    let position = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < position + 2) break;
+      length = buffer.readUInt16BE(position);
+      position += 2;
+    } else if (length === 127) {
+      if (buffer.length < position + 8) break;
+      length = Number(buffer.readBigUInt64BE(position));
+      position += 8;
+    }
+
+    const mask = masked ? buffer.subarray(position, position + 4) : null;
+    if (masked) position += 4;
+    if (buffer.length < position + length) break;
+
+    const payload = Buffer.from(buffer.subarray(position, position + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    offset = position + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const handleLive = (req, socket) => {
+  const accept = crypto
+    .createHash("sha1")
+    .update(req.headers["sec-websocket-key"] + WS_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\n" +
+      `Connection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  const { records } = collections["/locations"];
+  let deviceId = null;
+  let buffer = Buffer.alloc(0);
+
+  const send = (message) =>
+    socket.write(wsFrame(0x1, Buffer.from(JSON.stringify(message))));
+  const close = (code, reason) => {
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code);
+    payload.write(reason, 2);
+    socket.end(wsFrame(0x8, payload));
+  };
+
+  const onMessage = (message) => {
+    if (message.type === "hello") {
+      deviceId = deviceForToken(message.token);
+      if (!deviceId) {
+        console.log("WS /live hello -> 4001");
+        return close(4001, "Invalid or expired token");
+      }
+      console.log(`WS /live connected device ${deviceId}`);
+      return send({ type: "ready" });
+    }
+    if (!deviceId) return close(4001, "Expected hello");
+    if (LIVE_SILENT) return;
+
+    if (message.type === "ping") return send({ type: "pong" });
+    if (message.type === "points" && Array.isArray(message.points)) {
+      const { accepted, rejected } = storeRecords(
+        records,
+        message.points,
+        deviceId
+      );
+      console.log(
+        `WS /live ${message.points.length} points -> ${accepted.length} acknowledged, ${rejected.length} rejected, ${records.size} stored`
+      );
+      send({ type: "ack", accepted, rejected });
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    const parsed = wsParse(Buffer.concat([buffer, chunk]));
+    buffer = parsed.rest;
+
+    for (const { opcode, payload } of parsed.frames) {
+      if (opcode === 0x8) {
+        socket.end(wsFrame(0x8, payload.subarray(0, 2)));
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(wsFrame(0xa, payload));
+        continue;
+      }
+      if (opcode !== 0x1) continue;
+
+      try {
+        onMessage(JSON.parse(payload.toString()));
+      } catch (error) {
+        return close(1007, "Invalid message");
+      }
+    }
+  });
+  socket.on("close", () => {
+    if (deviceId) console.log(`WS /live disconnected device ${deviceId}`);
+  });
+  socket.on("error", () => socket.destroy());
+};
+
+server.on("upgrade", (req, socket) => {
+  if (
+    req.url !== "/live" ||
+    req.headers.upgrade?.toLowerCase() !== "websocket"
+  ) {
+    socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+    return;
+  }
+  handleLive(req, socket);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock sync server listening on http://localhost:${PORT}`);
+});
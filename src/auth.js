@@ -0,0 +1,200 @@
+import * as SecureStore from "expo-secure-store";
+import { Platform } from "react-native";
+import { SYNC_REQUEST_TIMEOUT_MS } from "./config";
+
+// Device identity for authenticated sync. Registering with the server yields
+// a device id, a short-lived access token and a refresh token, kept together
+// as one secure store item. The item stays readable after the first unlock
+// so the background sync task can use it with the screen locked. When the
+// server rejects the refresh token the access token is dropped and sync
+// pauses until the device is registered again; unsynced rows are untouched.
+
+const CREDENTIALS_KEY = "deviceCredentials";
+
+const STORE_OPTIONS = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK,
+};
+
+// Error raised when the device has no usable credentials; sync can't
+// continue until the device is (re)registered
+export class AuthError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+}
+
+// Stored credentials: { deviceId, driverId, serverUrl, token, refreshToken,
+// registeredAt }, or null before registration. token is null once the
+// refresh token was rejected.
+export const getCredentials = async () => {
+  const stored = await SecureStore.getItemAsync(CREDENTIALS_KEY, STORE_OPTIONS);
+  if (!stored) return null;
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.error("Error reading device credentials:", error);
+    return null;
+  }
+};
+
+const saveCredentials = (credentials) =>
+  SecureStore.setItemAsync(
+    CREDENTIALS_KEY,
+    JSON.stringify(credentials),
+    STORE_OPTIONS
+  );
+
+export const clearCredentials = () =>
+  SecureStore.deleteItemAsync(CREDENTIALS_KEY, STORE_OPTIONS);
+
+// Whether sync can run against serverUrl with these credentials.
+// Returns { state, message } with state "registered", "unregistered",
+// "expired" or "other-server".
+export const getAuthStatus = (credentials, serverUrl) => {
+  if (!credentials) {
+    return {
+      state: "unregistered",
+      message: "Sync paused: device not registered",
+    };
+  }
+  if (credentials.serverUrl !== serverUrl) {
+    return {
+      state: "other-server",
+      message: "Sync paused: device registered with another server",
+    };
+  }
+  if (!credentials.token) {
+    return {
+      state: "expired",
+      message: "Sync paused: device authorization expired, register again",
+    };
+  }
+  return {
+    state: "registered",
+    message: `Registered as ${credentials.deviceId}`,
+  };
+};
+
+// Headers identifying the device on every sync request
+export const authHeaders = (credentials) => ({
+  Authorization: `Bearer ${credentials.token}`,
+  "X-Device-Id": credentials.deviceId,
+});
+
+// POST to an auth endpoint. A 4xx means the server refused the request,
+// anything else (network errors, 5xx) is worth trying again later.
+const postAuth = async (url, body) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT_MS);
+
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+
+    if (response.status >= 400 && response.status < 500) {
+      throw new AuthError(
+        `Server refused with status ${response.status}`,
+        response.status
+      );
+    }
+    if (!response.ok) {
+      throw new Error(`Server responded with status ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Register this device for driverId with the server at serverUrl, replacing
+// any earlier registration. Returns the stored credentials.
+export const registerDevice = async (serverUrl, driverId) => {
+  const previous = await getCredentials();
+  const response = await postAuth(serverUrl + "/devices/register", {
+    driver_id: driverId,
+    platform: Platform.OS,
+    // Lets the server reuse the device record when re-registering
+    device_id:
+      previous?.serverUrl === serverUrl ? previous.deviceId : undefined,
+  });
+
+  if (!response?.device_id || !response.token || !response.refresh_token) {
+    throw new Error("Server returned incomplete credentials");
+  }
+
+  const credentials = {
+    deviceId: response.device_id,
+    driverId,
+    serverUrl,
+    token: response.token,
+    refreshToken: response.refresh_token,
+    registeredAt: Date.now(),
+  };
+  await saveCredentials(credentials);
+  return credentials;
+};
+
+let refreshPromise = null;
+
+const requestRefresh = async (credentials) => {
+  let response;
+  try {
+    response = await postAuth(credentials.serverUrl + "/devices/refresh", {
+      device_id: credentials.deviceId,
+      refresh_token: credentials.refreshToken,
+    });
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+
+    // Another runtime (UI or background task) may have refreshed meanwhile,
+    // and a server that rotates refresh tokens then refuses ours. Only a
+    // refusal of the stored refresh token pauses sync.
+    const stored = await getCredentials();
+    if (stored?.refreshToken !== credentials.refreshToken) {
+      if (stored?.token) return stored;
+    } else {
+      await saveCredentials({ ...stored, token: null });
+    }
+    throw new AuthError(
+      "Sync paused: device authorization expired, register again",
+      error.status
+    );
+  }
+
+  if (!response?.token) {
+    throw new Error("Server returned no token");
+  }
+
+  const refreshed = { ...credentials, token: response.token };
+  // Servers that rotate refresh tokens send a new one
+  if (response.refresh_token) refreshed.refreshToken = response.refresh_token;
+  await saveCredentials(refreshed);
+  return refreshed;
+};
+
+// Exchange the refresh token for a new access token. Updates `credentials`
+// in place and in the store. Concurrent calls in this runtime share one
+// request, as a rotated refresh token can only be used once. If the server
+// refuses, the stored access token is dropped (pausing sync) and an
+// AuthError is thrown; other failures are thrown as they are and leave the
+// credentials alone.
+export const refreshCredentials = async (credentials) => {
+  if (!refreshPromise) {
+    refreshPromise = requestRefresh(credentials).finally(() => {
+      refreshPromise = null;
+    });
+  }
+
+  Object.assign(credentials, await refreshPromise);
+  return credentials;
+};
@@ -0,0 +1,117 @@
+// SQLite database shared by the UI and the background tasks, encrypted with
+// SQLCipher. Earlier versions kept the same data unencrypted in
+// PLAIN_DB_NAME; it is moved into DB_NAME and deleted on first open.
+export const DB_NAME = "tracker-secure.db";
+export const PLAIN_DB_NAME = "tracker.db";
+
+// Sync server configuration.
+// Set EXPO_PUBLIC_SYNC_URL to point the app at a different backend. When
+// running against `npm run mock-server` from an Android emulator, use
+// http://10.0.2.2:4000 instead of localhost.
+export const SYNC_SERVER_URL =
+  process.env.EXPO_PUBLIC_SYNC_URL || "http://localhost:4000";
+
+// Largest request body of a sync batch as sent, i.e. after compression.
+// This and SYNC_SERVER_URL are the defaults for the user-editable settings
+// (see settings.js).
+export const SYNC_BATCH_BYTES = 64 * 1024;
+
+// Rows read per batch before it is cut down to the byte limit
+export const SYNC_MAX_BATCH_ROWS = 1000;
+
+// Retry policy for a single batch upload
+export const SYNC_MAX_RETRIES = 5;
+export const SYNC_BASE_DELAY_MS = 1000;
+export const SYNC_MAX_DELAY_MS = 30000;
+export const SYNC_REQUEST_TIMEOUT_MS = 15000;
+
+// Retry policy for a single record the server didn't acknowledge: it is
+// tried again after SYNC_RECORD_RETRY_BASE_MS, doubling up to
+// SYNC_RECORD_RETRY_MAX_MS, and marked failed after
+// SYNC_MAX_RECORD_ATTEMPTS attempts
+export const SYNC_MAX_RECORD_ATTEMPTS = 5;
+export const SYNC_RECORD_RETRY_BASE_MS = 60 * 1000;
+export const SYNC_RECORD_RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Time the background fetch task may spend syncing. iOS gives background
+// fetch roughly 30 seconds before the app is suspended.
+export const BACKGROUND_SYNC_BUDGET_MS = 25000;
+
+// Live streaming: a heartbeat every LIVE_HEARTBEAT_MS, and the connection is
+// dropped when the server has been silent for LIVE_HEARTBEAT_TIMEOUT_MS.
+// Reconnects back off from LIVE_RECONNECT_BASE_MS up to LIVE_RECONNECT_MAX_MS.
+// Points not acknowledged within LIVE_ACK_TIMEOUT_MS go to the batch sync.
+export const LIVE_HEARTBEAT_MS = 15000;
+export const LIVE_HEARTBEAT_TIMEOUT_MS = 45000;
+export const LIVE_RECONNECT_BASE_MS = 1000;
+export const LIVE_RECONNECT_MAX_MS = 60000;
+export const LIVE_ACK_TIMEOUT_MS = 30000;
+
+// Trip segmentation: a gap between fixes longer than TRIP_GAP_MS, or staying
+// within TRIP_DWELL_RADIUS_M for TRIP_DWELL_MS, ends the current trip
+export const TRIP_GAP_MS = 10 * 60 * 1000;
+export const TRIP_DWELL_MS = 5 * 60 * 1000;
+export const TRIP_DWELL_RADIUS_M = 50;
+
+// GPS quality filter applied before fixes are stored. Tune per deployment.
+//   maxAccuracy          reject fixes with a worse reported accuracy (m)
+//   maxSpeed             reject fixes implying a faster move from the previous
+//                        point (m/s), when within maxSpeedWindowMs of it
+//   minDistance          drop fixes closer than this to the previous point
+//                        (m), keeping one every stationaryHeartbeatMs
+//   smoothing            apply a Kalman filter to the stored coordinates
+//   smoothingNoise       expected movement noise for the Kalman filter (m/s)
+export const LOCATION_FILTER = {
+  maxAccuracy: 100,
+  maxSpeed: 70,
+  maxSpeedWindowMs: 5 * 60 * 1000,
+  minDistance: 5,
+  stationaryHeartbeatMs: 2 * 60 * 1000,
+  smoothing: false,
+  smoothingNoise: 3,
+};
+
+// Movement statistics: segments slower than this count as stationary (m/s)
+export const MOVING_SPEED_THRESHOLD = 0.5;
+
+// Geofences: a fix closer than the radius enters a region, and leaving takes
+// GEOFENCE_EXIT_MARGIN_M more so fixes at the edge don't flap in and out.
+// Staying inside for GEOFENCE_DWELL_MS records a dwell event. iOS monitors at
+// most 20 regions per app; the rest are only checked against incoming fixes.
+export const GEOFENCE_DEFAULT_RADIUS_M = 100;
+export const GEOFENCE_EXIT_MARGIN_M = 25;
+export const GEOFENCE_DWELL_MS = 5 * 60 * 1000;
+export const GEOFENCE_MAX_REGIONS = 20;
+
+// Radius of a new privacy zone; large enough that a snapped point doesn't
+// pinpoint the house it was taken in
+export const PRIVACY_ZONE_DEFAULT_RADIUS_M = 200;
+
+// Motion-aware sampling. Once incoming fixes have stayed within
+// stationaryRadius (or their reported accuracy, if worse) for
+// stationaryAfterMs, location updates drop to the lowPower options. A fix
+// beyond that radius, or reporting at least movingSpeed (m/s), restores the
+// tracking profile's options. lowPower keeps a distance trigger so the first
+// fix of a new movement is still delivered promptly; its accuracy is a
+// ceiling, so a profile asking for less (Battery Saver) keeps its own.
+export const MOTION_SAMPLING = {
+  stationaryAfterMs: 5 * 60 * 1000,
+  stationaryRadius: 30,
+  movingSpeed: 2,
+  lowPower: {
+    accuracy: "Balanced",
+    timeInterval: 5 * 60 * 1000,
+    distanceInterval: 50,
+    deferredUpdatesInterval: 5 * 60 * 1000,
+    deferredUpdatesDistance: 50,
+  },
+};
+
+// Data retention (the limits themselves are settings, see settings.js). The
+// policy runs from the background sync task at most every
+// RETENTION_RUN_INTERVAL_MS. VACUUM rewrites the whole file, so it only runs
+// every VACUUM_INTERVAL_MS, or sooner when more than VACUUM_FREE_RATIO of the
+// database pages are free.
+export const RETENTION_RUN_INTERVAL_MS = 24 * 60 * 60 * 1000;
+export const VACUUM_INTERVAL_MS = 7 * 24 * 60 * 60 * 1000;
+export const VACUUM_FREE_RATIO = 0.25;
@@ -0,0 +1,93 @@
+import * as SQLite from "expo-sqlite";
+import { DB_NAME, PLAIN_DB_NAME } from "./config";
+import { migrate } from "./migrations";
+import { recoverInFlight } from "./queue";
+import {
+  isEncryptionAvailable,
+  getDatabaseKey,
+  unlockDatabase,
+  importPlainDatabase,
+  withSetupLock,
+  EncryptionUnavailableError,
+} from "./encryption";
+
+let openPromise = null;
+
+// Open the encrypted database, first moving in the data of the unencrypted
+// database from earlier versions. Both run under the setup lock, so a
+// background task starting along with the UI waits for the key and the move.
+// Without SQLCipher (Expo Go) the plain database is used in development
+// only; release builds refuse to open.
+const openEncryptedDatabase = async () => {
+  if (!(await isEncryptionAvailable())) {
+    if (!__DEV__) {
+      throw new EncryptionUnavailableError(
+        "This build can't encrypt the tracker database"
+      );
+    }
+    console.warn("[DB] SQLCipher not available, database is not encrypted");
+    return SQLite.openDatabaseAsync(PLAIN_DB_NAME);
+  }
+
+  const db = await SQLite.openDatabaseAsync(DB_NAME);
+  try {
+    await withSetupLock(async () => {
+      const key = await getDatabaseKey();
+      await unlockDatabase(db, key);
+
+      // Exclusive transactions run on a connection of their own, which has
+      // to be unlocked as well
+      const runExclusive = db.withExclusiveTransactionAsync.bind(db);
+      db.withExclusiveTransactionAsync = (task) =>
+        runExclusive(async (txn) => {
+          await unlockDatabase(txn, key);
+          await task(txn);
+        });
+
+      const imported = await importPlainDatabase(db);
+      if (imported > 0) {
+        console.log(
+          `[DB] Encrypted ${imported} locations from ${PLAIN_DB_NAME}`
+        );
+      }
+    });
+  } catch (error) {
+    await db.closeAsync();
+    throw error;
+  }
+  return db;
+};
+
+// Open the tracker database and run pending migrations. The UI and both
+// background tasks go through here, so whichever opens the database first
+// unlocks and migrates it, and requeues uploads interrupted by a crash. The
+// opened database is shared for the lifetime of the JS runtime, so writes
+// that must be atomic go through withExclusiveTransactionAsync and run their
+// statements on its `txn`: queries other tasks make on the shared connection
+// meanwhile stay out of the transaction.
+export const openDatabase = () => {
+  if (!openPromise) {
+    openPromise = (async () => {
+      const db = await openEncryptedDatabase();
+      try {
+        await migrate(db);
+
+        const recovered = await recoverInFlight(db);
+        if (recovered > 0) {
+          console.log(`[DB] Requeued ${recovered} records left in flight`);
+        }
+      } catch (error) {
+        await db.closeAsync();
+        throw error;
+      }
+      return db;
+    })();
+
+    // Allow a later call to retry after a failed open or migration
+    openPromise.catch(() => {
+      openPromise = null;
+    });
+  }
+
+  return openPromise;
+};
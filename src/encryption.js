@@ -0,0 +1,199 @@
+import * as SQLite from "expo-sqlite";
+import * as SecureStore from "expo-secure-store";
+import * as Crypto from "expo-crypto";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { PLAIN_DB_NAME } from "./config";
+
+// Encryption at rest for the tracker database. The whole file (locations,
+// trips, geofence events and logs alike) is encrypted by SQLCipher with a
+// random 256-bit key generated on first use and kept in the platform
+// keystore. Like the device credentials, the key is readable after the first
+// unlock so the background tasks can open the database with the screen
+// locked.
+
+const KEY_NAME = "databaseKey";
+const SETUP_LOCK_DB_NAME = "tracker-setup.db";
+const SETUP_LOCK_ATTEMPTS = 50;
+const SETUP_LOCK_RETRY_MS = 200;
+const PLAIN_IMPORTED_KEY = "plainDatabaseImported";
+
+const STORE_OPTIONS = {
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK,
+};
+
+// Error raised when the encrypted database can't be opened with the stored
+// key, e.g. after the keystore was wiped. The file is left untouched.
+export class DatabaseKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DatabaseKeyError";
+  }
+}
+
+// Error raised when this build has no SQLCipher, outside development. The
+// tracker database is never kept unencrypted in a release build.
+export class EncryptionUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EncryptionUnavailableError";
+  }
+}
+
+let keyPromise = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Whether this build has SQLCipher. Expo Go and builds without the
+// useSQLCipher plugin option ignore PRAGMA key and would write plain files.
+export const isEncryptionAvailable = async () => {
+  const probe = await SQLite.openDatabaseAsync(":memory:");
+  try {
+    return !!(await probe.getFirstAsync("PRAGMA cipher_version"));
+  } finally {
+    await probe.closeAsync();
+  }
+};
+
+const readKey = () => SecureStore.getItemAsync(KEY_NAME, STORE_OPTIONS);
+
+// The database key as 64 hex digits, generated on first use. Calls in this
+// runtime share one lookup. Creating the key is a read and a separate write
+// in the secure store, so openers call this under withSetupLock: two
+// runtimes creating a key each would leave one with a key that doesn't open
+// the database.
+export const getDatabaseKey = () => {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const stored = await readKey();
+      if (stored) return stored;
+
+      const key = Array.from(Crypto.getRandomBytes(32), (byte) =>
+        byte.toString(16).padStart(2, "0")
+      ).join("");
+      await SecureStore.setItemAsync(KEY_NAME, key, STORE_OPTIONS);
+      return key;
+    })();
+
+    // Allow a later call to retry after a keystore error
+    keyPromise.catch(() => {
+      keyPromise = null;
+    });
+  }
+
+  return keyPromise;
+};
+
+// Run `task` holding the write lock of SETUP_LOCK_DB_NAME, a small
+// unencrypted database of its own. SQLite's file locks hold across the JS
+// runtimes of the app (UI and background tasks), so only one at a time
+// creates the key or moves in the plain database; the others wait and then
+// find the work done.
+export const withSetupLock = async (task) => {
+  const lock = await SQLite.openDatabaseAsync(SETUP_LOCK_DB_NAME);
+  try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        let result;
+        await lock.withExclusiveTransactionAsync(async (txn) => {
+          // The first write takes the lock
+          await txn.execAsync(`
+            CREATE TABLE IF NOT EXISTS setup_lock (id INTEGER PRIMARY KEY, locked_at INTEGER);
+            INSERT OR REPLACE INTO setup_lock (id, locked_at) VALUES (1, ${Date.now()});
+          `);
+          result = await task();
+        });
+        return result;
+      } catch (error) {
+        if (
+          !/database is locked/i.test(error.message) ||
+          attempt >= SETUP_LOCK_ATTEMPTS
+        ) {
+          throw error;
+        }
+        await sleep(SETUP_LOCK_RETRY_MS);
+      }
+    }
+  } finally {
+    await lock.closeAsync();
+  }
+};
+
+// Apply the key to a newly opened connection. A raw hex key skips
+// SQLCipher's key derivation, which keeps opening fast in background tasks.
+export const unlockDatabase = async (db, key) => {
+  await db.execAsync(`PRAGMA key = "x'${key}'"`);
+
+  try {
+    // The first read fails with "file is not a database" for a wrong key
+    await db.getFirstAsync("SELECT COUNT(*) FROM sqlite_master");
+  } catch (error) {
+    throw new DatabaseKeyError(
+      `The tracker database can't be decrypted with the stored key: ${error.message}`
+    );
+  }
+};
+
+// Copy the unencrypted database of earlier versions into the encrypted `db`
+// (unlocked, not yet migrated), then delete it. Runs once; each step can be
+// repeated after a crash: a partial copy is dropped and redone, and the
+// plain file is only deleted once every table was copied in full. Databases
+// from before migrations existed are copied too: they have the tables at
+// user_version 0.
+export const importPlainDatabase = async (db) => {
+  if (await AsyncStorage.getItem(PLAIN_IMPORTED_KEY)) return null;
+
+  // Opening creates an empty file on fresh installs; it is deleted below
+  const path = db.databasePath.replace(/[^/]*$/, PLAIN_DB_NAME);
+  await db.runAsync("ATTACH DATABASE ? AS plain KEY ''", [path]);
+
+  let imported = 0;
+  try {
+    const tables = await db.getAllAsync(
+      "SELECT name FROM plain.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+    );
+    const { user_version: version } = await db.getFirstAsync(
+      "PRAGMA plain.user_version"
+    );
+    const { user_version: current } = await db.getFirstAsync(
+      "PRAGMA main.user_version"
+    );
+
+    if (tables.some(({ name }) => name === "locations") && current === 0) {
+      // Tables left behind by an interrupted copy
+      const leftovers = await db.getAllAsync(
+        "SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+      );
+      for (const { name } of leftovers) {
+        await db.execAsync(`DROP TABLE main."${name}"`);
+      }
+
+      await db.execAsync("SELECT sqlcipher_export('main', 'plain')");
+
+      for (const { name } of tables) {
+        const { count: expected } = await db.getFirstAsync(
+          `SELECT COUNT(*) AS count FROM plain."${name}"`
+        );
+        const { count: copied } = await db.getFirstAsync(
+          `SELECT COUNT(*) AS count FROM main."${name}"`
+        );
+        if (copied !== expected) {
+          throw new Error(
+            `Copied ${copied} of ${expected} rows of ${name} to the encrypted database`
+          );
+        }
+        if (name === "locations") imported = copied;
+      }
+
+      // Set last: a database at user_version 0 is treated as a partial
+      // copy. A plain database from before migrations stays at 0, which
+      // only means the copy is redone if the app stops before the delete.
+      await db.execAsync(`PRAGMA main.user_version = ${version}`);
+    }
+  } finally {
+    await db.execAsync("DETACH DATABASE plain");
+  }
+
+  await SQLite.deleteDatabaseAsync(PLAIN_DB_NAME);
+  await AsyncStorage.setItem(PLAIN_IMPORTED_KEY, "true");
+  return imported;
+};
@@ -0,0 +1,289 @@
+import { File, Paths } from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { forEachLocationPage } from "./queries";
+
+// Track export to GPX 1.1, GeoJSON, KML and CSV.
+//
+// Each format is a list of passes over the selected locations. A pass writes
+// its `open` text, then `row` for every location, then `close`. Formats that
+// need the same points in several places (the GeoJSON line and its points,
+// the KML gx:Track arrays) use one pass per place, so rows are streamed from
+// the database page by page instead of being collected in memory.
+
+// Flush the write buffer to disk once it grows past this many characters
+const FLUSH_THRESHOLD = 64 * 1024;
+
+const CREATOR = "Mozility Tracker";
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const isoTime = (timestamp) => new Date(timestamp).toISOString();
+
+const has = (value) => value !== null && value !== undefined;
+
+// Quote a CSV field when needed
+const csvField = (value) => {
+  if (!has(value)) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const gpxPoint = (row) => {
+  const extensions = [
+    has(row.accuracy) && `<mt:accuracy>${row.accuracy}</mt:accuracy>`,
+    has(row.speed) && `<mt:speed>${row.speed}</mt:speed>`,
+    has(row.heading) && `<mt:course>${row.heading}</mt:course>`,
+  ].filter(Boolean);
+
+  return (
+    `<trkpt lat="${row.latitude}" lon="${row.longitude}">` +
+    (has(row.altitude) ? `<ele>${row.altitude}</ele>` : "") +
+    `<time>${isoTime(row.timestamp)}</time>` +
+    (extensions.length > 0
+      ? `<extensions>${extensions.join("")}</extensions>`
+      : "") +
+    "</trkpt>\n"
+  );
+};
+
+const geoJsonPosition = (row) =>
+  has(row.altitude)
+    ? [row.longitude, row.latitude, row.altitude]
+    : [row.longitude, row.latitude];
+
+// A KML gx:SimpleArrayData pass for one column
+const kmlArrayPass = (column) => ({
+  open: () => `<gx:SimpleArrayData name="${column}">\n`,
+  row: (row) => `<gx:value>${has(row[column]) ? row[column] : ""}</gx:value>\n`,
+  close: () => "</gx:SimpleArrayData>\n",
+});
+
+export const EXPORT_FORMATS = {
+  gpx: {
+    label: "GPX",
+    extension: "gpx",
+    mimeType: "application/gpx+xml",
+    uti: "com.topografix.gpx",
+    passes: [
+      {
+        open: ({ name }) =>
+          '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          `<gpx version="1.1" creator="${CREATOR}" ` +
+          'xmlns="http://www.topografix.com/GPX/1/1" ' +
+          'xmlns:mt="https://mozility-tracker.app/xmlschemas/gpx/1">\n' +
+          `<metadata><name>${escapeXml(name)}</name>` +
+          `<time>${isoTime(Date.now())}</time></metadata>\n` +
+          `<trk><name>${escapeXml(name)}</name>\n<trkseg>\n`,
+        // Start a new segment for every trip
+        row: (row, index, state) => {
+          const split = index > 0 && row.trip_id !== state.tripId;
+          state.tripId = row.trip_id;
+          return (split ? "</trkseg>\n<trkseg>\n" : "") + gpxPoint(row);
+        },
+        close: () => "</trkseg>\n</trk>\n</gpx>\n",
+      },
+    ],
+  },
+
+  geojson: {
+    label: "GeoJSON",
+    extension: "geojson",
+    mimeType: "application/geo+json",
+    uti: "public.json",
+    passes: [
+      {
+        open: ({ name }) =>
+          '{"type":"FeatureCollection","features":[' +
+          `{"type":"Feature","properties":${JSON.stringify({ name })},` +
+          '"geometry":{"type":"LineString","coordinates":[',
+        row: (row, index) =>
+          (index > 0 ? "," : "") + JSON.stringify(geoJsonPosition(row)),
+        close: () => "]}}",
+      },
+      {
+        open: () => "",
+        row: (row) =>
+          "," +
+          JSON.stringify({
+            type: "Feature",
+            geometry: { type: "Point", coordinates: geoJsonPosition(row) },
+            properties: {
+              time: isoTime(row.timestamp),
+              accuracy: row.accuracy,
+              altitude: row.altitude,
+              speed: row.speed,
+              heading: row.heading,
+              trip_id: row.trip_id,
+              synced: !!row.synced,
+            },
+          }),
+        close: () => "]}\n",
+      },
+    ],
+  },
+
+  kml: {
+    label: "KML",
+    extension: "kml",
+    mimeType: "application/vnd.google-earth.kml+xml",
+    uti: "com.google.earth.kml",
+    passes: [
+      {
+        open: ({ name }) =>
+          '<?xml version="1.0" encoding="UTF-8"?>\n' +
+          '<kml xmlns="http://www.opengis.net/kml/2.2" ' +
+          'xmlns:gx="http://www.google.com/kml/ext/2.2">\n' +
+          `<Document><name>${escapeXml(name)}</name>\n` +
+          '<Schema id="fix">' +
+          '<gx:SimpleArrayField name="accuracy" type="float"><displayName>Accuracy (m)</displayName></gx:SimpleArrayField>' +
+          '<gx:SimpleArrayField name="speed" type="float"><displayName>Speed (m/s)</displayName></gx:SimpleArrayField>' +
+          '<gx:SimpleArrayField name="heading" type="float"><displayName>Heading (°)</displayName></gx:SimpleArrayField>' +
+          "</Schema>\n" +
+          `<Placemark><name>${escapeXml(name)}</name>\n` +
+          "<gx:Track><altitudeMode>clampToGround</altitudeMode>\n",
+        row: (row) => `<when>${isoTime(row.timestamp)}</when>\n`,
+        close: () => "",
+      },
+      {
+        open: () => "",
+        row: (row) =>
+          `<gx:coord>${row.longitude} ${row.latitude} ${
+            has(row.altitude) ? row.altitude : 0
+          }</gx:coord>\n`,
+        close: () => '<ExtendedData><SchemaData schemaUrl="#fix">\n',
+      },
+      kmlArrayPass("accuracy"),
+      kmlArrayPass("speed"),
+      {
+        ...kmlArrayPass("heading"),
+        close: () =>
+          "</gx:SimpleArrayData>\n</SchemaData></ExtendedData>\n" +
+          "</gx:Track></Placemark>\n</Document>\n</kml>\n",
+      },
+    ],
+  },
+
+  csv: {
+    label: "CSV",
+    extension: "csv",
+    mimeType: "text/csv",
+    uti: "public.comma-separated-values-text",
+    passes: [
+      {
+        open: () =>
+          "id,trip_id,timestamp,time,latitude,longitude,accuracy,altitude,speed,heading,synced\n",
+        row: (row) =>
+          [
+            row.id,
+            row.trip_id,
+            row.timestamp,
+            isoTime(row.timestamp),
+            row.latitude,
+            row.longitude,
+            row.accuracy,
+            row.altitude,
+            row.speed,
+            row.heading,
+            row.synced ? 1 : 0,
+          ]
+            .map(csvField)
+            .join(",") + "\n",
+        close: () => "",
+      },
+    ],
+  },
+};
+
+// Buffered, append-only text writer on top of a FileHandle
+const createWriter = (file) => {
+  const encoder = new TextEncoder();
+  const handle = file.open();
+  let buffer = "";
+
+  const flush = () => {
+    if (buffer.length === 0) return;
+    handle.writeBytes(encoder.encode(buffer));
+    buffer = "";
+  };
+
+  return {
+    write: (text) => {
+      buffer += text;
+      if (buffer.length >= FLUSH_THRESHOLD) flush();
+    },
+    close: () => {
+      flush();
+      handle.close();
+    },
+  };
+};
+
+// Write the locations matching `filters` (from, to, tripId) to a file in the
+// cache directory. Returns { file, format, count }.
+export const exportTrack = async (db, format, filters = {}, options = {}) => {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+  const name = options.name || "Mozility track";
+  const fileName = `${(options.fileName || "mozility-track").replace(
+    /[^\w.-]+/g,
+    "-"
+  )}.${spec.extension}`;
+
+  // Points saved during the export (tracking with to = now) would put the
+  // passes out of step, so every pass stops at the rows there were up front
+  const { maxId } = await db.getFirstAsync(
+    "SELECT MAX(id) AS maxId FROM locations"
+  );
+  const snapshot = { ...filters, maxId: maxId ?? 0 };
+
+  const file = new File(Paths.cache, fileName);
+  file.create({ overwrite: true });
+
+  const writer = createWriter(file);
+  let count = 0;
+
+  try {
+    for (const pass of spec.passes) {
+      const state = {};
+      let index = 0;
+
+      writer.write(pass.open({ name }));
+      await forEachLocationPage(db, snapshot, (rows) => {
+        for (const row of rows) {
+          writer.write(pass.row(row, index++, state));
+        }
+      });
+      writer.write(pass.close());
+
+      count = index;
+    }
+  } catch (error) {
+    // Don't leave a truncated file behind
+    writer.close();
+    file.delete();
+    throw error;
+  }
+
+  writer.close();
+
+  return { file, format: spec, count };
+};
+
+// Hand an exported file to the OS share sheet
+export const shareExport = async ({ file, format }) => {
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing is not available on this device");
+  }
+
+  await Sharing.shareAsync(file.uri, {
+    mimeType: format.mimeType,
+    UTI: format.uti,
+    dialogTitle: `Export ${format.label}`,
+  });
+};
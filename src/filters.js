@@ -0,0 +1,100 @@
+import { LOCATION_FILTER } from "./config";
+import { haversineDistance } from "./geo";
+import { writeLog } from "./logger";
+
+// Quality checks run on every fix before it is stored. Each check gets the
+// new fix, the previously stored point (or null) and the filter config, and
+// returns a rejection message or null to let the fix through.
+const CHECKS = [
+  {
+    reason: "accuracy",
+    test: (fix, previous, config) => {
+      const { accuracy } = fix.coords;
+      return accuracy != null && accuracy > config.maxAccuracy
+        ? `accuracy ${Math.round(accuracy)}m > ${config.maxAccuracy}m`
+        : null;
+    },
+  },
+  {
+    reason: "speed",
+    test: (fix, previous, config) => {
+      if (!previous) return null;
+
+      // Past the window the previous point tells us little, and a bad stored
+      // point must not block every following fix
+      const elapsed = fix.timestamp - previous.timestamp;
+      if (elapsed <= 0 || elapsed > config.maxSpeedWindowMs) return null;
+
+      const speed = haversineDistance(previous, fix.coords) / (elapsed / 1000);
+      return speed > config.maxSpeed
+        ? `implied speed ${speed.toFixed(1)}m/s > ${config.maxSpeed}m/s`
+        : null;
+    },
+  },
+  {
+    reason: "stationary",
+    test: (fix, previous, config) => {
+      if (!previous) return null;
+      if (fix.timestamp - previous.timestamp >= config.stationaryHeartbeatMs) {
+        return null;
+      }
+
+      const distance = haversineDistance(previous, fix.coords);
+      return distance < config.minDistance
+        ? `moved ${distance.toFixed(1)}m < ${config.minDistance}m`
+        : null;
+    },
+  },
+];
+
+// Run the checks. Returns { reason, message } for a rejected fix, else null.
+export const checkFix = (fix, previous, config = LOCATION_FILTER) => {
+  for (const check of CHECKS) {
+    const message = check.test(fix, previous, config);
+    if (message) return { reason: check.reason, message };
+  }
+  return null;
+};
+
+// One step of a constant-position Kalman filter, seeded from the previously
+// stored point so no state has to survive between background task runs.
+// Returns smoothed { latitude, longitude }.
+export const smoothFix = (fix, previous, config = LOCATION_FILTER) => {
+  const { latitude, longitude, accuracy } = fix.coords;
+  if (!previous || previous.accuracy == null || accuracy == null) {
+    return { latitude, longitude };
+  }
+
+  const elapsed = Math.max(0, (fix.timestamp - previous.timestamp) / 1000);
+  const variance =
+    previous.accuracy ** 2 + elapsed * config.smoothingNoise ** 2;
+  const gain = variance / (variance + Math.max(accuracy, 1) ** 2);
+
+  return {
+    latitude: previous.latitude + gain * (latitude - previous.latitude),
+    longitude: previous.longitude + gain * (longitude - previous.longitude),
+  };
+};
+
+// Count a rejected fix and log why, so thresholds can be tuned from the data
+export const recordRejection = async (db, fix, rejection, context = null) => {
+  await db.runAsync(
+    `INSERT INTO filter_rejections (reason, count, last_rejected_at) VALUES (?, 1, ?)
+    ON CONFLICT (reason) DO UPDATE SET count = count + 1, last_rejected_at = excluded.last_rejected_at`,
+    [rejection.reason, fix.timestamp]
+  );
+  await writeLog(
+    db,
+    "warn",
+    `Location rejected (${rejection.reason}): ${rejection.message}`,
+    context
+  );
+};
+
+// Rejected fix totals per reason, e.g. { accuracy: 12, speed: 3 }
+export const getRejectionCounts = async (db) => {
+  const rows = await db.getAllAsync(
+    "SELECT reason, count FROM filter_rejections"
+  );
+  return Object.fromEntries(rows.map((row) => [row.reason, row.count]));
+};
@@ -0,0 +1,55 @@
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+// Great-circle distance in meters between two { latitude, longitude } points
+export const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Initial bearing in radians from a to b, clockwise from north
+export const initialBearing = (a, b) => {
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+
+  return Math.atan2(
+    Math.sin(dLng) * Math.cos(lat2),
+    Math.cos(lat1) * Math.sin(lat2) -
+      Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng)
+  );
+};
+
+// Point `distance` meters from origin along `bearing` (radians)
+export const destinationPoint = (origin, bearing, distance) => {
+  const angular = distance / EARTH_RADIUS_M;
+  const lat1 = toRadians(origin.latitude);
+  const lng1 = toRadians(origin.longitude);
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(angular) +
+      Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing)
+  );
+  const lng2 =
+    lng1 +
+    Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+
+  return {
+    latitude: toDegrees(lat2),
+    // Normalize to -180..180
+    longitude: ((toDegrees(lng2) + 540) % 360) - 180,
+  };
+};
@@ -0,0 +1,257 @@
+import * as Location from "expo-location";
+import {
+  GEOFENCE_DEFAULT_RADIUS_M,
+  GEOFENCE_EXIT_MARGIN_M,
+  GEOFENCE_DWELL_MS,
+  GEOFENCE_MAX_REGIONS,
+} from "./config";
+import { haversineDistance } from "./geo";
+import { uuid } from "./uuid";
+import { writeLog } from "./logger";
+import { enqueue } from "./queue";
+
+// Geofences are circular regions (depots, customer sites) created in the app
+// or delivered by the sync server. Transitions are reported by the OS through
+// the geofencing task and, as a fallback for events the OS misses, by
+// checking every stored fix. Both paths go through recordTransition, which
+// keeps each region's inside/outside state so a transition seen by both is
+// only recorded once. Removed geofences are kept (removed_at set) so their
+// unsynced events still resolve.
+
+// Active geofences
+export const getGeofences = (db) =>
+  db.getAllAsync(
+    "SELECT * FROM geofences WHERE removed_at IS NULL ORDER BY created_at ASC, id ASC"
+  );
+
+// Most recent events with their geofence name
+export const getGeofenceEvents = (db, limit = 20) =>
+  db.getAllAsync(
+    `SELECT geofence_events.*, geofences.name
+    FROM geofence_events JOIN geofences ON geofences.id = geofence_events.geofence_id
+    ORDER BY geofence_events.timestamp DESC, geofence_events.id DESC LIMIT ?`,
+    [limit]
+  );
+
+// Create a geofence. Returns its row id.
+export const addGeofence = async (db, geofence) => {
+  const {
+    name,
+    latitude,
+    longitude,
+    radius = GEOFENCE_DEFAULT_RADIUS_M,
+    clientId = uuid(),
+    source = "local",
+  } = geofence;
+
+  if (!(radius > 0)) throw new Error("Geofence radius must be positive");
+
+  const result = await db.runAsync(
+    `INSERT INTO geofences (client_id, name, latitude, longitude, radius, source)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    [clientId, name, latitude, longitude, radius, source]
+  );
+  return result.lastInsertRowId;
+};
+
+export const removeGeofence = async (db, id, removedAt = Date.now()) => {
+  await db.runAsync(
+    "UPDATE geofences SET removed_at = ? WHERE id = ? AND removed_at IS NULL",
+    [removedAt, id]
+  );
+};
+
+// Replace the server-delivered geofences with `geofences` ([{ id, name,
+// latitude, longitude, radius }]). Local geofences are left alone, and a
+// geofence the server lists again after withdrawing it is restored in place
+// (client ids are unique). Returns the number of geofences added, changed,
+// restored or removed.
+export const applyServerGeofences = async (db, geofences) => {
+  let changed = 0;
+
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    const existing = await txn.getAllAsync(
+      "SELECT * FROM geofences WHERE source = 'server'"
+    );
+    const byClientId = new Map(existing.map((row) => [row.client_id, row]));
+
+    for (const geofence of geofences) {
+      if (!geofence || !geofence.id || !(geofence.radius > 0)) continue;
+
+      const row = byClientId.get(geofence.id);
+      byClientId.delete(geofence.id);
+
+      if (!row) {
+        await addGeofence(txn, {
+          ...geofence,
+          name: geofence.name || "Site",
+          clientId: geofence.id,
+          source: "server",
+        });
+        changed++;
+      } else if (
+        row.removed_at !== null ||
+        row.name !== geofence.name ||
+        row.latitude !== geofence.latitude ||
+        row.longitude !== geofence.longitude ||
+        row.radius !== geofence.radius
+      ) {
+        // A moved or restored region starts over as "outside"
+        await txn.runAsync(
+          `UPDATE geofences SET name = ?, latitude = ?, longitude = ?, radius = ?,
+          removed_at = NULL, inside = 0, entered_at = NULL, dwell_reported = 0
+          WHERE id = ?`,
+          [
+            geofence.name || row.name,
+            geofence.latitude,
+            geofence.longitude,
+            geofence.radius,
+            row.id,
+          ]
+        );
+        changed++;
+      }
+    }
+
+    // Whatever the server no longer lists was withdrawn
+    for (const row of byClientId.values()) {
+      if (row.removed_at !== null) continue;
+      await removeGeofence(txn, row.id);
+      changed++;
+    }
+  });
+
+  return changed;
+};
+
+const insertEvent = async (db, geofence, type, event) => {
+  const result = await db.runAsync(
+    `INSERT INTO geofence_events
+    (client_id, geofence_id, event_type, timestamp, latitude, longitude, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      uuid(),
+      geofence.id,
+      type,
+      event.timestamp,
+      event.latitude ?? null,
+      event.longitude ?? null,
+      event.source,
+    ]
+  );
+  await enqueue(db, "geofence_events", result.lastInsertRowId);
+  await writeLog(
+    db,
+    "info",
+    `Geofence ${type}: ${geofence.name} (${event.source})`,
+    event.context
+  );
+};
+
+// Record an "enter" or "exit" if it changes the geofence's state. `event` is
+// { timestamp, latitude, longitude, source, context } with source "os" or
+// "fix" and context the log context tag.
+// Updates `geofence` in place and returns true if an event was written.
+export const recordTransition = async (db, geofence, type, event) => {
+  const inside = type === "enter";
+  if (!!geofence.inside === inside) return false;
+
+  await db.runAsync(
+    "UPDATE geofences SET inside = ?, entered_at = ?, dwell_reported = 0 WHERE id = ?",
+    [inside ? 1 : 0, inside ? event.timestamp : null, geofence.id]
+  );
+  await insertEvent(db, geofence, type, event);
+
+  geofence.inside = inside ? 1 : 0;
+  geofence.entered_at = inside ? event.timestamp : null;
+  geofence.dwell_reported = 0;
+  return true;
+};
+
+// Fallback transition check for a stored fix ({ latitude, longitude,
+// timestamp }) against `geofences` (rows from getGeofences, updated in place).
+// Also records a "dwell" once a fix arrives GEOFENCE_DWELL_MS after entering.
+// Returns the number of events written.
+export const checkGeofences = async (db, geofences, point, context = null) => {
+  let events = 0;
+
+  for (const geofence of geofences) {
+    const distance = haversineDistance(geofence, point);
+    const event = { ...point, source: "fix", context };
+
+    if (!geofence.inside && distance <= geofence.radius) {
+      if (await recordTransition(db, geofence, "enter", event)) events++;
+    } else if (
+      geofence.inside &&
+      distance > geofence.radius + GEOFENCE_EXIT_MARGIN_M
+    ) {
+      if (await recordTransition(db, geofence, "exit", event)) events++;
+    } else if (
+      geofence.inside &&
+      !geofence.dwell_reported &&
+      geofence.entered_at !== null &&
+      point.timestamp - geofence.entered_at >= GEOFENCE_DWELL_MS
+    ) {
+      await db.runAsync(
+        "UPDATE geofences SET dwell_reported = 1 WHERE id = ?",
+        [geofence.id]
+      );
+      await insertEvent(db, geofence, "dwell", event);
+      geofence.dwell_reported = 1;
+      events++;
+    }
+  }
+
+  return events;
+};
+
+// Handle the payload of the geofencing TaskManager task
+export const handleGeofencingEvent = async (db, { eventType, region }) => {
+  const type =
+    eventType === Location.GeofencingEventType.Enter
+      ? "enter"
+      : eventType === Location.GeofencingEventType.Exit
+      ? "exit"
+      : null;
+  if (!type || !region) return false;
+
+  const geofence = await db.getFirstAsync(
+    "SELECT * FROM geofences WHERE client_id = ? AND removed_at IS NULL",
+    [region.identifier]
+  );
+  if (!geofence) return false;
+
+  let recorded = false;
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    recorded = await recordTransition(txn, geofence, type, {
+      timestamp: Date.now(),
+      source: "os",
+      context: "geofence-task",
+    });
+  });
+  return recorded;
+};
+
+// (Re)register the active geofences with the OS under `taskName`, or stop
+// monitoring when there are none. Needs background location permission.
+export const registerGeofences = async (db, taskName) => {
+  const geofences = await getGeofences(db);
+  const started = await Location.hasStartedGeofencingAsync(taskName);
+
+  if (geofences.length === 0) {
+    if (started) await Location.stopGeofencingAsync(taskName);
+    return 0;
+  }
+
+  const regions = geofences.slice(0, GEOFENCE_MAX_REGIONS).map((row) => ({
+    identifier: row.client_id,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    radius: row.radius,
+    notifyOnEnter: true,
+    notifyOnExit: true,
+  }));
+
+  await Location.startGeofencingAsync(taskName, regions);
+  return regions.length;
+};
@@ -0,0 +1,177 @@
+import * as DocumentPicker from "expo-document-picker";
+import { File } from "expo-file-system";
+
+// Track import from GPX and GeoJSON files. Parsed tracks are arrays of
+// { latitude, longitude, altitude, time, speed, heading } in file order;
+// fields the file doesn't carry are null.
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toTime = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const time = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+const point = (latitude, longitude, extra = {}) => ({
+  latitude,
+  longitude,
+  altitude: toNumber(extra.altitude),
+  time: toTime(extra.time),
+  speed: toNumber(extra.speed),
+  heading: toNumber(extra.heading),
+});
+
+// Text content of the first <tag> (any namespace prefix) inside xml
+const xmlValue = (xml, tag) => {
+  const match = xml.match(
+    new RegExp(`<(?:\\w+:)?${tag}\\b[^>]*>([^<]*)</(?:\\w+:)?${tag}>`)
+  );
+  return match ? match[1].trim() : null;
+};
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)`));
+  return match ? match[1] : null;
+};
+
+// Parse GPX track points, falling back to route points. Speed and course
+// are read from GPX 1.0 elements or any extension using those names.
+export const parseGpx = (text) => {
+  const pattern = /<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g;
+  const points = { trkpt: [], rtept: [] };
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, tag, attributes, body = ""] = match;
+    const latitude = toNumber(xmlAttribute(attributes, "lat"));
+    const longitude = toNumber(xmlAttribute(attributes, "lon"));
+    if (latitude === null || longitude === null) continue;
+
+    points[tag].push(
+      point(latitude, longitude, {
+        altitude: xmlValue(body, "ele"),
+        time: xmlValue(body, "time"),
+        speed: xmlValue(body, "speed"),
+        heading: xmlValue(body, "course"),
+      })
+    );
+  }
+
+  return points.trkpt.length > 0 ? points.trkpt : points.rtept;
+};
+
+// Per-position times from the common GeoJSON conventions
+const featureTimes = (properties = {}) =>
+  properties.coordTimes ||
+  properties.coordinateProperties?.times ||
+  properties.times ||
+  null;
+
+const fromPosition = (position, extra) =>
+  point(position[1], position[0], { altitude: position[2], ...extra });
+
+// Parse a GeoJSON FeatureCollection, Feature or geometry. Returns the Point
+// features if there are several, otherwise the points of the lines.
+export const parseGeoJson = (text) => {
+  const root = typeof text === "string" ? JSON.parse(text) : text;
+  const lines = [];
+  const points = [];
+
+  const visit = (geometry, properties = {}) => {
+    if (!geometry) return;
+
+    switch (geometry.type) {
+      case "LineString": {
+        const times = featureTimes(properties);
+        lines.push(
+          ...geometry.coordinates.map((position, index) =>
+            fromPosition(position, { time: times ? times[index] : null })
+          )
+        );
+        break;
+      }
+      case "MultiLineString": {
+        const times = featureTimes(properties);
+        geometry.coordinates.forEach((line, lineIndex) => {
+          lines.push(
+            ...line.map((position, index) =>
+              fromPosition(position, {
+                time:
+                  times && times[lineIndex] ? times[lineIndex][index] : null,
+              })
+            )
+          );
+        });
+        break;
+      }
+      case "Point":
+        points.push(
+          fromPosition(geometry.coordinates, {
+            time: properties.time ?? properties.timestamp,
+            speed: properties.speed,
+            heading: properties.heading ?? properties.course,
+          })
+        );
+        break;
+      case "GeometryCollection":
+        geometry.geometries.forEach((child) => visit(child, properties));
+        break;
+      default:
+        break;
+    }
+  };
+
+  if (root.type === "FeatureCollection") {
+    root.features.forEach((feature) =>
+      visit(feature.geometry, feature.properties || {})
+    );
+  } else if (root.type === "Feature") {
+    visit(root.geometry, root.properties || {});
+  } else {
+    visit(root);
+  }
+
+  // Point features carry more detail (speed, heading) than the line, so
+  // prefer them when a file has both, as our own GeoJSON export does
+  return points.length > 1 ? points : lines;
+};
+
+// Parse a track file, choosing the parser from the name or the content
+export const parseTrack = (text, name = "") => {
+  const trimmed = text.trimStart();
+  const isGpx = /\.gpx$/i.test(name) || trimmed.startsWith("<");
+  const points = isGpx ? parseGpx(text) : parseGeoJson(text);
+
+  if (points.length === 0) {
+    throw new Error("No track points found in the file");
+  }
+  return points;
+};
+
+// Let the user pick a GPX or GeoJSON file. Returns { name, points } or null
+// if the picker was cancelled.
+export const pickTrackFile = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: [
+      "application/gpx+xml",
+      "application/geo+json",
+      "application/json",
+      "application/octet-stream",
+      "text/xml",
+    ],
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+
+  const asset = result.assets[0];
+  const text = await new File(asset.uri).text();
+  return { name: asset.name, points: parseTrack(text, asset.name) };
+};
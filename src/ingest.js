@@ -0,0 +1,126 @@
+import { uuid } from "./uuid";
+import { assignTrip } from "./trips";
+import { LOCATION_FILTER } from "./config";
+import { checkFix, smoothFix, recordRejection } from "./filters";
+import { getGeofences, checkGeofences } from "./geofences";
+import { writeLog } from "./logger";
+import { enqueue } from "./queue";
+
+// Format a fix for log messages
+const describe = (location) =>
+  `${location.coords.latitude.toFixed(6)}, ${location.coords.longitude.toFixed(
+    6
+  )}`;
+
+// Save a batch of expo-location fixes. This is the single ingestion path for
+// the foreground UI and the background location task: the whole batch is
+// written in one transaction together with its sync_queue and app_logs rows,
+// and fixes whose timestamp is already stored (or repeated within the batch)
+// are dropped. Fixes then go through the GPS quality filter (see filters.js);
+// rejected ones are counted and logged instead of stored. Stored fixes are
+// checked against the geofences as a fallback for transitions the OS misses.
+//
+// Options:
+//   trips   attach each fix to the current trip (while tracking is active)
+//   profile tracking profile key recorded on trips started by this batch
+//   context log context tag of the caller (default "ui")
+//   filter  settings overriding LOCATION_FILTER, or false to store as-is
+export const saveLocations = async (db, locations, options = {}) => {
+  const { trips = false, profile = null, context = "ui" } = options;
+  const filter =
+    options.filter === false ? null : { ...LOCATION_FILTER, ...options.filter };
+  const result = { saved: 0, duplicates: 0, rejected: 0, ids: [] };
+  if (!locations || locations.length === 0) return result;
+
+  // The OS may deliver deferred fixes out of order
+  const ordered = [...locations].sort((a, b) => a.timestamp - b.timestamp);
+  const seen = new Set();
+
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    const geofences = await getGeofences(txn);
+
+    for (const location of ordered) {
+      if (seen.has(location.timestamp)) {
+        result.duplicates++;
+        continue;
+      }
+      seen.add(location.timestamp);
+
+      const existing = await txn.getFirstAsync(
+        "SELECT id FROM locations WHERE timestamp = ?",
+        [location.timestamp]
+      );
+      if (existing) {
+        result.duplicates++;
+        continue;
+      }
+
+      let { latitude, longitude } = location.coords;
+
+      if (filter) {
+        const previous = await txn.getFirstAsync(
+          "SELECT latitude, longitude, accuracy, timestamp FROM locations WHERE timestamp < ? ORDER BY timestamp DESC LIMIT 1",
+          [location.timestamp]
+        );
+
+        const rejection = checkFix(location, previous, filter);
+        if (rejection) {
+          await recordRejection(txn, location, rejection, context);
+          result.rejected++;
+          continue;
+        }
+
+        if (filter.smoothing) {
+          ({ latitude, longitude } = smoothFix(location, previous, filter));
+        }
+      }
+
+      const tripId = trips
+        ? await assignTrip(
+            txn,
+            { latitude, longitude, timestamp: location.timestamp },
+            profile
+          )
+        : null;
+
+      const inserted = await txn.runAsync(
+        `INSERT INTO locations
+        (latitude, longitude, accuracy, altitude, speed, heading, timestamp, synced, client_id, trip_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          latitude,
+          longitude,
+          location.coords.accuracy,
+          location.coords.altitude,
+          location.coords.speed,
+          location.coords.heading,
+          location.timestamp,
+          0, // not synced yet
+          uuid(), // idempotency key for the sync server
+          tripId,
+        ]
+      );
+
+      await enqueue(txn, "locations", inserted.lastInsertRowId);
+
+      await writeLog(
+        txn,
+        "info",
+        `Location saved: ${describe(location)}`,
+        context
+      );
+
+      await checkGeofences(
+        txn,
+        geofences,
+        { latitude, longitude, timestamp: location.timestamp },
+        context
+      );
+
+      result.saved++;
+      result.ids.push(inserted.lastInsertRowId);
+    }
+  });
+
+  return result;
+};
@@ -0,0 +1,351 @@
+import {
+  SYNC_SERVER_URL,
+  LIVE_HEARTBEAT_MS,
+  LIVE_HEARTBEAT_TIMEOUT_MS,
+  LIVE_RECONNECT_BASE_MS,
+  LIVE_RECONNECT_MAX_MS,
+  LIVE_ACK_TIMEOUT_MS,
+} from "./config";
+import {
+  AuthError,
+  getCredentials,
+  getAuthStatus,
+  refreshCredentials,
+} from "./auth";
+import { backoffDelay, toLocationPayload } from "./sync";
+import { getPrivacyZones, screenLocations } from "./privacy";
+import { markInFlight, markUnsent, markSynced, markRejected } from "./queue";
+
+// Live streaming for dispatch dashboards: while enabled and online, new
+// fixes are sent one by one over a WebSocket to <server>/live instead of
+// waiting for the next batch sync. The protocol (JSON text messages):
+//   device  { type: "hello", device_id, token }   first message
+//   server  { type: "ready" }                     or close code 4001
+//   device  { type: "points", points }            as in POST /locations
+//   server  { type: "ack", accepted, rejected }   as the POST response
+//   device  { type: "ping" }  server  { type: "pong" }  heartbeat
+// Streamed points go through the sync queue like batches: in flight while
+// sent, synced once acknowledged. Points saved while the stream is down, and
+// points still unacknowledged when it drops, stay pending for the batch
+// sync. The stream lives in the UI's JS runtime; fixes saved elsewhere are
+// left to the batch sync.
+
+export const LIVE_STATES = {
+  off: "Off",
+  connecting: "Connecting",
+  live: "Live",
+  offline: "Reconnecting",
+  paused: "Paused",
+};
+
+// Close code of a server refusing the hello's token
+const UNAUTHORIZED_CLOSE_CODE = 4001;
+
+const placeholders = (count) => new Array(count).fill("?").join(", ");
+
+// The running stream: { db, serverUrl, options, socket, heartbeat,
+// reconnect, attempt, lastMessageAt, sent } with sent mapping the client id
+// of each unacknowledged point to { rowId, sentAt }
+let stream = null;
+let status = { state: "off", message: null };
+const listeners = new Set();
+
+const setStatus = (state, message = null) => {
+  status = { state, message };
+  for (const listener of listeners) listener(status);
+};
+
+// { state, message } with state a key of LIVE_STATES
+export const getLiveStatus = () => status;
+
+// Call listener with the current status and every change. Returns a function
+// that unsubscribes.
+export const subscribeLiveStatus = (listener) => {
+  listeners.add(listener);
+  listener(status);
+  return () => listeners.delete(listener);
+};
+
+// The WebSocket URL of the live endpoint of a sync server
+export const liveUrl = (serverUrl) =>
+  serverUrl.replace(/^http/, "ws").replace(/\/+$/, "") + "/live";
+
+// Take the unacknowledged points with these client ids off the stream.
+// Returns their row ids.
+const takeSent = (current, clientIds) => {
+  const rowIds = [];
+  for (const clientId of clientIds) {
+    const item = current.sent.get(clientId);
+    if (!item) continue;
+    current.sent.delete(clientId);
+    rowIds.push(item.rowId);
+  }
+  return rowIds;
+};
+
+// Hand unacknowledged points (all of them by default) back to the batch sync
+const requeue = async (current, clientIds = [...current.sent.keys()]) => {
+  const rowIds = takeSent(current, clientIds);
+  if (rowIds.length === 0) return;
+
+  try {
+    await markUnsent(current.db, "locations", rowIds);
+  } catch (error) {
+    console.error("Error requeueing live points:", error);
+  }
+};
+
+// Detach and close the stream's socket
+const dropSocket = async (current) => {
+  const { socket } = current;
+  if (!socket) return;
+
+  current.socket = null;
+  clearInterval(current.heartbeat);
+  socket.onopen = socket.onmessage = socket.onerror = socket.onclose = null;
+  try {
+    socket.close();
+  } catch (error) {
+    // Already closed
+  }
+  await requeue(current);
+};
+
+const scheduleReconnect = (current) => {
+  const {
+    reconnectBase = LIVE_RECONNECT_BASE_MS,
+    reconnectMax = LIVE_RECONNECT_MAX_MS,
+  } = current.options;
+  const delay = backoffDelay(current.attempt++, reconnectBase, reconnectMax);
+
+  setStatus("offline");
+  current.reconnect = setTimeout(() => {
+    current.reconnect = null;
+    connect(current);
+  }, delay);
+};
+
+// Record the server's answer to streamed points
+const handleAck = async (current, message) => {
+  const acked = takeSent(
+    current,
+    Array.isArray(message.accepted) ? message.accepted : []
+  );
+
+  const rejected = [];
+  for (const item of Array.isArray(message.rejected) ? message.rejected : []) {
+    const [recordId] = takeSent(current, [item?.id]);
+    if (recordId === undefined) continue;
+    rejected.push({
+      recordId,
+      error: String(item.error || "Rejected by server"),
+    });
+  }
+
+  if (acked.length > 0) await markSynced(current.db, "locations", acked);
+  if (rejected.length > 0) {
+    await markRejected(current.db, "locations", rejected);
+  }
+};
+
+// Ping the server, drop a connection that went silent and give up on points
+// that were never acknowledged
+const beat = async (current) => {
+  const {
+    heartbeatTimeout = LIVE_HEARTBEAT_TIMEOUT_MS,
+    ackTimeout = LIVE_ACK_TIMEOUT_MS,
+  } = current.options;
+  const now = Date.now();
+
+  if (now - current.lastMessageAt > heartbeatTimeout) {
+    console.log("[LIVE] No answer from the server, reconnecting");
+    await dropSocket(current);
+    if (stream === current) scheduleReconnect(current);
+    return;
+  }
+
+  if (current.socket.readyState === 1) {
+    current.socket.send(JSON.stringify({ type: "ping" }));
+  }
+
+  const expired = [...current.sent]
+    .filter(([, item]) => now - item.sentAt > ackTimeout)
+    .map(([clientId]) => clientId);
+  await requeue(current, expired);
+};
+
+// Open a connection for the stream, or schedule another try
+const connect = async (current) => {
+  const { heartbeat = LIVE_HEARTBEAT_MS } = current.options;
+
+  let credentials;
+  try {
+    credentials = await getCredentials();
+  } catch (error) {
+    console.error("Error reading device credentials:", error);
+  }
+  if (stream !== current) return;
+
+  const auth = getAuthStatus(credentials, current.serverUrl);
+  if (auth.state !== "registered") {
+    setStatus("paused", auth.message);
+    return;
+  }
+
+  setStatus("connecting");
+  let socket;
+  try {
+    socket = new WebSocket(liveUrl(current.serverUrl));
+  } catch (error) {
+    console.log(`[LIVE] Can't connect: ${error.message}`);
+    scheduleReconnect(current);
+    return;
+  }
+
+  current.socket = socket;
+  current.lastMessageAt = Date.now();
+  current.heartbeat = setInterval(() => {
+    beat(current).catch((error) =>
+      console.error("Live stream heartbeat error:", error)
+    );
+  }, heartbeat);
+
+  socket.onopen = () => {
+    socket.send(
+      JSON.stringify({
+        type: "hello",
+        device_id: credentials.deviceId,
+        token: credentials.token,
+      })
+    );
+  };
+
+  socket.onmessage = async (event) => {
+    current.lastMessageAt = Date.now();
+
+    try {
+      const message = JSON.parse(event.data);
+      if (message.type === "ready") {
+        current.attempt = 0;
+        setStatus("live");
+      } else if (message.type === "ack") {
+        await handleAck(current, message);
+      }
+    } catch (error) {
+      console.error("Live stream message error:", error);
+    }
+  };
+
+  // An error is always followed by a close
+  socket.onerror = () => {};
+
+  socket.onclose = async (event) => {
+    await dropSocket(current);
+    if (stream !== current) return;
+
+    if (event.code === UNAUTHORIZED_CLOSE_CODE) {
+      try {
+        await refreshCredentials(credentials);
+      } catch (error) {
+        if (error instanceof AuthError) {
+          setStatus("paused", error.message);
+          return;
+        }
+        console.log(`[LIVE] Token refresh failed: ${error.message}`);
+      }
+    }
+    scheduleReconnect(current);
+  };
+};
+
+// Start streaming to the server at options.serverUrl, keeping the connection
+// up until stopLiveStream. Restarts a stream paused for want of credentials.
+// Options: serverUrl, heartbeat, heartbeatTimeout, ackTimeout,
+// reconnectBase and reconnectMax (ms, see config.js).
+export const startLiveStream = async (db, options = {}) => {
+  const { serverUrl = SYNC_SERVER_URL } = options;
+  if (
+    stream &&
+    stream.db === db &&
+    stream.serverUrl === serverUrl &&
+    status.state !== "paused"
+  ) {
+    return;
+  }
+
+  await stopLiveStream();
+  stream = {
+    db,
+    serverUrl,
+    options,
+    socket: null,
+    heartbeat: null,
+    reconnect: null,
+    attempt: 0,
+    lastMessageAt: 0,
+    sent: new Map(),
+  };
+  await connect(stream);
+};
+
+// Close the stream; unacknowledged points go back to the batch sync
+export const stopLiveStream = async () => {
+  const current = stream;
+  if (!current) return;
+
+  stream = null;
+  clearTimeout(current.reconnect);
+  await dropSocket(current);
+  setStatus("off");
+};
+
+// Send newly saved locations (row ids) over the stream. Does nothing unless
+// the stream is live; points not sent stay pending for the batch sync.
+// Points are screened against the privacy zones like batches. Returns the
+// number of points sent.
+export const streamLocations = async (db, recordIds) => {
+  const current = stream;
+  if (!current || current.db !== db || status.state !== "live") return 0;
+  if (recordIds.length === 0) return 0;
+
+  const selected = await db.getAllAsync(
+    `SELECT locations.*, trips.client_id AS trip_client_id
+    FROM locations LEFT JOIN trips ON trips.id = locations.trip_id
+    JOIN sync_queue ON sync_queue.table_name = 'locations'
+      AND sync_queue.record_id = locations.id
+    WHERE sync_queue.state = 'pending' AND locations.withheld = 0
+    AND locations.id IN (${placeholders(recordIds.length)})
+    ORDER BY locations.timestamp ASC`,
+    recordIds
+  );
+  const rows = await screenLocations(db, selected, await getPrivacyZones(db));
+
+  const { socket } = current;
+  if (rows.length === 0 || !socket || status.state !== "live") return 0;
+
+  // Tracked before marking them in flight, so a drop in between requeues them
+  const sentAt = Date.now();
+  for (const row of rows) {
+    current.sent.set(row.client_id, { rowId: row.id, sentAt });
+  }
+  await markInFlight(
+    db,
+    "locations",
+    rows.map((row) => row.id)
+  );
+  if (current.socket !== socket) return 0;
+
+  try {
+    socket.send(
+      JSON.stringify({ type: "points", points: rows.map(toLocationPayload) })
+    );
+  } catch (error) {
+    console.log(`[LIVE] Send failed: ${error.message}`);
+    await requeue(
+      current,
+      rows.map((row) => row.client_id)
+    );
+    return 0;
+  }
+  return rows.length;
+};
@@ -0,0 +1,131 @@
+import { File, Paths } from "expo-file-system";
+import { openDatabase } from "./db";
+
+// Structured logging to app_logs. Every entry has a level and a context tag
+// telling where it came from, so background task failures can be told apart
+// from UI ones after the fact.
+
+export const LOG_LEVELS = ["info", "warn", "error"];
+
+export const LOG_CONTEXTS = {
+  ui: "UI",
+  tracker: "Tracker",
+  "location-task": "Location Task",
+  "geofence-task": "Geofence Task",
+  "sync-task": "Sync Task",
+};
+
+// Write one entry with an open database handle, e.g. inside a transaction
+export const writeLog = (db, level, message, context = null) =>
+  db.runAsync(
+    "INSERT INTO app_logs (message, level, context) VALUES (?, ?, ?)",
+    [message, level, context]
+  );
+
+// Logger for a context that opens the shared database itself, so it works in
+// TaskManager tasks without the React state. Entries also go to the console.
+// Logging never throws; a failed write is only reported on the console.
+export const createLogger = (context) => {
+  const log = async (level, message, error) => {
+    const text = error ? `${message}: ${error.message || error}` : message;
+
+    if (level === "error") {
+      console.error(`[${context}] ${text}`);
+    } else {
+      console.log(`[${context}:${level}] ${text}`);
+    }
+
+    try {
+      await writeLog(await openDatabase(), level, text, context);
+    } catch (logError) {
+      console.error("Logging error:", logError);
+    }
+  };
+
+  return {
+    log,
+    info: (message) => log("info", message),
+    warn: (message, error) => log("warn", message, error),
+    error: (message, error) => log("error", message, error),
+  };
+};
+
+// Build the WHERE clause for log filters: level (minimum severity), since
+// (timestamp in ms), context and search (substring of the message)
+const logConditions = (filters = {}) => {
+  const { level, since, context, search } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (level) {
+    const levels = LOG_LEVELS.slice(LOG_LEVELS.indexOf(level));
+    conditions.push(`level IN (${levels.map(() => "?").join(", ")})`);
+    params.push(...levels);
+  }
+  if (since != null) {
+    // created_at is an SQLite UTC "YYYY-MM-DD HH:MM:SS" string
+    conditions.push("created_at >= datetime(?, 'unixepoch')");
+    params.push(Math.floor(since / 1000));
+  }
+  if (context) {
+    conditions.push("context = ?");
+    params.push(context);
+  }
+  if (search) {
+    conditions.push("message LIKE ? ESCAPE '\\'");
+    params.push(`%${search.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+};
+
+// Newest log entries matching the filters
+export const queryLogs = (db, filters, limit = 200) => {
+  const { where, params } = logConditions(filters);
+  return db.getAllAsync(
+    `SELECT * FROM app_logs ${where} ORDER BY id DESC LIMIT ?`,
+    [...params, limit]
+  );
+};
+
+const csvField = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write the log entries matching the filters, oldest first, to a CSV file in
+// the cache directory. app_logs is capped by the retention policy, so the
+// entries are written in one go. Returns { file, format, count } for
+// shareExport.
+export const exportLogs = async (db, filters) => {
+  const { where, params } = logConditions(filters);
+  const rows = await db.getAllAsync(
+    `SELECT * FROM app_logs ${where} ORDER BY id ASC`,
+    params
+  );
+
+  const lines = rows.map((row) =>
+    [row.id, row.created_at, row.level, row.context, row.message]
+      .map(csvField)
+      .join(",")
+  );
+  const day = new Date().toISOString().slice(0, 10);
+
+  const file = new File(Paths.cache, `mozility-logs-${day}.csv`);
+  file.create({ overwrite: true });
+  file.write(["id,created_at,level,context,message", ...lines, ""].join("\n"));
+
+  return {
+    file,
+    format: {
+      label: "Logs",
+      mimeType: "text/csv",
+      uti: "public.comma-separated-values-text",
+    },
+    count: rows.length,
+  };
+};
@@ -0,0 +1,288 @@
+// Schema migrations for the tracker database, keyed on PRAGMA user_version.
+//
+// Append new steps to the end of MIGRATIONS with the next version number and
+// never edit a step that has shipped: phones in the field only run the steps
+// above their current user_version. Each step runs in its own exclusive
+// transaction together with the user_version bump, so a failing step leaves
+// the database exactly at the previous version.
+
+// Error raised when a migration step fails; the step has been rolled back
+export class MigrationError extends Error {
+  constructor(version, description, cause) {
+    super(`Migration ${version} (${description}) failed: ${cause.message}`);
+    this.name = "MigrationError";
+    this.version = version;
+    this.cause = cause;
+  }
+}
+
+// Check whether a table already has a column
+export const hasColumn = async (db, table, column) => {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return columns.some((info) => info.name === column);
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: "initial schema",
+    // Uses IF NOT EXISTS because databases created before migrations existed
+    // already have these tables at user_version 0
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS locations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          accuracy REAL,
+          altitude REAL,
+          speed REAL,
+          heading REAL,
+          timestamp INTEGER NOT NULL,
+          synced INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS sync_queue (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          table_name TEXT NOT NULL,
+          record_id INTEGER NOT NULL,
+          operation TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS app_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          message TEXT NOT NULL,
+          level TEXT DEFAULT 'info',
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: "sync client ids and location indexes",
+    up: async (db) => {
+      // Builds from before migrations may have added the column already
+      if (!(await hasColumn(db, "locations", "client_id"))) {
+        await db.execAsync("ALTER TABLE locations ADD COLUMN client_id TEXT");
+      }
+      await db.execAsync(`
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_client_id ON locations (client_id);
+        CREATE INDEX IF NOT EXISTS idx_locations_timestamp ON locations (timestamp);
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: "trips",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE trips (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          client_id TEXT NOT NULL UNIQUE,
+          started_at INTEGER NOT NULL,
+          ended_at INTEGER,
+          end_reason TEXT,
+          distance REAL DEFAULT 0,
+          point_count INTEGER DEFAULT 0,
+          synced INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_trips_ended_at ON trips (ended_at);
+
+        ALTER TABLE locations ADD COLUMN trip_id INTEGER REFERENCES trips (id);
+        CREATE INDEX idx_locations_trip_id ON locations (trip_id, timestamp);
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: "location filter rejection counters",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE filter_rejections (
+          reason TEXT PRIMARY KEY,
+          count INTEGER NOT NULL DEFAULT 0,
+          last_rejected_at INTEGER
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: "geofences and geofence events",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE geofences (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          client_id TEXT NOT NULL UNIQUE,
+          name TEXT NOT NULL,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          radius REAL NOT NULL,
+          source TEXT NOT NULL DEFAULT 'local',
+          inside INTEGER NOT NULL DEFAULT 0,
+          entered_at INTEGER,
+          dwell_reported INTEGER NOT NULL DEFAULT 0,
+          removed_at INTEGER,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE geofence_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          client_id TEXT NOT NULL UNIQUE,
+          geofence_id INTEGER NOT NULL REFERENCES geofences (id),
+          event_type TEXT NOT NULL,
+          timestamp INTEGER NOT NULL,
+          latitude REAL,
+          longitude REAL,
+          source TEXT NOT NULL,
+          synced INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX idx_geofence_events_timestamp ON geofence_events (timestamp);
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: "tracking profile per trip",
+    up: async (db) => {
+      await db.execAsync("ALTER TABLE trips ADD COLUMN profile TEXT");
+    },
+  },
+  {
+    version: 7,
+    description: "log context tags",
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE app_logs ADD COLUMN context TEXT;
+        CREATE INDEX idx_app_logs_created_at ON app_logs (created_at);
+      `);
+    },
+  },
+  {
+    version: 8,
+    description: "location sync status index",
+    up: async (db) => {
+      // Serves the history's synced/pending filter and the sync upload query
+      await db.execAsync(
+        "CREATE INDEX idx_locations_synced ON locations (synced, timestamp)"
+      );
+    },
+  },
+  {
+    version: 9,
+    description: "privacy zones",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE privacy_zones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          latitude REAL NOT NULL,
+          longitude REAL NOT NULL,
+          radius REAL NOT NULL,
+          mode TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        ALTER TABLE locations ADD COLUMN withheld INTEGER DEFAULT 0;
+      `);
+    },
+  },
+  {
+    version: 10,
+    description: "per-record sync state",
+    up: async (db) => {
+      await db.execAsync(`
+        ALTER TABLE sync_queue ADD COLUMN state TEXT NOT NULL DEFAULT 'pending';
+        ALTER TABLE sync_queue ADD COLUMN attempts INTEGER NOT NULL DEFAULT 0;
+        ALTER TABLE sync_queue ADD COLUMN last_error TEXT;
+        ALTER TABLE sync_queue ADD COLUMN next_retry_at INTEGER;
+        ALTER TABLE sync_queue ADD COLUMN updated_at INTEGER;
+
+        -- Older versions could queue a record more than once
+        DELETE FROM sync_queue WHERE id NOT IN (
+          SELECT MIN(id) FROM sync_queue GROUP BY table_name, record_id
+        );
+        CREATE UNIQUE INDEX idx_sync_queue_record
+          ON sync_queue (table_name, record_id);
+        CREATE INDEX idx_sync_queue_state
+          ON sync_queue (table_name, state, next_retry_at);
+
+        -- Queue entries left behind for records that did sync
+        DELETE FROM sync_queue WHERE
+          (table_name = 'locations' AND record_id IN
+            (SELECT id FROM locations WHERE synced = 1))
+          OR (table_name = 'trips' AND record_id IN
+            (SELECT id FROM trips WHERE synced = 1))
+          OR (table_name = 'geofence_events' AND record_id IN
+            (SELECT id FROM geofence_events WHERE synced = 1));
+
+        -- Unsynced records recorded without a queue entry
+        INSERT OR IGNORE INTO sync_queue (table_name, record_id, operation)
+          SELECT 'locations', id, 'INSERT' FROM locations WHERE synced = 0;
+        INSERT OR IGNORE INTO sync_queue (table_name, record_id, operation)
+          SELECT 'trips', id, 'INSERT' FROM trips WHERE synced = 0;
+        INSERT OR IGNORE INTO sync_queue (table_name, record_id, operation)
+          SELECT 'geofence_events', id, 'INSERT' FROM geofence_events
+          WHERE synced = 0;
+      `);
+    },
+  },
+];
+
+// Latest schema version this build knows about
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Read the schema version stored in the database header
+export const getSchemaVersion = async (db) => {
+  const row = await db.getFirstAsync("PRAGMA user_version");
+  return row ? row.user_version : 0;
+};
+
+// Bring the database up to SCHEMA_VERSION. Returns the versions applied.
+// Throws MigrationError on the first failing step; earlier steps stay applied.
+export const migrate = async (db, migrations = MIGRATIONS) => {
+  const applied = [];
+  const current = await getSchemaVersion(db);
+
+  if (current > SCHEMA_VERSION) {
+    console.warn(
+      `[DB] Schema version ${current} is newer than this build (${SCHEMA_VERSION})`
+    );
+    return applied;
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+
+    try {
+      let ran = false;
+
+      await db.withExclusiveTransactionAsync(async (txn) => {
+        // Another connection (e.g. a background task) may have migrated
+        // while we were waiting for the lock
+        if ((await getSchemaVersion(txn)) >= migration.version) return;
+
+        await migration.up(txn);
+        await txn.execAsync(`PRAGMA user_version = ${migration.version}`);
+        ran = true;
+      });
+
+      if (ran) {
+        applied.push(migration.version);
+        console.log(
+          `[DB] Applied migration ${migration.version}: ${migration.description}`
+        );
+      }
+    } catch (error) {
+      throw new MigrationError(migration.version, migration.description, error);
+    }
+  }
+
+  return applied;
+};
@@ -0,0 +1,95 @@
+import * as Location from "expo-location";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { MOTION_SAMPLING } from "./config";
+import { haversineDistance } from "./geo";
+import { locationOptions } from "./profiles";
+
+// Motion detection for adaptive sampling. The state is kept in AsyncStorage
+// so it survives between background task runs:
+//   mode    "moving" (profile sampling) or "stationary" (low power)
+//   anchor  last fix where the device was seen moving or arriving
+//   since   when the current mode started
+
+const MOTION_STATE_KEY = "motionState";
+
+export const INITIAL_MOTION_STATE = {
+  mode: "moving",
+  anchor: null,
+  since: null,
+};
+
+// Advance the motion state with a batch of expo-location fixes. Raw fixes are
+// used, before the quality filter, so a coarse first fix of a new movement
+// still switches sampling back.
+export const nextMotionState = (
+  state,
+  locations,
+  settings = MOTION_SAMPLING
+) => {
+  let { mode, anchor, since } = state;
+  const ordered = [...locations].sort((a, b) => a.timestamp - b.timestamp);
+
+  for (const location of ordered) {
+    const { latitude, longitude, accuracy, speed } = location.coords;
+    const point = { latitude, longitude, timestamp: location.timestamp };
+
+    const moved =
+      !anchor ||
+      (speed != null && speed >= settings.movingSpeed) ||
+      haversineDistance(anchor, point) >
+        Math.max(settings.stationaryRadius, accuracy || 0);
+
+    if (moved) {
+      if (mode === "stationary") {
+        mode = "moving";
+        since = point.timestamp;
+      }
+      anchor = point;
+    } else if (
+      mode === "moving" &&
+      point.timestamp - anchor.timestamp >= settings.stationaryAfterMs
+    ) {
+      mode = "stationary";
+      since = point.timestamp;
+    }
+  }
+
+  return { mode, anchor, since };
+};
+
+export const getMotionState = async () => {
+  try {
+    const stored = JSON.parse(await AsyncStorage.getItem(MOTION_STATE_KEY));
+    if (stored && stored.mode) return stored;
+  } catch (error) {
+    console.error("Error reading motion state:", error);
+  }
+  return INITIAL_MOTION_STATE;
+};
+
+export const saveMotionState = (state) =>
+  AsyncStorage.setItem(MOTION_STATE_KEY, JSON.stringify(state));
+
+// Back to normal sampling, e.g. when tracking starts
+export const resetMotionState = () =>
+  saveMotionState({ ...INITIAL_MOTION_STATE, since: Date.now() });
+
+// Location update options for a motion state and tracking profile. Low
+// power never samples more accurately or more often than the profile does
+// while moving.
+export const samplingOptions = (state, profile, settings = MOTION_SAMPLING) => {
+  const options = locationOptions(profile);
+  if (state.mode !== "stationary") return options;
+
+  const { accuracy, timeInterval, distanceInterval, ...rest } =
+    settings.lowPower;
+  return {
+    ...rest,
+    accuracy: Math.min(Location.Accuracy[accuracy], options.accuracy),
+    timeInterval: Math.max(timeInterval, options.timeInterval),
+    distanceInterval: Math.max(distanceInterval, options.distanceInterval),
+  };
+};
+
+export const describeMotionMode = (mode) =>
+  mode === "stationary" ? "Low power (stationary)" : "Normal (moving)";
@@ -0,0 +1,137 @@
+import { TRIP_DWELL_MS, TRIP_DWELL_RADIUS_M } from "./config";
+import { haversineDistance } from "./geo";
+
+// Helpers for drawing tracks as a projected vector plot, without map tiles.
+
+export const SYNC_COLORS = { synced: "#22c55e", pending: "#ef4444" };
+
+// Speed bands for colour-coding, upper bounds in km/h
+export const SPEED_BANDS = [
+  { max: 10, color: "#ef4444", label: "< 10 km/h" },
+  { max: 40, color: "#f59e0b", label: "10-40 km/h" },
+  { max: 80, color: "#22c55e", label: "40-80 km/h" },
+  { max: Infinity, color: "#3b82f6", label: "> 80 km/h" },
+];
+
+export const speedColor = (metersPerSecond) => {
+  const kmh = (metersPerSecond || 0) * 3.6;
+  return SPEED_BANDS.find((band) => kmh < band.max).color;
+};
+
+// Colour of the segment ending at `point`
+export const segmentColor = (mode, previous, point) => {
+  if (mode === "speed") {
+    if (point.speed != null && point.speed >= 0) return speedColor(point.speed);
+    const elapsed = (point.timestamp - previous.timestamp) / 1000;
+    return speedColor(
+      elapsed > 0 ? haversineDistance(previous, point) / elapsed : 0
+    );
+  }
+  return point.synced ? SYNC_COLORS.synced : SYNC_COLORS.pending;
+};
+
+// Project points into a width x height box (equirectangular, scaled by the
+// cosine of the mid latitude so shapes aren't stretched), keeping the aspect
+// ratio and centring the track. Returns [{ x, y }] in the same order.
+export const projectPoints = (points, width, height, padding = 16) => {
+  if (points.length === 0) return [];
+
+  let minLat = Infinity;
+  let maxLat = -Infinity;
+  let minLng = Infinity;
+  let maxLng = -Infinity;
+  for (const point of points) {
+    minLat = Math.min(minLat, point.latitude);
+    maxLat = Math.max(maxLat, point.latitude);
+    minLng = Math.min(minLng, point.longitude);
+    maxLng = Math.max(maxLng, point.longitude);
+  }
+
+  const lngScale = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const spanX = Math.max((maxLng - minLng) * lngScale, 1e-9);
+  const spanY = Math.max(maxLat - minLat, 1e-9);
+
+  const innerWidth = Math.max(width - padding * 2, 1);
+  const innerHeight = Math.max(height - padding * 2, 1);
+  const scale = Math.min(innerWidth / spanX, innerHeight / spanY);
+  const offsetX = padding + (innerWidth - spanX * scale) / 2;
+  const offsetY = padding + (innerHeight - spanY * scale) / 2;
+
+  return points.map((point) => ({
+    x: offsetX + (point.longitude - minLng) * lngScale * scale,
+    y: offsetY + (maxLat - point.latitude) * scale,
+  }));
+};
+
+// Merge consecutive segments of the same colour into polylines:
+// [{ color, points: "x,y x,y ..." }]
+export const buildPolylines = (points, projected, mode) => {
+  const lines = [];
+  let current = null;
+
+  for (let i = 1; i < points.length; i++) {
+    const color = segmentColor(mode, points[i - 1], points[i]);
+    const start = `${projected[i - 1].x},${projected[i - 1].y}`;
+    const end = `${projected[i].x},${projected[i].y}`;
+
+    if (current && current.color === color) {
+      current.coords.push(end);
+    } else {
+      current = { color, coords: [start, end] };
+      lines.push(current);
+    }
+  }
+
+  return lines.map((line) => ({
+    color: line.color,
+    points: line.coords.join(" "),
+  }));
+};
+
+// Places where the device stayed within `radius` meters for at least
+// `minDuration` ms: [{ index, latitude, longitude, start, end }]
+export const findStops = (
+  points,
+  radius = TRIP_DWELL_RADIUS_M,
+  minDuration = TRIP_DWELL_MS
+) => {
+  const stops = [];
+  let anchor = 0;
+
+  for (let i = 1; i <= points.length; i++) {
+    const outside =
+      i === points.length ||
+      haversineDistance(points[anchor], points[i]) > radius;
+    if (!outside) continue;
+
+    const last = points[i - 1];
+    if (last.timestamp - points[anchor].timestamp >= minDuration) {
+      stops.push({
+        index: anchor,
+        latitude: points[anchor].latitude,
+        longitude: points[anchor].longitude,
+        start: points[anchor].timestamp,
+        end: last.timestamp,
+      });
+    }
+    anchor = i;
+  }
+
+  return stops;
+};
+
+// Index of the projected point nearest to (x, y) within maxDistance px
+export const nearestPoint = (projected, x, y, maxDistance = 24) => {
+  let best = -1;
+  let bestDistance = maxDistance;
+
+  projected.forEach((point, index) => {
+    const distance = Math.hypot(point.x - x, point.y - y);
+    if (distance <= bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+
+  return best;
+};
@@ -0,0 +1,212 @@
+import { haversineDistance, initialBearing, destinationPoint } from "./geo";
+import { PRIVACY_ZONE_DEFAULT_RADIUS_M } from "./config";
+import { refreshTripStats } from "./trips";
+import { enqueue } from "./queue";
+
+// Privacy zones keep sensitive places (a driver's home) off the sync server.
+// They are enforced where sync builds its payloads rather than where fixes
+// are recorded, so no upload can bypass them and zone edits apply to
+// everything not uploaded yet. Points inside a zone are, by its mode:
+//   drop   deleted from the device instead of being uploaded
+//   snap   uploaded moved to the zone edge, without altitude, speed and heading
+//   local  kept on the device but never uploaded (locations.withheld = 1)
+// Editing the zones releases withheld points so the next sync judges them
+// against the new zones.
+
+export const PRIVACY_MODES = {
+  drop: "Drop",
+  snap: "Snap to edge",
+  local: "Keep on device",
+};
+
+// Where zones overlap the strictest mode applies
+const MODE_ORDER = ["drop", "local", "snap"];
+
+// Snapped points go this far past the edge so they no longer count as inside
+const SNAP_MARGIN_M = 1;
+
+const placeholders = (count) => new Array(count).fill("?").join(", ");
+
+export const getPrivacyZones = (db) =>
+  db.getAllAsync("SELECT * FROM privacy_zones ORDER BY created_at ASC, id ASC");
+
+const validateZone = ({ radius, mode }) => {
+  if (!(radius > 0)) throw new Error("Privacy zone radius must be positive");
+  if (!PRIVACY_MODES[mode]) throw new Error(`Unknown privacy mode: ${mode}`);
+};
+
+// Points withheld under the old zones are judged again at the next sync
+const releaseWithheldPoints = (db) =>
+  db.runAsync(
+    "UPDATE locations SET withheld = 0 WHERE withheld = 1 AND synced = 0"
+  );
+
+// Create a zone. Returns its row id.
+export const addPrivacyZone = async (db, zone) => {
+  const {
+    name,
+    latitude,
+    longitude,
+    radius = PRIVACY_ZONE_DEFAULT_RADIUS_M,
+    mode = "drop",
+  } = zone;
+  validateZone({ radius, mode });
+
+  let id;
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    const result = await txn.runAsync(
+      `INSERT INTO privacy_zones (name, latitude, longitude, radius, mode)
+      VALUES (?, ?, ?, ?, ?)`,
+      [name, latitude, longitude, radius, mode]
+    );
+    id = result.lastInsertRowId;
+    await releaseWithheldPoints(txn);
+  });
+  return id;
+};
+
+// Change a zone's radius and/or mode
+export const updatePrivacyZone = async (db, zone, changes) => {
+  const next = { ...zone, ...changes };
+  validateZone(next);
+
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync(
+      "UPDATE privacy_zones SET radius = ?, mode = ? WHERE id = ?",
+      [next.radius, next.mode, zone.id]
+    );
+    await releaseWithheldPoints(txn);
+  });
+};
+
+export const removePrivacyZone = async (db, id) => {
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync("DELETE FROM privacy_zones WHERE id = ?", [id]);
+    await releaseWithheldPoints(txn);
+  });
+};
+
+// The strictest zone containing point, or null
+export const findPrivacyZone = (point, zones) => {
+  let match = null;
+
+  for (const zone of zones) {
+    if (haversineDistance(zone, point) > zone.radius) continue;
+    if (
+      !match ||
+      MODE_ORDER.indexOf(zone.mode) < MODE_ORDER.indexOf(match.mode)
+    ) {
+      match = zone;
+    }
+  }
+
+  return match;
+};
+
+// Where point ({ latitude, longitude }) may be reported. Returns { zone,
+// position } with zone the zone it falls in (or null) and position the
+// coordinates to upload: unchanged outside the zones, on the edge in a snap
+// zone, null when the point must not leave the device.
+export const maskPoint = (point, zones) => {
+  const zone = findPrivacyZone(point, zones);
+  if (!zone) {
+    return {
+      zone: null,
+      position: { latitude: point.latitude, longitude: point.longitude },
+    };
+  }
+
+  if (zone.mode === "snap") {
+    const edge = destinationPoint(
+      zone,
+      initialBearing(zone, point),
+      zone.radius + SNAP_MARGIN_M
+    );
+    // The edge may lie inside a neighbouring zone
+    if (!findPrivacyZone(edge, zones)) return { zone, position: edge };
+  }
+
+  return { zone, position: null };
+};
+
+// Screen a batch of unsynced location rows before upload: rows in drop zones
+// are deleted and rows that may not leave the device are marked withheld,
+// both in one transaction. Returns the rows to upload, with snapped
+// coordinates where a snap zone applies; the stored rows keep their real
+// coordinates.
+export const screenLocations = async (db, rows, zones) => {
+  if (zones.length === 0) return rows;
+
+  const upload = [];
+  const dropped = [];
+  const droppedTrips = new Set();
+  const withheld = [];
+
+  for (const row of rows) {
+    const { zone, position } = maskPoint(row, zones);
+
+    if (!zone) {
+      upload.push(row);
+    } else if (position) {
+      upload.push({
+        ...row,
+        ...position,
+        altitude: null,
+        speed: null,
+        heading: null,
+      });
+    } else if (zone.mode === "drop") {
+      dropped.push(row.id);
+      if (row.trip_id) droppedTrips.add(row.trip_id);
+    } else {
+      withheld.push(row.id);
+    }
+  }
+
+  if (dropped.length > 0 || withheld.length > 0) {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      if (dropped.length > 0) {
+        await txn.runAsync(
+          `DELETE FROM locations WHERE id IN (${placeholders(dropped.length)})`,
+          dropped
+        );
+        await txn.runAsync(
+          `DELETE FROM sync_queue WHERE table_name = 'locations' AND record_id IN (${placeholders(
+            dropped.length
+          )})`,
+          dropped
+        );
+
+        // The trips lose the points from their stats, and the server gets
+        // the corrected trips with the next sync
+        for (const tripId of droppedTrips) {
+          await refreshTripStats(txn, tripId);
+          await txn.runAsync("UPDATE trips SET synced = 0 WHERE id = ?", [
+            tripId,
+          ]);
+          await enqueue(txn, "trips", tripId);
+        }
+      }
+      if (withheld.length > 0) {
+        await txn.runAsync(
+          `UPDATE locations SET withheld = 1 WHERE id IN (${placeholders(
+            withheld.length
+          )})`,
+          withheld
+        );
+      }
+    });
+  }
+
+  return upload;
+};
+
+// Mask the coordinates of geofence events before upload. Events are always
+// uploaded; inside a zone they lose or snap their coordinates.
+export const maskEvents = (rows, zones) =>
+  rows.map((row) => {
+    if (zones.length === 0 || row.latitude === null) return row;
+
+    const { position } = maskPoint(row, zones);
+    return { ...row, ...(position || { latitude: null, longitude: null }) };
+  });
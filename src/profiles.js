@@ -0,0 +1,113 @@
+import * as Location from "expo-location";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+// Tracking profiles: named sets of location update options. The active
+// profile and the custom profile's settings live in AsyncStorage so the
+// background location task sees the same choice as the UI.
+
+const ACTIVE_PROFILE_KEY = "trackingProfile";
+const CUSTOM_PROFILE_KEY = "customTrackingProfile";
+
+export const DEFAULT_PROFILE = "balanced";
+
+// Accuracy levels by Location.Accuracy name
+export const ACCURACY_LEVELS = ["Lowest", "Low", "Balanced", "High", "Highest"];
+
+export const TRACKING_PROFILES = {
+  high: {
+    label: "High Accuracy",
+    accuracy: "Highest",
+    timeInterval: 10000,
+    distanceInterval: 5,
+  },
+  balanced: {
+    label: "Balanced",
+    accuracy: "Balanced",
+    timeInterval: 40000,
+    distanceInterval: 10,
+  },
+  battery: {
+    label: "Battery Saver",
+    accuracy: "Low",
+    timeInterval: 120000,
+    distanceInterval: 50,
+  },
+  custom: {
+    label: "Custom",
+    accuracy: "Balanced",
+    timeInterval: 40000,
+    distanceInterval: 10,
+  },
+};
+
+// Check custom profile settings. Returns an error message or null.
+export const validateProfile = ({
+  accuracy,
+  timeInterval,
+  distanceInterval,
+}) => {
+  if (!ACCURACY_LEVELS.includes(accuracy)) {
+    return `Unknown accuracy: ${accuracy}`;
+  }
+  if (!Number.isInteger(timeInterval) || timeInterval < 1000) {
+    return "Interval must be at least 1 second";
+  }
+  if (!Number.isFinite(distanceInterval) || distanceInterval < 0) {
+    return "Distance must be 0 or more meters";
+  }
+  return null;
+};
+
+// Settings of the custom profile, falling back to its defaults
+const getCustomSettings = async () => {
+  try {
+    const stored = JSON.parse(await AsyncStorage.getItem(CUSTOM_PROFILE_KEY));
+    if (stored && !validateProfile(stored)) return stored;
+  } catch (error) {
+    console.error("Error reading custom profile:", error);
+  }
+  return {};
+};
+
+export const saveCustomProfile = async (settings) => {
+  const error = validateProfile(settings);
+  if (error) throw new Error(error);
+
+  const { accuracy, timeInterval, distanceInterval } = settings;
+  await AsyncStorage.setItem(
+    CUSTOM_PROFILE_KEY,
+    JSON.stringify({ accuracy, timeInterval, distanceInterval })
+  );
+};
+
+// Resolve a profile key to { key, label, accuracy, timeInterval,
+// distanceInterval }
+export const getProfile = async (key) => {
+  const base = TRACKING_PROFILES[key] ? key : DEFAULT_PROFILE;
+  const profile = { key: base, ...TRACKING_PROFILES[base] };
+  return base === "custom"
+    ? { ...profile, ...(await getCustomSettings()) }
+    : profile;
+};
+
+export const getActiveProfile = async () =>
+  getProfile(await AsyncStorage.getItem(ACTIVE_PROFILE_KEY));
+
+export const setActiveProfile = async (key) => {
+  if (!TRACKING_PROFILES[key]) throw new Error(`Unknown profile: ${key}`);
+  await AsyncStorage.setItem(ACTIVE_PROFILE_KEY, key);
+  return getProfile(key);
+};
+
+// Options for Location.startLocationUpdatesAsync
+export const locationOptions = (profile) => ({
+  accuracy: Location.Accuracy[profile.accuracy],
+  timeInterval: profile.timeInterval,
+  distanceInterval: profile.distanceInterval,
+});
+
+// Short description, e.g. "40 s / 10 m"
+export const describeProfile = (profile) =>
+  `${Math.round(profile.timeInterval / 1000)} s / ${
+    profile.distanceInterval
+  } m`;
@@ -0,0 +1,86 @@
+// Build the WHERE conditions for the common location filters:
+// from/to (timestamps, inclusive), tripId, synced (true or false) and maxId
+// (rows saved up to that row id, inclusive)
+export const locationConditions = (filters = {}) => {
+  const { from, to, tripId, synced, maxId } = filters;
+  const conditions = [];
+  const params = [];
+
+  if (from != null) {
+    conditions.push("timestamp >= ?");
+    params.push(from);
+  }
+  if (to != null) {
+    conditions.push("timestamp <= ?");
+    params.push(to);
+  }
+  if (tripId != null) {
+    conditions.push("trip_id = ?");
+    params.push(tripId);
+  }
+  if (synced != null) {
+    conditions.push("synced = ?");
+    params.push(synced ? 1 : 0);
+  }
+  if (maxId != null) {
+    conditions.push("id <= ?");
+    params.push(maxId);
+  }
+
+  return { conditions, params };
+};
+
+// Fetch one page of matching locations ordered by (timestamp, id), starting
+// after `cursor` (the last row of the previous page). Keyset pagination keeps
+// every page an index range scan, however deep into the history it is.
+// Returns { rows, cursor } with cursor null after the last page.
+export const fetchLocationPage = async (db, filters, options = {}) => {
+  const {
+    columns = "*",
+    pageSize = 1000,
+    cursor = null,
+    descending = false,
+  } = options;
+  const { conditions, params } = locationConditions(filters);
+  const [after, order] = descending ? ["<", "DESC"] : [">", "ASC"];
+
+  // A row-value comparison stays a range scan on the timestamp indexes,
+  // where the equivalent OR can't
+  const where = cursor
+    ? [...conditions, `(timestamp, id) ${after} (?, ?)`]
+    : conditions;
+  const cursorParams = cursor ? [cursor.timestamp, cursor.id] : [];
+
+  const rows = await db.getAllAsync(
+    `SELECT id, timestamp, ${columns} FROM locations
+    ${where.length > 0 ? `WHERE ${where.join(" AND ")}` : ""}
+    ORDER BY timestamp ${order}, id ${order} LIMIT ?`,
+    [...params, ...cursorParams, pageSize]
+  );
+
+  const last = rows[rows.length - 1];
+  return {
+    rows,
+    cursor:
+      rows.length < pageSize
+        ? null
+        : { timestamp: last.timestamp, id: last.id },
+  };
+};
+
+// Walk the matching locations in timestamp order, one page at a time, so
+// long ranges never have to be held in memory. onPage may be async.
+export const forEachLocationPage = async (
+  db,
+  filters,
+  onPage,
+  options = {}
+) => {
+  let cursor = null;
+
+  do {
+    const page = await fetchLocationPage(db, filters, { ...options, cursor });
+    if (page.rows.length > 0) await onPage(page.rows);
+    cursor = page.cursor;
+  } while (cursor);
+};
@@ -0,0 +1,179 @@
+import {
+  SYNC_MAX_RECORD_ATTEMPTS,
+  SYNC_RECORD_RETRY_BASE_MS,
+  SYNC_RECORD_RETRY_MAX_MS,
+} from "./config";
+
+// Per-record sync state, one sync_queue row per record to upload:
+//   pending    waiting for upload, not before next_retry_at (if set)
+//   in_flight  in a batch being uploaded right now
+//   failed     rejected by the server, or not acknowledged after
+//              SYNC_MAX_RECORD_ATTEMPTS attempts; stays until it is retried
+//              or discarded from the failed items view
+// A record only counts an attempt when the server answered; a batch that
+// never got through (offline, timeout) goes back to pending as it was.
+// Once the server acknowledges a record, its entry is deleted and the
+// record's synced flag set, so the queue only holds what is left to do.
+
+export const QUEUE_STATES = ["pending", "in_flight", "failed"];
+
+const placeholders = (count) => new Array(count).fill("?").join(", ");
+
+// Queue a record for upload, or queue it again after a change
+export const enqueue = (db, table, recordId) =>
+  db.runAsync(
+    `INSERT INTO sync_queue (table_name, record_id, operation, updated_at)
+    VALUES (?, ?, 'INSERT', ?)
+    ON CONFLICT (table_name, record_id) DO UPDATE SET state = 'pending',
+    attempts = 0, last_error = NULL, next_retry_at = NULL,
+    updated_at = excluded.updated_at`,
+    [table, recordId, Date.now()]
+  );
+
+// Set the state of the queue entries of `recordIds` in `table`.
+// `assignments` is extra SET clauses with their params.
+const setState = (db, table, recordIds, state, assignments = "", params = []) =>
+  db.runAsync(
+    `UPDATE sync_queue SET state = ?, updated_at = ? ${assignments}
+    WHERE table_name = ? AND record_id IN (${placeholders(recordIds.length)})`,
+    [state, Date.now(), ...params, table, ...recordIds]
+  );
+
+export const markInFlight = (db, table, recordIds) =>
+  setState(db, table, recordIds, "in_flight");
+
+// Put a batch that never reached the server back, without counting an attempt
+export const markUnsent = (db, table, recordIds) =>
+  setState(db, table, recordIds, "pending");
+
+// Record acknowledged uploads. Only entries still in flight count: one
+// queued again meanwhile (a trip that ended while it was uploaded) stays,
+// and its record stays unsynced.
+export const markSynced = async (db, table, recordIds) => {
+  const inFlight = `table_name = ? AND state = 'in_flight'
+    AND record_id IN (${placeholders(recordIds.length)})`;
+
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync(
+      `UPDATE ${table} SET synced = 1 WHERE id IN (
+        SELECT record_id FROM sync_queue WHERE ${inFlight}
+      )`,
+      [table, ...recordIds]
+    );
+    await txn.runAsync(`DELETE FROM sync_queue WHERE ${inFlight}`, [
+      table,
+      ...recordIds,
+    ]);
+  });
+};
+
+// Count a failed attempt: retry later with exponential backoff, or give up
+// once the records have used up their attempts
+export const markAttemptFailed = (
+  db,
+  table,
+  recordIds,
+  error,
+  now = Date.now()
+) =>
+  db.runAsync(
+    `UPDATE sync_queue SET attempts = attempts + 1, last_error = ?,
+    state = CASE WHEN attempts + 1 >= ? THEN 'failed' ELSE 'pending' END,
+    next_retry_at = ? + MIN(?, ? * (1 << attempts)), updated_at = ?
+    WHERE table_name = ? AND record_id IN (${placeholders(recordIds.length)})`,
+    [
+      error,
+      SYNC_MAX_RECORD_ATTEMPTS,
+      now,
+      SYNC_RECORD_RETRY_MAX_MS,
+      SYNC_RECORD_RETRY_BASE_MS,
+      now,
+      table,
+      ...recordIds,
+    ]
+  );
+
+// Records the server refused outright fail immediately. `rejections` is
+// [{ recordId, error }].
+export const markRejected = async (db, table, rejections) => {
+  for (const { recordId, error } of rejections) {
+    await setState(
+      db,
+      table,
+      [recordId],
+      "failed",
+      ", attempts = attempts + 1, last_error = ?, next_retry_at = NULL",
+      [error]
+    );
+  }
+};
+
+// Put back entries left in flight when the app was killed mid-upload. Called
+// when the database is opened, before any upload can start; should another
+// runtime still be uploading them, the server de-duplicates the second copy.
+// Returns the number of entries put back.
+export const recoverInFlight = async (db) => {
+  const result = await db.runAsync(
+    "UPDATE sync_queue SET state = 'pending', updated_at = ? WHERE state = 'in_flight'",
+    [Date.now()]
+  );
+  return result.changes;
+};
+
+// Number of queue entries per state
+export const getQueueCounts = async (db) => {
+  const rows = await db.getAllAsync(
+    "SELECT state, COUNT(*) AS count FROM sync_queue GROUP BY state"
+  );
+  const counts = Object.fromEntries(QUEUE_STATES.map((state) => [state, 0]));
+  for (const row of rows) counts[row.state] = row.count;
+  return counts;
+};
+
+// Failed entries, most recent first, with the time of the record they stand
+// for (a location or event timestamp, a trip's start)
+export const getFailedItems = (db, limit = 200) =>
+  db.getAllAsync(
+    `SELECT sync_queue.*,
+      COALESCE(locations.timestamp, trips.started_at, geofence_events.timestamp)
+        AS record_time,
+      locations.latitude, locations.longitude, geofence_events.event_type
+    FROM sync_queue
+    LEFT JOIN locations ON sync_queue.table_name = 'locations'
+      AND locations.id = sync_queue.record_id
+    LEFT JOIN trips ON sync_queue.table_name = 'trips'
+      AND trips.id = sync_queue.record_id
+    LEFT JOIN geofence_events ON sync_queue.table_name = 'geofence_events'
+      AND geofence_events.id = sync_queue.record_id
+    WHERE sync_queue.state = 'failed'
+    ORDER BY sync_queue.updated_at DESC, sync_queue.id DESC LIMIT ?`,
+    [limit]
+  );
+
+// Give failed entries (all of them without `ids`) a fresh set of attempts
+export const retryFailed = async (db, ids = null) => {
+  const where = ids ? `AND id IN (${placeholders(ids.length)})` : "";
+  const result = await db.runAsync(
+    `UPDATE sync_queue SET state = 'pending', attempts = 0, last_error = NULL,
+    next_retry_at = NULL, updated_at = ? WHERE state = 'failed' ${where}`,
+    [Date.now(), ...(ids || [])]
+  );
+  return result.changes;
+};
+
+// Give up on a failed entry: the record is deleted from the device, so it
+// is never uploaded
+export const discardFailed = async (db, item) => {
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    if (item.table_name === "trips") {
+      await txn.runAsync(
+        "UPDATE locations SET trip_id = NULL WHERE trip_id = ?",
+        [item.record_id]
+      );
+    }
+    await txn.runAsync(`DELETE FROM ${item.table_name} WHERE id = ?`, [
+      item.record_id,
+    ]);
+    await txn.runAsync("DELETE FROM sync_queue WHERE id = ?", [item.id]);
+  });
+};
@@ -0,0 +1,125 @@
+import { haversineDistance } from "./geo";
+
+// Replay of an imported track as simulated GPS fixes.
+//
+// Fixes keep the track's own spacing in time: the first fix is stamped with
+// the replay start time and each following one with start + its offset in
+// the original track, so filters, trips and stats see realistic movement
+// regardless of the playback speed. The speed multiplier only shortens the
+// wall-clock wait between deliveries.
+
+// Assumed speed for tracks without timestamps (m/s)
+const DEFAULT_SPEED = 10;
+const MIN_INTERVAL_MS = 1000;
+
+// Initial bearing from a to b in degrees
+const bearing = (a, b) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+
+  const y = Math.sin(dLng) * Math.cos(lat2);
+  const x =
+    Math.cos(lat1) * Math.sin(lat2) -
+    Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+};
+
+// Turn parsed track points into expo-location shaped fixes starting at
+// `startTime`. Missing times, speeds and headings are derived from the
+// geometry; points without a usable time step are dropped.
+export const buildReplayFixes = (points, startTime = Date.now()) => {
+  const fixes = [];
+  let offset = 0;
+  let previous = null;
+
+  for (const current of points) {
+    let { speed, heading } = current;
+
+    if (previous) {
+      const distance = haversineDistance(previous, current);
+      const step =
+        current.time !== null && previous.time !== null
+          ? current.time - previous.time
+          : Math.max(
+              MIN_INTERVAL_MS,
+              Math.round((distance / DEFAULT_SPEED) * 1000)
+            );
+
+      // Skip repeated or out-of-order timestamps
+      if (step <= 0) continue;
+      offset += step;
+
+      if (speed === null) speed = distance / (step / 1000);
+      if (heading === null && distance > 0)
+        heading = bearing(previous, current);
+    }
+
+    fixes.push({
+      coords: {
+        latitude: current.latitude,
+        longitude: current.longitude,
+        altitude: current.altitude,
+        accuracy: 5,
+        speed: speed ?? 0,
+        heading,
+      },
+      timestamp: startTime + offset,
+      mocked: true,
+    });
+    previous = current;
+  }
+
+  return fixes;
+};
+
+// Deliver fixes to onFix in real time divided by `speed`, unchanged.
+// Returns a controller with stop() and a `done` promise that resolves with
+// the number of fixes delivered once the replay finishes or is stopped.
+export const startReplay = (fixes, options = {}) => {
+  const { speed = 1, onFix, onProgress } = options;
+
+  let index = 0;
+  let timer = null;
+  let stopped = false;
+  let finish;
+  const done = new Promise((resolve) => (finish = resolve));
+
+  const deliverNext = async () => {
+    if (stopped) return;
+
+    if (index >= fixes.length) {
+      finish(index);
+      return;
+    }
+
+    const fix = fixes[index++];
+    try {
+      await onFix(fix);
+    } catch (error) {
+      console.error("Replay fix error:", error);
+    }
+    if (onProgress) onProgress(index, fixes.length);
+
+    if (stopped) return;
+    if (index >= fixes.length) {
+      finish(index);
+      return;
+    }
+
+    const wait = (fixes[index].timestamp - fix.timestamp) / speed;
+    timer = setTimeout(deliverNext, wait);
+  };
+
+  timer = setTimeout(deliverNext, 0);
+
+  return {
+    done,
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      finish(index);
+    },
+  };
+};
@@ -0,0 +1,149 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import {
+  RETENTION_RUN_INTERVAL_MS,
+  VACUUM_INTERVAL_MS,
+  VACUUM_FREE_RATIO,
+} from "./config";
+
+// Data retention: purge old synced data, cap app_logs and VACUUM now and
+// then. Unsynced rows are only ever deleted when the policy's purgeUnsynced
+// override is set.
+
+const LAST_RUN_KEY = "retentionLastRunAt";
+const LAST_VACUUM_KEY = "retentionLastVacuumAt";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Database file size and free space, in bytes
+export const getDatabaseSize = async (db) => {
+  const { page_size: pageSize } = await db.getFirstAsync("PRAGMA page_size");
+  const { page_count: pageCount } = await db.getFirstAsync("PRAGMA page_count");
+  const { freelist_count: freePages } = await db.getFirstAsync(
+    "PRAGMA freelist_count"
+  );
+  return { total: pageCount * pageSize, free: freePages * pageSize };
+};
+
+// Delete sync_queue entries whose record no longer exists
+const deleteOrphanedQueueEntries = async (db) => {
+  for (const table of ["locations", "trips", "geofence_events"]) {
+    await db.runAsync(
+      `DELETE FROM sync_queue WHERE table_name = ?
+      AND record_id NOT IN (SELECT id FROM ${table})`,
+      [table]
+    );
+  }
+};
+
+// Apply a retention policy ({ retentionDays, purgeUnsynced, logMaxRows,
+// logMaxDays }, as in the settings). Pass vacuum: true to VACUUM afterwards.
+// Returns the rows deleted per table and the space freed in bytes: by
+// VACUUM when it ran, otherwise the space made reusable inside the file.
+export const applyRetention = async (db, policy, options = {}) => {
+  const { now = Date.now(), vacuum = false } = options;
+  const cutoff = now - policy.retentionDays * DAY_MS;
+  // Unsynced rows, including points withheld by a privacy zone, are only
+  // deleted with the purgeUnsynced override
+  const keep = policy.purgeUnsynced ? "" : "AND synced = 1";
+  const result = {
+    locations: 0,
+    trips: 0,
+    events: 0,
+    logs: 0,
+    vacuumed: false,
+    sizeBefore: 0,
+    sizeAfter: 0,
+    freedBytes: 0,
+  };
+
+  const before = await getDatabaseSize(db);
+  result.sizeBefore = before.total;
+
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    const locations = await txn.runAsync(
+      `DELETE FROM locations WHERE timestamp < ? ${keep}`,
+      [cutoff]
+    );
+    result.locations = locations.changes;
+
+    // Trips go once they are over, past the cutoff and have no points left
+    const trips = await txn.runAsync(
+      `DELETE FROM trips WHERE ended_at IS NOT NULL AND ended_at < ? ${keep}
+      AND NOT EXISTS (SELECT 1 FROM locations WHERE locations.trip_id = trips.id)`,
+      [cutoff]
+    );
+    result.trips = trips.changes;
+
+    const events = await txn.runAsync(
+      `DELETE FROM geofence_events WHERE timestamp < ? ${keep}`,
+      [cutoff]
+    );
+    result.events = events.changes;
+
+    await deleteOrphanedQueueEntries(txn);
+
+    // app_logs.created_at is an SQLite UTC "YYYY-MM-DD HH:MM:SS" string
+    const oldLogs = await txn.runAsync(
+      "DELETE FROM app_logs WHERE created_at < datetime(?, 'unixepoch')",
+      [Math.floor((now - policy.logMaxDays * DAY_MS) / 1000)]
+    );
+    const extraLogs = await txn.runAsync(
+      `DELETE FROM app_logs WHERE id <= (
+        SELECT id FROM app_logs ORDER BY id DESC LIMIT 1 OFFSET ?
+      )`,
+      [policy.logMaxRows]
+    );
+    result.logs = oldLogs.changes + extraLogs.changes;
+  });
+
+  if (vacuum) {
+    // VACUUM can't run inside a transaction
+    await db.execAsync("VACUUM");
+    result.vacuumed = true;
+  }
+
+  const after = await getDatabaseSize(db);
+  result.sizeAfter = after.total;
+  result.freedBytes = vacuum
+    ? Math.max(0, before.total - after.total)
+    : Math.max(0, after.free - before.free);
+
+  return result;
+};
+
+// Format a byte count for log messages
+export const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+
+// One-line summary of an applyRetention result for the logs
+export const describeRetention = (result) =>
+  `Retention: deleted ${result.locations} locations, ${result.trips} trips, ${
+    result.events
+  } geofence events and ${result.logs} log entries; freed ${formatBytes(
+    result.freedBytes
+  )}${result.vacuumed ? " (vacuumed)" : ""}, database is ${formatBytes(
+    result.sizeAfter
+  )}`;
+
+// Run the retention policy if it is due, VACUUMing when that is due too or
+// the file has a lot of free space. Returns the applyRetention result, or
+// null if the policy wasn't due.
+export const runScheduledRetention = async (db, policy, now = Date.now()) => {
+  const lastRun = Number(await AsyncStorage.getItem(LAST_RUN_KEY)) || 0;
+  if (now - lastRun < RETENTION_RUN_INTERVAL_MS) return null;
+
+  const lastVacuum = Number(await AsyncStorage.getItem(LAST_VACUUM_KEY)) || 0;
+  const size = await getDatabaseSize(db);
+  const vacuum =
+    now - lastVacuum >= VACUUM_INTERVAL_MS ||
+    size.free > size.total * VACUUM_FREE_RATIO;
+
+  const result = await applyRetention(db, policy, { now, vacuum });
+
+  await AsyncStorage.setItem(LAST_RUN_KEY, String(now));
+  if (result.vacuumed) await AsyncStorage.setItem(LAST_VACUUM_KEY, String(now));
+
+  return result;
+};
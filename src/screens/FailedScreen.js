@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from "react";
+import { View, Text, Alert, FlatList, TouchableOpacity } from "react-native";
+import { getFailedItems, retryFailed, discardFailed } from "../queue";
+
+const TABLE_LABELS = {
+  locations: "Location",
+  trips: "Trip",
+  geofence_events: "Geofence event",
+};
+
+// Short description of the record behind a failed queue entry
+const describeItem = (item) => {
+  if (item.table_name === "locations" && item.latitude !== null) {
+    return `${item.latitude.toFixed(6)}, ${item.longitude.toFixed(6)}`;
+  }
+  if (item.table_name === "geofence_events" && item.event_type) {
+    return item.event_type;
+  }
+  return `#${item.record_id}`;
+};
+
+// Records the sync server rejected or never acknowledged, to retry or
+// discard one by one
+export default function FailedScreen({ database, onClose }) {
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    loadItems();
+  }, []);
+
+  const loadItems = async () => {
+    try {
+      setItems(await getFailedItems(database));
+    } catch (error) {
+      console.error("Error loading failed items:", error);
+    }
+  };
+
+  const retry = async (ids) => {
+    try {
+      await retryFailed(database, ids);
+      await loadItems();
+    } catch (error) {
+      console.error("Error retrying failed items:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  const confirmDiscard = (item) => {
+    Alert.alert(
+      "Discard Record",
+      `Delete this ${TABLE_LABELS[
+        item.table_name
+      ].toLowerCase()} from the device? It will never be uploaded.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await discardFailed(database, item);
+              await loadItems();
+            } catch (error) {
+              console.error("Error discarding failed item:", error);
+              Alert.alert("Error", error.message);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderItem = ({ item }) => (
+    <View className="py-3 border-b border-gray-200">
+      <View className="flex-row justify-between mb-1">
+        <Text className="text-sm font-medium text-gray-800">
+          {TABLE_LABELS[item.table_name]} · {describeItem(item)}
+        </Text>
+        <Text className="text-xs text-gray-500">
+          {item.attempts} {item.attempts === 1 ? "attempt" : "attempts"}
+        </Text>
+      </View>
+      {item.record_time && (
+        <Text className="text-xs text-gray-500">
+          {new Date(item.record_time).toLocaleString()}
+        </Text>
+      )}
+      <Text className="text-xs text-red-500 mt-1">
+        {item.last_error || "Unknown error"}
+      </Text>
+      <View className="flex-row mt-2">
+        <TouchableOpacity
+          className="px-3 py-1 mr-2 rounded-full bg-blue-500"
+          onPress={() => retry([item.id])}
+        >
+          <Text className="text-xs font-medium text-white">Retry</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          className="px-3 py-1 rounded-full bg-gray-200"
+          onPress={() => confirmDiscard(item)}
+        >
+          <Text className="text-xs font-medium text-red-500">Discard</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View className="flex-1 bg-gray-50">
+      {/* Header */}
+      <View className="flex-row items-center justify-between mx-5 mt-10 mb-5">
+        <TouchableOpacity onPress={onClose}>
+          <Text className="text-blue-500 font-medium">‹ Back</Text>
+        </TouchableOpacity>
+        <Text className="text-xl font-bold text-gray-800">Failed Uploads</Text>
+        <TouchableOpacity
+          onPress={() => retry(null)}
+          disabled={items.length === 0}
+        >
+          <Text
+            className={`font-medium ${
+              items.length > 0 ? "text-blue-500" : "text-gray-400"
+            }`}
+          >
+            Retry All
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Items */}
+      <View className="flex-1 bg-white mx-5 mb-8 rounded-xl px-4 shadow-sm border border-gray-100">
+        <FlatList
+          data={items}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.id.toString()}
+          ListEmptyComponent={
+            <Text className="text-base text-gray-600 text-center py-8">
+              No failed uploads
+            </Text>
+          }
+          ListFooterComponent={
+            items.length > 0 && (
+              <Text className="text-xs text-gray-500 text-center py-3">
+                Retried records are uploaded with the next sync
+              </Text>
+            )
+          }
+        />
+      </View>
+    </View>
+  );
+}
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  View,
+  Text,
+  FlatList,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+} from "react-native";
+import { fetchLocationPage } from "../queries";
+import { startOfDay } from "../stats";
+import { getRecentTrips } from "../trips";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 50;
+
+const DATE_RANGES = [
+  { key: "today", label: "Today", days: 1 },
+  { key: "week", label: "7 Days", days: 7 },
+  { key: "month", label: "30 Days", days: 30 },
+  { key: "all", label: "All", days: null },
+];
+
+const SYNC_FILTERS = [
+  { key: "all", label: "All", synced: null },
+  { key: "synced", label: "Synced", synced: true },
+  { key: "pending", label: "Pending", synced: false },
+];
+
+// Location history, newest first, loaded page by page as the list scrolls
+export default function HistoryScreen({ database, onClose }) {
+  const [range, setRange] = useState("week");
+  const [syncFilter, setSyncFilter] = useState("all");
+  const [tripId, setTripId] = useState(null);
+  const [trips, setTrips] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [cursor, setCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+
+  // Identifies the current filters, so pages requested for earlier filters
+  // are dropped when they arrive late
+  const generation = useRef(0);
+
+  useEffect(() => {
+    loadTrips();
+  }, []);
+
+  useEffect(() => {
+    loadPage(null);
+  }, [range, syncFilter, tripId]);
+
+  const loadTrips = async () => {
+    try {
+      setTrips(await getRecentTrips(database));
+    } catch (error) {
+      console.error("Error loading trips:", error);
+    }
+  };
+
+  const getFilters = () => {
+    const { days } = DATE_RANGES.find((item) => item.key === range);
+    const { synced } = SYNC_FILTERS.find((item) => item.key === syncFilter);
+    return {
+      from: days ? startOfDay(Date.now() - (days - 1) * DAY_MS) : null,
+      synced,
+      tripId,
+    };
+  };
+
+  // Load the first page (cursor null) or the page after `after`
+  const loadPage = async (after) => {
+    const current = after ? generation.current : ++generation.current;
+    setLoading(true);
+    if (!after) {
+      setRows([]);
+      setExpanded(null);
+    }
+
+    try {
+      const page = await fetchLocationPage(database, getFilters(), {
+        cursor: after,
+        pageSize: PAGE_SIZE,
+        descending: true,
+      });
+      if (current !== generation.current) return;
+
+      setRows((previous) => (after ? [...previous, ...page.rows] : page.rows));
+      setCursor(page.cursor);
+    } catch (error) {
+      console.error("Error loading history:", error);
+    } finally {
+      if (current === generation.current) setLoading(false);
+    }
+  };
+
+  const loadMore = () => {
+    if (cursor && !loading) loadPage(cursor);
+  };
+
+  const formatValue = (value, unit, digits = 1) =>
+    value != null ? `${Number(value).toFixed(digits)} ${unit}` : "-";
+
+  const renderChip = (key, label, active, onPress) => (
+    <TouchableOpacity
+      key={key}
+      className={`px-3 py-1 mr-2 mb-2 rounded-full ${
+        active ? "bg-blue-500" : "bg-gray-200"
+      }`}
+      onPress={onPress}
+    >
+      <Text
+        className={`text-xs font-medium ${
+          active ? "text-white" : "text-gray-700"
+        }`}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      className="py-2 border-b border-gray-200"
+      onPress={() => setExpanded(expanded === item.id ? null : item.id)}
+    >
+      <View className="flex-row items-center">
+        <Text className="flex-1 text-xs text-gray-800">
+          {new Date(item.timestamp).toLocaleString()}
+        </Text>
+        <Text className="flex-1 text-xs text-gray-800 text-center">
+          {item.latitude.toFixed(6)}, {item.longitude.toFixed(6)}
+        </Text>
+        <View
+          className={`w-6 h-6 rounded-full justify-center items-center ${
+            item.synced
+              ? "bg-green-500"
+              : item.withheld
+              ? "bg-gray-400"
+              : "bg-red-500"
+          }`}
+        >
+          <Text className="text-white font-bold text-xs">
+            {item.synced ? "✓" : item.withheld ? "–" : "●"}
+          </Text>
+        </View>
+      </View>
+      {expanded === item.id && (
+        <View className="mt-2 bg-gray-50 rounded-lg p-2">
+          <Text className="text-xs text-gray-600 mb-1">
+            Accuracy: {formatValue(item.accuracy, "m", 0)} · Altitude:{" "}
+            {formatValue(item.altitude, "m", 0)}
+          </Text>
+          <Text className="text-xs text-gray-600 mb-1">
+            Speed:{" "}
+            {item.speed != null ? formatValue(item.speed * 3.6, "km/h") : "-"} ·
+            Heading: {formatValue(item.heading, "°", 0)}
+          </Text>
+          <Text className="text-xs text-gray-600">
+            Trip: {item.trip_id ? `#${item.trip_id}` : "-"} · ID: {item.id}
+          </Text>
+          {!!item.withheld && (
+            <Text className="text-xs text-gray-600 mt-1">
+              Kept on this device by a privacy zone
+            </Text>
+          )}
+        </View>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <View className="flex-1 bg-gray-50">
+      {/* Header */}
+      <View className="flex-row items-center justify-between mx-5 mt-10 mb-5">
+        <TouchableOpacity onPress={onClose}>
+          <Text className="text-blue-500 font-medium">‹ Back</Text>
+        </TouchableOpacity>
+        <Text className="text-xl font-bold text-gray-800">History</Text>
+        <View className="w-12" />
+      </View>
+
+      {/* Filters */}
+      <View className="bg-white mx-5 mb-3 rounded-xl p-4 shadow-sm border border-gray-100">
+        <View className="flex-row flex-wrap">
+          {DATE_RANGES.map((item) =>
+            renderChip(item.key, item.label, range === item.key, () =>
+              setRange(item.key)
+            )
+          )}
+        </View>
+        <View className="flex-row flex-wrap">
+          {SYNC_FILTERS.map((item) =>
+            renderChip(item.key, item.label, syncFilter === item.key, () =>
+              setSyncFilter(item.key)
+            )
+          )}
+        </View>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          {renderChip("all", "All Trips", tripId === null, () =>
+            setTripId(null)
+          )}
+          {trips.map((trip) =>
+            renderChip(
+              trip.id,
+              `Trip #${trip.id} · ${new Date(
+                trip.started_at
+              ).toLocaleDateString()}`,
+              tripId === trip.id,
+              () => setTripId(trip.id)
+            )
+          )}
+        </ScrollView>
+      </View>
+
+      {/* Rows */}
+      <View className="flex-1 bg-white mx-5 mb-8 rounded-xl px-4 shadow-sm border border-gray-100">
+        <FlatList
+          data={rows}
+          renderItem={renderItem}
+          keyExtractor={(item) => item.id.toString()}
+          onEndReached={loadMore}
+          onEndReachedThreshold={0.5}
+          initialNumToRender={20}
+          windowSize={11}
+          ListEmptyComponent={
+            !loading && (
+              <Text className="text-base text-gray-600 text-center py-8">
+                No locations match the filters
+              </Text>
+            )
+          }
+          ListFooterComponent={
+            loading ? (
+              <ActivityIndicator className="py-4" />
+            ) : (
+              rows.length > 0 &&
+              !cursor && (
+                <Text className="text-xs text-gray-500 text-center py-3">
+                  End of history · {rows.length} locations
+                </Text>
+              )
+            )
+          }
+        />
+      </View>
+    </View>
+  );
+}
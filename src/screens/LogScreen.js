@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  Alert,
+  FlatList,
+  TextInput,
+  TouchableOpacity,
+} from "react-native";
+import { LOG_LEVELS, LOG_CONTEXTS, queryLogs, exportLogs } from "../logger";
+import { shareExport } from "../export";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TIME_RANGES = [
+  { key: "hour", label: "1 Hour", ms: HOUR_MS },
+  { key: "day", label: "24 Hours", ms: 24 * HOUR_MS },
+  { key: "week", label: "7 Days", ms: 7 * 24 * HOUR_MS },
+  { key: "all", label: "All", ms: null },
+];
+
+const LEVEL_COLORS = {
+  info: "text-gray-600",
+  warn: "text-orange-500",
+  error: "text-red-500",
+};
+
+// Log viewer for app_logs with level, time, context and text filters
+export default function LogScreen({ database, onClose }) {
+  const [level, setLevel] = useState(null);
+  const [range, setRange] = useState("day");
+  const [context, setContext] = useState(null);
+  const [search, setSearch] = useState("");
+  const [logs, setLogs] = useState([]);
+
+  useEffect(() => {
+    loadLogs();
+  }, [level, range, context, search]);
+
+  const getFilters = () => {
+    const { ms } = TIME_RANGES.find((item) => item.key === range);
+    return {
+      level,
+      since: ms ? Date.now() - ms : null,
+      context,
+      search: search.trim(),
+    };
+  };
+
+  const loadLogs = async () => {
+    try {
+      setLogs(await queryLogs(database, getFilters()));
+    } catch (error) {
+      console.error("Error loading logs:", error);
+    }
+  };
+
+  const exportFiltered = async () => {
+    try {
+      const result = await exportLogs(database, getFilters());
+      if (result.count === 0) {
+        Alert.alert("Export", "No log entries match the filters");
+        return;
+      }
+      await shareExport(result);
+    } catch (error) {
+      console.error("Log export error:", error);
+      Alert.alert("Export Failed", error.message);
+    }
+  };
+
+  const renderChip = (key, label, active, onPress) => (
+    <TouchableOpacity
+      key={key}
+      className={`px-3 py-1 mr-2 mb-2 rounded-full ${
+        active ? "bg-blue-500" : "bg-gray-200"
+      }`}
+      onPress={onPress}
+    >
+      <Text
+        className={`text-xs font-medium ${
+          active ? "text-white" : "text-gray-700"
+        }`}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderLogItem = ({ item }) => (
+    <View className="py-2 border-b border-gray-200">
+      <View className="flex-row justify-between mb-1">
+        <Text className={`text-xs font-bold ${LEVEL_COLORS[item.level]}`}>
+          {item.level.toUpperCase()}
+          {item.context
+            ? ` · ${LOG_CONTEXTS[item.context] || item.context}`
+            : ""}
+        </Text>
+        <Text className="text-xs text-gray-500">{item.created_at} UTC</Text>
+      </View>
+      <Text className="text-xs text-gray-800">{item.message}</Text>
+    </View>
+  );
+
+  return (
+    <View className="flex-1 bg-gray-50">
+      {/* Header */}
+      <View className="flex-row items-center justify-between mx-5 mt-10 mb-5">
+        <TouchableOpacity onPress={onClose}>
+          <Text className="text-blue-500 font-medium">‹ Back</Text>
+        </TouchableOpacity>
+        <Text className="text-xl font-bold text-gray-800">Logs</Text>
+        <TouchableOpacity onPress={exportFiltered}>
+          <Text className="text-blue-500 font-medium">Export</Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* Filters */}
+      <View className="bg-white mx-5 mb-3 rounded-xl p-4 shadow-sm border border-gray-100">
+        <TextInput
+          className="border border-gray-300 rounded-lg px-3 py-2 text-sm mb-3"
+          placeholder="Search messages"
+          value={search}
+          onChangeText={setSearch}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        <View className="flex-row flex-wrap">
+          {renderChip("all", "All Levels", level === null, () =>
+            setLevel(null)
+          )}
+          {LOG_LEVELS.map((item) =>
+            renderChip(item, `${item}+`, level === item, () => setLevel(item))
+          )}
+        </View>
+        <View className="flex-row flex-wrap">
+          {TIME_RANGES.map((item) =>
+            renderChip(item.key, item.label, range === item.key, () =>
+              setRange(item.key)
+            )
+          )}
+        </View>
+        <View className="flex-row flex-wrap">
+          {renderChip("any", "All Sources", context === null, () =>
+            setContext(null)
+          )}
+          {Object.keys(LOG_CONTEXTS).map((key) =>
+            renderChip(key, LOG_CONTEXTS[key], context === key, () =>
+              setContext(key)
+            )
+          )}
+        </View>
+      </View>
+
+      {/* Entries */}
+      <View className="flex-1 bg-white mx-5 mb-8 rounded-xl px-4 shadow-sm border border-gray-100">
+        <FlatList
+          data={logs}
+          renderItem={renderLogItem}
+          keyExtractor={(item) => item.id.toString()}
+          ListEmptyComponent={
+            <Text className="text-base text-gray-600 text-center py-8">
+              No log entries
+            </Text>
+          }
+          ListFooterComponent={
+            logs.length > 0 && (
+              <Text className="text-xs text-gray-500 text-center py-3">
+                Showing the newest {logs.length} entries
+              </Text>
+            )
+          }
+        />
+      </View>
+    </View>
+  );
+}
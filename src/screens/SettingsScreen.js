@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  Alert,
+  Switch,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+} from "react-native";
+import {
+  SETTINGS_SCHEMA,
+  SettingsError,
+  getSettings,
+  saveSettings,
+  resetSettings,
+  parseSetting,
+} from "../settings";
+import { AuthError, getCredentials, registerDevice } from "../auth";
+
+// Input field text for a settings object
+const toDraft = (settings) =>
+  Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => [
+      key,
+      typeof value === "boolean" ? value : String(value),
+    ])
+  );
+
+// Settings screen: edits the settings store and reports saved settings
+// through onSaved so the app can apply them. Also registers the device with
+// the sync server, reporting new credentials through onRegistered.
+export default function SettingsScreen({ onClose, onSaved, onRegistered }) {
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [credentials, setCredentials] = useState(null);
+  const [driverId, setDriverId] = useState("");
+  const [registering, setRegistering] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+    loadCredentials();
+  }, []);
+
+  const loadCredentials = async () => {
+    try {
+      const stored = await getCredentials();
+      setCredentials(stored);
+      if (stored) setDriverId(stored.driverId);
+    } catch (error) {
+      console.error("Error loading device credentials:", error);
+    }
+  };
+
+  // Register against the saved server URL, the one sync uses
+  const register = async () => {
+    if (!driverId.trim()) {
+      Alert.alert("Device", "Enter a driver ID first");
+      return;
+    }
+
+    setRegistering(true);
+    try {
+      const { serverUrl } = await getSettings();
+      const registered = await registerDevice(serverUrl, driverId.trim());
+      setCredentials(registered);
+      if (onRegistered) await onRegistered(registered);
+      Alert.alert("Device", `Registered as ${registered.deviceId}`);
+    } catch (error) {
+      console.error("Device registration error:", error);
+      Alert.alert(
+        "Registration Failed",
+        error instanceof AuthError
+          ? `The server refused the registration (${error.status})`
+          : error.message
+      );
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const loadSettings = async () => {
+    try {
+      setDraft(toDraft(await getSettings()));
+    } catch (error) {
+      console.error("Error loading settings:", error);
+    }
+  };
+
+  const setValue = (key, value) => {
+    setDraft({ ...draft, [key]: value });
+    setErrors({ ...errors, [key]: null });
+  };
+
+  const save = async () => {
+    const changes = Object.fromEntries(
+      Object.keys(SETTINGS_SCHEMA).map((key) => [
+        key,
+        parseSetting(key, draft[key]),
+      ])
+    );
+
+    try {
+      const settings = await saveSettings(changes);
+      setDraft(toDraft(settings));
+      setErrors({});
+      if (onSaved) await onSaved(settings);
+      Alert.alert("Settings", "Settings saved");
+    } catch (error) {
+      if (error instanceof SettingsError) {
+        setErrors(error.errors);
+        return;
+      }
+      console.error("Save settings error:", error);
+      Alert.alert("Error", "Failed to save settings: " + error.message);
+    }
+  };
+
+  const reset = () => {
+    Alert.alert("Reset Settings", "Restore all settings to their defaults?", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Reset",
+        style: "destructive",
+        onPress: async () => {
+          try {
+            const settings = await resetSettings();
+            setDraft(toDraft(settings));
+            setErrors({});
+            if (onSaved) await onSaved(settings);
+          } catch (error) {
+            console.error("Reset settings error:", error);
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderField = (key) => {
+    const spec = SETTINGS_SCHEMA[key];
+    const label = spec.unit ? `${spec.label} (${spec.unit})` : spec.label;
+
+    if (spec.type === "boolean") {
+      return (
+        <View key={key} className="flex-row justify-between items-center mb-4">
+          <Text className="text-sm text-gray-600">{label}</Text>
+          <Switch
+            value={draft[key]}
+            onValueChange={(value) => setValue(key, value)}
+          />
+        </View>
+      );
+    }
+
+    return (
+      <View key={key} className="mb-4">
+        <Text className="text-sm text-gray-600 mb-1">{label}</Text>
+        <TextInput
+          className={`border rounded-lg px-3 py-2 text-sm ${
+            errors[key] ? "border-red-500" : "border-gray-300"
+          }`}
+          value={draft[key]}
+          onChangeText={(text) => setValue(key, text)}
+          keyboardType={spec.type === "integer" ? "numeric" : "default"}
+          autoCapitalize="none"
+          autoCorrect={false}
+        />
+        {errors[key] ? (
+          <Text className="text-xs text-red-500 mt-1">{errors[key]}</Text>
+        ) : (
+          spec.type === "integer" && (
+            <Text className="text-xs text-gray-500 mt-1">
+              {spec.min} to {spec.max}
+            </Text>
+          )
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView className="flex-1 bg-gray-50">
+      {/* Header */}
+      <View className="flex-row items-center justify-between mx-5 mt-10 mb-5">
+        <TouchableOpacity onPress={onClose}>
+          <Text className="text-blue-500 font-medium">‹ Back</Text>
+        </TouchableOpacity>
+        <Text className="text-xl font-bold text-gray-800">Settings</Text>
+        <View className="w-12" />
+      </View>
+
+      {draft ? (
+        <>
+          <View className="bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
+            {Object.keys(SETTINGS_SCHEMA).map(renderField)}
+          </View>
+
+          <View className="flex-row mx-5 mb-5">
+            <TouchableOpacity
+              className="flex-1 mr-1 rounded-lg py-3 bg-gray-600"
+              onPress={reset}
+            >
+              <Text className="text-white text-center font-medium">Reset</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              className="flex-1 ml-1 rounded-lg py-3 bg-blue-500"
+              onPress={save}
+            >
+              <Text className="text-white text-center font-medium">Save</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Device registration */}
+          <View className="bg-white mx-5 mb-8 rounded-xl p-4 shadow-sm border border-gray-100">
+            <Text className="text-base font-bold mb-3 text-gray-800">
+              Device
+            </Text>
+            <View className="flex-row justify-between items-center mb-2">
+              <Text className="text-sm text-gray-600">Device ID:</Text>
+              <Text className="text-xs font-medium">
+                {credentials ? credentials.deviceId : "Not registered"}
+              </Text>
+            </View>
+            {credentials && (
+              <View className="flex-row justify-between items-center mb-2">
+                <Text className="text-sm text-gray-600">Server:</Text>
+                <Text className="text-xs font-medium">
+                  {credentials.serverUrl}
+                </Text>
+              </View>
+            )}
+            {credentials && !credentials.token && (
+              <Text className="text-xs text-red-500 mb-2">
+                Authorization expired, register again to resume sync
+              </Text>
+            )}
+            <Text className="text-sm text-gray-600 mb-1 mt-2">Driver ID</Text>
+            <TextInput
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm mb-3"
+              value={driverId}
+              onChangeText={setDriverId}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <TouchableOpacity
+              className={`rounded-lg py-3 ${
+                registering ? "bg-gray-400" : "bg-blue-500"
+              }`}
+              onPress={register}
+              disabled={registering}
+            >
+              <Text className="text-white text-center font-medium">
+                {registering
+                  ? "Registering..."
+                  : credentials
+                  ? "Register Again"
+                  : "Register Device"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      ) : (
+        <Text className="text-base text-gray-600 text-center">Loading...</Text>
+      )}
+    </ScrollView>
+  );
+}
@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  Pressable,
+} from "react-native";
+import Svg, { Polyline, Circle, Rect } from "react-native-svg";
+import { forEachLocationPage } from "../queries";
+import { startOfDay } from "../stats";
+import {
+  SYNC_COLORS,
+  SPEED_BANDS,
+  projectPoints,
+  buildPolylines,
+  findStops,
+  nearestPoint,
+} from "../plot";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PLOT_HEIGHT = 360;
+
+const COLOR_MODES = [
+  { key: "sync", label: "Sync Status" },
+  { key: "speed", label: "Speed" },
+];
+
+// Offline track view: draws a day or trip as a projected vector plot
+export default function TrackScreen({ database, onClose }) {
+  const [day, setDay] = useState(startOfDay());
+  const [trips, setTrips] = useState([]);
+  const [tripId, setTripId] = useState(null);
+  const [points, setPoints] = useState([]);
+  const [colorMode, setColorMode] = useState("sync");
+  const [selected, setSelected] = useState(-1);
+  const [width, setWidth] = useState(0);
+
+  // Load the trips of the selected day
+  useEffect(() => {
+    loadTrips();
+    setTripId(null);
+  }, [day]);
+
+  // Load the points of the selected day or trip
+  useEffect(() => {
+    loadPoints();
+  }, [day, tripId]);
+
+  const loadTrips = async () => {
+    try {
+      const rows = await database.getAllAsync(
+        `SELECT * FROM trips
+        WHERE started_at < ? AND (ended_at IS NULL OR ended_at >= ?)
+        ORDER BY started_at ASC`,
+        [day + DAY_MS, day]
+      );
+      setTrips(rows);
+    } catch (error) {
+      console.error("Error loading trips:", error);
+    }
+  };
+
+  const loadPoints = async () => {
+    try {
+      const filters =
+        tripId !== null ? { tripId } : { from: day, to: day + DAY_MS - 1 };
+      const rows = [];
+
+      await forEachLocationPage(
+        database,
+        filters,
+        (page) => rows.push(...page),
+        {
+          columns:
+            "latitude, longitude, accuracy, altitude, speed, heading, synced, trip_id",
+        }
+      );
+
+      setPoints(rows);
+      setSelected(-1);
+    } catch (error) {
+      console.error("Error loading track:", error);
+    }
+  };
+
+  const projected = useMemo(
+    () => projectPoints(points, width, PLOT_HEIGHT),
+    [points, width]
+  );
+  const polylines = useMemo(
+    () => buildPolylines(points, projected, colorMode),
+    [points, projected, colorMode]
+  );
+  const stops = useMemo(() => findStops(points), [points]);
+
+  const onPlotPress = (event) => {
+    const { locationX, locationY } = event.nativeEvent;
+    setSelected(nearestPoint(projected, locationX, locationY));
+  };
+
+  const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+  const formatValue = (value, unit, digits = 1) =>
+    value != null ? `${Number(value).toFixed(digits)} ${unit}` : "-";
+
+  const renderChip = (key, label, active, onPress) => (
+    <TouchableOpacity
+      key={key}
+      className={`px-3 py-1 mr-2 mb-2 rounded-full ${
+        active ? "bg-blue-500" : "bg-gray-200"
+      }`}
+      onPress={onPress}
+    >
+      <Text
+        className={`text-xs font-medium ${
+          active ? "text-white" : "text-gray-700"
+        }`}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderLegendItem = (color, label) => (
+    <View key={label} className="flex-row items-center mr-3 mb-1">
+      <View
+        className="w-3 h-3 rounded-full mr-1"
+        style={{ backgroundColor: color }}
+      />
+      <Text className="text-xs text-gray-600">{label}</Text>
+    </View>
+  );
+
+  const point = selected >= 0 ? points[selected] : null;
+
+  return (
+    <ScrollView className="flex-1 bg-gray-50">
+      {/* Header */}
+      <View className="flex-row items-center justify-between mx-5 mt-10 mb-5">
+        <TouchableOpacity onPress={onClose}>
+          <Text className="text-blue-500 font-medium">‹ Back</Text>
+        </TouchableOpacity>
+        <Text className="text-xl font-bold text-gray-800">Track View</Text>
+        <View className="w-12" />
+      </View>
+
+      {/* Day and trip selection */}
+      <View className="bg-white mx-5 mb-5 rounded-xl p-4 shadow-sm border border-gray-100">
+        <View className="flex-row items-center justify-between mb-3">
+          <TouchableOpacity
+            onPress={() => setDay(startOfDay(day - DAY_MS / 2))}
+          >
+            <Text className="text-blue-500 font-bold px-2">◀</Text>
+          </TouchableOpacity>
+          <Text className="text-sm font-medium text-gray-800">
+            {new Date(day).toDateString()}
+          </Text>
+          <TouchableOpacity
+            onPress={() => setDay(startOfDay(day + DAY_MS * 1.5))}
+            disabled={day >= startOfDay()}
+          >
+            <Text
+              className={`font-bold px-2 ${
+                day >= startOfDay() ? "text-gray-300" : "text-blue-500"
+              }`}
+            >
+              ▶
+            </Text>
+          </TouchableOpacity>
+        </View>
+        <View className="flex-row flex-wrap">
+          {renderChip("all", "Whole Day", tripId === null, () =>
+            setTripId(null)
+          )}
+          {trips.map((trip) =>
+            renderChip(
+              trip.id,
+              `Trip #${trip.id} · ${formatTime(trip.started_at)}`,
+              tripId === trip.id,
+              () => setTripId(trip.id)
+            )
+          )}
+        </View>
+        <View className="flex-row flex-wrap mt-1">
+          {COLOR_MODES.map((mode) =>
+            renderChip(mode.key, mode.label, colorMode === mode.key, () =>
+              setColorMode(mode.key)
+            )
+          )}
+        </View>
+      </View>
+
+      {/* Plot */}
+      <View
+        className="bg-white mx-5 mb-5 rounded-xl shadow-sm border border-gray-100 overflow-hidden"
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      >
+        {points.length < 2 ? (
+          <View
+            className="items-center justify-center"
+            style={{ height: PLOT_HEIGHT }}
+          >
+            <Text className="text-base text-gray-600">
+              Not enough points to draw a track
+            </Text>
+          </View>
+        ) : (
+          <Pressable onPress={onPlotPress}>
+            <Svg width={width} height={PLOT_HEIGHT}>
+              <Rect width={width} height={PLOT_HEIGHT} fill="#f9fafb" />
+              {polylines.map((line, index) => (
+                <Polyline
+                  key={index}
+                  points={line.points}
+                  fill="none"
+                  stroke={line.color}
+                  strokeWidth={3}
+                  strokeLinejoin="round"
+                  strokeLinecap="round"
+                />
+              ))}
+              {stops.map((stop) => (
+                <Circle
+                  key={`stop-${stop.index}`}
+                  cx={projected[stop.index].x}
+                  cy={projected[stop.index].y}
+                  r={6}
+                  fill="#f59e0b"
+                  stroke="#ffffff"
+                  strokeWidth={2}
+                />
+              ))}
+              <Circle
+                cx={projected[0].x}
+                cy={projected[0].y}
+                r={7}
+                fill="#16a34a"
+                stroke="#ffffff"
+                strokeWidth={2}
+              />
+              <Circle
+                cx={projected[projected.length - 1].x}
+                cy={projected[projected.length - 1].y}
+                r={7}
+                fill="#111827"
+                stroke="#ffffff"
+                strokeWidth={2}
+              />
+              {selected >= 0 && (
+                <Circle
+                  cx={projected[selected].x}
+                  cy={projected[selected].y}
+                  r={8}
+                  fill="none"
+                  stroke="#8b5cf6"
+                  strokeWidth={3}
+                />
+              )}
+            </Svg>
+          </Pressable>
+        )}
+
+        {/* Legend */}
+        <View className="flex-row flex-wrap px-4 py-3 border-t border-gray-200">
+          {colorMode === "sync"
+            ? [
+                renderLegendItem(SYNC_COLORS.synced, "Synced"),
+                renderLegendItem(SYNC_COLORS.pending, "Pending"),
+              ]
+            : SPEED_BANDS.map((band) =>
+                renderLegendItem(band.color, band.label)
+              )}
+          {renderLegendItem("#16a34a", "Start")}
+          {renderLegendItem("#111827", "End")}
+          {renderLegendItem("#f59e0b", `Stops (${stops.length})`)}
+        </View>
+      </View>
+
+      {/* Selected point */}
+      <View className="bg-white mx-5 mb-8 rounded-xl p-4 shadow-sm border border-gray-100">
+        {point ? (
+          <>
+            <Text className="text-base font-bold mb-2 text-gray-800">
+              Point {selected + 1} of {points.length}
+            </Text>
+            <Text className="text-xs text-gray-600 mb-1">
+              Time: {new Date(point.timestamp).toLocaleString()}
+            </Text>
+            <Text className="text-xs text-gray-600 mb-1">
+              Position: {point.latitude.toFixed(6)},{" "}
+              {point.longitude.toFixed(6)}
+            </Text>
+            <Text className="text-xs text-gray-600 mb-1">
+              Accuracy: {formatValue(point.accuracy, "m", 0)} · Altitude:{" "}
+              {formatValue(point.altitude, "m", 0)}
+            </Text>
+            <Text className="text-xs text-gray-600 mb-1">
+              Speed:{" "}
+              {point.speed != null
+                ? formatValue(point.speed * 3.6, "km/h")
+                : "-"}{" "}
+              · Heading: {formatValue(point.heading, "°", 0)}
+            </Text>
+            <Text className="text-xs text-gray-600">
+              Trip: {point.trip_id ? `#${point.trip_id}` : "-"} · Sync:{" "}
+              {point.synced ? "Synced" : "Pending"}
+            </Text>
+          </>
+        ) : (
+          <Text className="text-xs text-gray-500 text-center">
+            {points.length} points · Tap the track to inspect a point
+          </Text>
+        )}
+      </View>
+    </ScrollView>
+  );
+}
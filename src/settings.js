@@ -0,0 +1,199 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { SYNC_SERVER_URL, SYNC_BATCH_BYTES } from "./config";
+
+// User-editable settings, stored as one JSON object in AsyncStorage and read
+// by the UI and the background tasks alike. Every setting is described by
+// SETTINGS_SCHEMA; stored values that no longer validate fall back to the
+// default, so a bad value can never stop tracking or sync.
+
+const SETTINGS_KEY = "settings";
+
+export const SETTINGS_SCHEMA = {
+  serverUrl: {
+    label: "Server URL",
+    type: "url",
+    default: SYNC_SERVER_URL,
+  },
+  batchKb: {
+    label: "Sync batch size",
+    type: "integer",
+    unit: "KB",
+    min: 4,
+    max: 1024,
+    default: SYNC_BATCH_BYTES / 1024,
+  },
+  syncInterval: {
+    label: "Background sync interval",
+    type: "integer",
+    unit: "min",
+    // iOS won't run background fetch more often than every 15 minutes
+    min: 15,
+    max: 24 * 60,
+    default: 15,
+  },
+  wifiOnly: {
+    label: "Sync on Wi-Fi only",
+    type: "boolean",
+    default: false,
+  },
+  liveStreaming: {
+    label: "Stream positions live while online",
+    type: "boolean",
+    default: false,
+  },
+  compactUploads: {
+    label: "Compress uploads when the server supports it",
+    type: "boolean",
+    default: true,
+  },
+  notificationTitle: {
+    label: "Notification title",
+    type: "string",
+    maxLength: 60,
+    default: "Location Tracking",
+  },
+  notificationBody: {
+    label: "Notification text",
+    type: "string",
+    maxLength: 120,
+    default: "Tracking your location in background",
+  },
+  refreshInterval: {
+    label: "UI refresh period",
+    type: "integer",
+    unit: "s",
+    min: 1,
+    max: 300,
+    default: 5,
+  },
+  resumeTracking: {
+    label: "Resume tracking after restart",
+    type: "boolean",
+    default: true,
+  },
+  retentionDays: {
+    label: "Keep synced data for",
+    type: "integer",
+    unit: "days",
+    min: 1,
+    max: 3650,
+    default: 30,
+  },
+  purgeUnsynced: {
+    label: "Also delete old unsynced data",
+    type: "boolean",
+    default: false,
+  },
+  logMaxRows: {
+    label: "Max log entries",
+    type: "integer",
+    min: 100,
+    max: 100000,
+    default: 5000,
+  },
+  logMaxDays: {
+    label: "Keep logs for",
+    type: "integer",
+    unit: "days",
+    min: 1,
+    max: 365,
+    default: 14,
+  },
+};
+
+// Error raised when saving invalid settings. `errors` maps each invalid
+// setting to a message.
+export class SettingsError extends Error {
+  constructor(errors) {
+    super(Object.values(errors).join("\n"));
+    this.name = "SettingsError";
+    this.errors = errors;
+  }
+}
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, spec]) => [key, spec.default])
+);
+
+// Check one value against its schema entry. Returns an error message or null.
+export const validateSetting = (key, value) => {
+  const spec = SETTINGS_SCHEMA[key];
+  if (!spec) return `Unknown setting: ${key}`;
+
+  switch (spec.type) {
+    case "integer":
+      if (!Number.isInteger(value)) return `${spec.label} must be a number`;
+      if (value < spec.min || value > spec.max) {
+        return `${spec.label} must be between ${spec.min} and ${spec.max}`;
+      }
+      return null;
+    case "boolean":
+      return typeof value === "boolean"
+        ? null
+        : `${spec.label} must be on or off`;
+    case "url":
+      return typeof value === "string" && /^https?:\/\/[^\s/]+/.test(value)
+        ? null
+        : `${spec.label} must start with http:// or https://`;
+    default:
+      if (typeof value !== "string" || value.trim() === "") {
+        return `${spec.label} can't be empty`;
+      }
+      return value.length > spec.maxLength
+        ? `${spec.label} must be at most ${spec.maxLength} characters`
+        : null;
+  }
+};
+
+// Convert text from an input field to the setting's type. Values that don't
+// parse are returned as-is for validateSetting to reject.
+export const parseSetting = (key, text) => {
+  const spec = SETTINGS_SCHEMA[key];
+  if (typeof text !== "string") return text;
+
+  if (spec.type === "integer") {
+    return /^\s*\d+\s*$/.test(text) ? Number(text) : text;
+  }
+  if (spec.type === "url") {
+    return text.trim().replace(/\/+$/, "");
+  }
+  return spec.type === "string" ? text.trim() : text;
+};
+
+// Current settings, with defaults for anything unset or invalid
+export const getSettings = async () => {
+  let stored = {};
+  try {
+    stored = JSON.parse(await AsyncStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (error) {
+    console.error("Error reading settings:", error);
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    if (key in stored && !validateSetting(key, stored[key])) {
+      settings[key] = stored[key];
+    }
+  }
+  return settings;
+};
+
+// Validate and store changed settings. Throws SettingsError without saving
+// anything if a value is invalid. Returns the full settings.
+export const saveSettings = async (changes) => {
+  const errors = {};
+  for (const [key, value] of Object.entries(changes)) {
+    const error = validateSetting(key, value);
+    if (error) errors[key] = error;
+  }
+  if (Object.keys(errors).length > 0) throw new SettingsError(errors);
+
+  const settings = { ...(await getSettings()), ...changes };
+  await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+export const resetSettings = async () => {
+  await AsyncStorage.removeItem(SETTINGS_KEY);
+  return { ...DEFAULT_SETTINGS };
+};
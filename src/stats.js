@@ -0,0 +1,88 @@
+import { MOVING_SPEED_THRESHOLD, TRIP_GAP_MS } from "./config";
+import { haversineDistance } from "./geo";
+import { forEachLocationPage } from "./queries";
+
+// Accumulate movement statistics over points fed in timestamp order.
+// Segments longer than TRIP_GAP_MS are gaps in recording and are skipped.
+export const createMovementAccumulator = (options = {}) => {
+  const { movingSpeed = MOVING_SPEED_THRESHOLD, maxSegmentMs = TRIP_GAP_MS } =
+    options;
+
+  const totals = {
+    distance: 0, // meters
+    movingTime: 0, // ms
+    stationaryTime: 0, // ms
+    maxSpeed: 0, // m/s
+    pointCount: 0,
+    startedAt: null,
+    endedAt: null,
+  };
+  let previous = null;
+
+  const add = (point) => {
+    totals.pointCount++;
+    if (totals.startedAt === null) totals.startedAt = point.timestamp;
+    totals.endedAt = point.timestamp;
+
+    if (previous) {
+      const elapsed = point.timestamp - previous.timestamp;
+
+      if (elapsed > 0 && elapsed <= maxSegmentMs) {
+        const distance = haversineDistance(previous, point);
+        const segmentSpeed = distance / (elapsed / 1000);
+
+        totals.distance += distance;
+        if (segmentSpeed >= movingSpeed) {
+          totals.movingTime += elapsed;
+        } else {
+          totals.stationaryTime += elapsed;
+        }
+
+        // Prefer the speed reported by the GPS; the segment speed is a fallback
+        const speed =
+          point.speed != null && point.speed >= 0 ? point.speed : segmentSpeed;
+        totals.maxSpeed = Math.max(totals.maxSpeed, speed);
+      }
+    }
+
+    previous = point;
+  };
+
+  // averageSpeed is the average while moving (m/s)
+  const result = () => ({
+    ...totals,
+    averageSpeed:
+      totals.movingTime > 0 ? totals.distance / (totals.movingTime / 1000) : 0,
+  });
+
+  return { add, result };
+};
+
+// Movement statistics for an array of points in timestamp order
+export const computeMovementStats = (points, options) => {
+  const accumulator = createMovementAccumulator(options);
+  points.forEach(accumulator.add);
+  return accumulator.result();
+};
+
+// Movement statistics from the locations table.
+// Filters: from/to (timestamps, inclusive) and tripId.
+export const getMovementStats = async (db, filters = {}, options) => {
+  const accumulator = createMovementAccumulator(options);
+
+  await forEachLocationPage(
+    db,
+    filters,
+    (rows) => rows.forEach(accumulator.add),
+    { columns: "latitude, longitude, speed" }
+  );
+
+  return accumulator.result();
+};
+
+// Start of the local day containing `time`
+export const startOfDay = (time = Date.now()) => {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+};
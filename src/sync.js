@@ -0,0 +1,575 @@
+import {
+  SYNC_SERVER_URL,
+  SYNC_BATCH_BYTES,
+  SYNC_MAX_BATCH_ROWS,
+  SYNC_MAX_RETRIES,
+  SYNC_BASE_DELAY_MS,
+  SYNC_MAX_DELAY_MS,
+  SYNC_REQUEST_TIMEOUT_MS,
+} from "./config";
+import { uuid } from "./uuid";
+import { getMovementStats } from "./stats";
+import { applyServerGeofences } from "./geofences";
+import {
+  AuthError,
+  getCredentials,
+  getAuthStatus,
+  authHeaders,
+  refreshCredentials,
+} from "./auth";
+import { getPrivacyZones, screenLocations, maskEvents } from "./privacy";
+import {
+  ACCEPT_HEADER,
+  parseAcceptHeader,
+  getServerFormats,
+  saveServerFormats,
+  encodeBatch,
+} from "./wire";
+import {
+  markInFlight,
+  markUnsent,
+  markSynced,
+  markAttemptFailed,
+  markRejected,
+} from "./queue";
+
+// Error raised for a response the server will never accept (4xx)
+export class SyncError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "SyncError";
+    this.status = status;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: random delay in [0, base * 2^attempt]
+export const backoffDelay = (
+  attempt,
+  baseDelay = SYNC_BASE_DELAY_MS,
+  maxDelay = SYNC_MAX_DELAY_MS
+) => {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+};
+
+// Give legacy rows (recorded before client ids existed) a client id
+const ensureClientIds = async (db, rows) => {
+  for (const row of rows) {
+    if (!row.client_id) {
+      row.client_id = uuid();
+      await db.runAsync("UPDATE locations SET client_id = ? WHERE id = ?", [
+        row.client_id,
+        row.id,
+      ]);
+    }
+  }
+};
+
+// Convert a location row to the wire format
+export const toLocationPayload = (row) => ({
+  id: row.client_id,
+  trip_id: row.trip_client_id || null,
+  latitude: row.latitude,
+  longitude: row.longitude,
+  accuracy: row.accuracy,
+  altitude: row.altitude,
+  speed: row.speed,
+  heading: row.heading,
+  timestamp: row.timestamp,
+});
+
+// Compute movement statistics for trips about to be uploaded
+const attachTripStats = async (db, rows) => {
+  for (const row of rows) {
+    row.stats = await getMovementStats(db, { tripId: row.id });
+  }
+};
+
+// Convert a trip row to the wire format
+const toTripPayload = (row) => ({
+  id: row.client_id,
+  started_at: row.started_at,
+  ended_at: row.ended_at,
+  end_reason: row.end_reason,
+  profile: row.profile,
+  distance: row.distance,
+  point_count: row.point_count,
+  moving_time: row.stats.movingTime,
+  stationary_time: row.stats.stationaryTime,
+  average_speed: row.stats.averageSpeed,
+  max_speed: row.stats.maxSpeed,
+});
+
+// Convert a geofence event row to the wire format
+const toGeofenceEventPayload = (row) => ({
+  id: row.client_id,
+  geofence_id: row.geofence_client_id,
+  geofence_name: row.geofence_name,
+  event_type: row.event_type,
+  timestamp: row.timestamp,
+  latitude: row.latitude,
+  longitude: row.longitude,
+  source: row.source,
+});
+
+// POST a body with a per-request timeout. Objects are sent as JSON, strings
+// and bytes (already encoded by encodeBatch) as they are.
+const postJson = async (url, body, timeout, headers) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    return await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        ...headers,
+      },
+      body:
+        typeof body === "string" || body instanceof Uint8Array
+          ? body
+          : JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// GET a JSON document with a timeout
+const getJson = async (url, timeout, headers) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: "application/json", ...headers },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      throw new SyncError(
+        `Server responded with status ${response.status}`,
+        response.status
+      );
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// POST a batch, retrying network errors, 429 and 5xx responses with backoff.
+// With a deadline, gives up instead of waiting or requesting past it.
+// headers are added to every request; onResponse is called with a successful
+// response before its JSON body is returned.
+export const postWithRetry = async (url, body, options = {}) => {
+  const {
+    headers,
+    onResponse,
+    retries = SYNC_MAX_RETRIES,
+    baseDelay = SYNC_BASE_DELAY_MS,
+    maxDelay = SYNC_MAX_DELAY_MS,
+    timeout = SYNC_REQUEST_TIMEOUT_MS,
+    deadline = Infinity,
+  } = options;
+
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      const delay = backoffDelay(attempt - 1, baseDelay, maxDelay);
+      if (Date.now() + delay >= deadline) break;
+      await sleep(delay);
+    }
+
+    try {
+      const remaining = deadline - Date.now();
+      const response = await postJson(
+        url,
+        body,
+        Math.min(timeout, remaining),
+        headers
+      );
+
+      if (response.ok) {
+        if (onResponse) onResponse(response);
+        return await response.json();
+      }
+
+      if (response.status !== 429 && response.status < 500) {
+        throw new SyncError(
+          `Server rejected batch with status ${response.status}`,
+          response.status
+        );
+      }
+
+      lastError = new SyncError(
+        `Server responded with status ${response.status}`,
+        response.status
+      );
+    } catch (error) {
+      // Only non-retryable responses are thrown as SyncError above
+      if (error instanceof SyncError) throw error;
+      lastError = error;
+    }
+
+    console.log(`[SYNC] Attempt ${attempt + 1} failed: ${lastError.message}`);
+  }
+
+  throw lastError;
+};
+
+// POST with the device credentials. On a 401 the access token is refreshed
+// once and the request repeated; refreshCredentials throws an AuthError if
+// the device has to register again.
+const postAuthorized = async (url, body, credentials, options) => {
+  const send = () =>
+    postWithRetry(url, body, {
+      ...options,
+      headers: { ...options.headers, ...authHeaders(credentials) },
+    });
+
+  try {
+    return await send();
+  } catch (error) {
+    if (error.status !== 401) throw error;
+  }
+
+  console.log("[SYNC] Access token rejected, refreshing");
+  await refreshCredentials(credentials);
+
+  try {
+    return await send();
+  } catch (error) {
+    if (error.status !== 401) throw error;
+    throw new AuthError(
+      "Sync paused: server rejected the refreshed token",
+      401
+    );
+  }
+};
+
+// Queue entries due for upload; the selects take [now, limit] as params
+const dueEntries = (table) => `JOIN sync_queue
+  ON sync_queue.table_name = '${table}' AND sync_queue.record_id = ${table}.id
+  WHERE sync_queue.state = 'pending'
+  AND (sync_queue.next_retry_at IS NULL OR sync_queue.next_retry_at <= ?)`;
+
+// What gets uploaded for each synced table
+const ENTITIES = {
+  trips: {
+    path: "/trips",
+    key: "trips",
+    // Open trips too, so the server knows a trip before the points that
+    // refer to it; a trip is queued again when it ends (see trips.js)
+    select: `SELECT trips.* FROM trips ${dueEntries("trips")}
+      ORDER BY trips.started_at ASC LIMIT ?`,
+    toPayload: toTripPayload,
+    prepare: attachTripStats,
+  },
+  geofence_events: {
+    path: "/geofence-events",
+    key: "events",
+    select: `SELECT geofence_events.*, geofences.client_id AS geofence_client_id,
+      geofences.name AS geofence_name
+      FROM geofence_events JOIN geofences ON geofences.id = geofence_events.geofence_id
+      ${dueEntries("geofence_events")}
+      ORDER BY geofence_events.timestamp ASC LIMIT ?`,
+    toPayload: toGeofenceEventPayload,
+    screen: async (db, rows, zones) => maskEvents(rows, zones),
+  },
+  locations: {
+    path: "/locations",
+    key: "points",
+    select: `SELECT locations.*, trips.client_id AS trip_client_id
+      FROM locations LEFT JOIN trips ON trips.id = locations.trip_id
+      ${dueEntries("locations")} AND locations.withheld = 0
+      ORDER BY locations.timestamp ASC LIMIT ?`,
+    toPayload: toLocationPayload,
+    prepare: ensureClientIds,
+    screen: screenLocations,
+  },
+};
+
+// Take the server's X-Sync-Accept header into account for later batches
+const updateFormats = (session, response) => {
+  if (!session.compact) return;
+
+  const formats = parseAcceptHeader(response.headers.get(ACCEPT_HEADER));
+  if ([...formats].join() === [...session.formats].join()) return;
+
+  session.formats = formats;
+  saveServerFormats(session.serverUrl, formats).catch((error) =>
+    console.error("Error saving server formats:", error)
+  );
+};
+
+// Encode the longest prefix of rows whose body fits in maxBytes (at least
+// one row). Returns { rows, encoded } with encoded from encodeBatch.
+const fitBatch = (entity, rows, session, maxBytes) => {
+  let count = rows.length;
+
+  while (true) {
+    const batch = rows.slice(0, count);
+    const encoded = encodeBatch(
+      {
+        device_id: session.credentials.deviceId,
+        [entity.key]: batch.map(entity.toPayload),
+      },
+      entity.key,
+      session.formats
+    );
+    if (encoded.bytes <= maxBytes || count === 1) {
+      return { rows: batch, encoded };
+    }
+
+    // Shrink in proportion to the overshoot, with some headroom
+    count = Math.max(
+      1,
+      Math.min(
+        count - 1,
+        Math.floor(((count * maxBytes) / encoded.bytes) * 0.9)
+      )
+    );
+  }
+};
+
+// Whether a failed upload is the server's verdict on the records in it, as
+// opposed to the request not getting through (offline, 5xx, expired token)
+// or a format the server doesn't take
+const isBatchRejected = (error) =>
+  error instanceof SyncError &&
+  error.status < 500 &&
+  ![401, 415, 429].includes(error.status);
+
+// Upload the due queue entries of one table in batches of at most batchBytes
+// on the wire. Each batch is in flight while it is sent; records the server
+// acknowledges are marked as synced, records it rejects as failed, and any
+// others count an attempt and wait for their retry time (see queue.js). A
+// batch that never got an answer goes back to pending unchanged; the server
+// de-duplicates on the client id. Every batch is screened against the
+// privacy zones before it is sent.
+const syncTable = async (db, table, session, options, deadline) => {
+  const entity = ENTITIES[table];
+  const {
+    serverUrl = SYNC_SERVER_URL,
+    batchBytes = SYNC_BATCH_BYTES,
+    maxRows = SYNC_MAX_BATCH_ROWS,
+    compact,
+    ...retryOptions
+  } = options;
+  const endpoint = serverUrl + entity.path;
+
+  const { credentials, zones } = session;
+  const result = {
+    sent: 0,
+    acknowledged: 0,
+    withheld: 0,
+    rejected: 0,
+    batches: 0,
+    bytes: 0,
+    timedOut: false,
+  };
+
+  while (true) {
+    if (Date.now() >= deadline) {
+      result.timedOut = true;
+      break;
+    }
+
+    const selected = await db.getAllAsync(entity.select, [Date.now(), maxRows]);
+
+    if (selected.length === 0) break;
+
+    // Withheld rows no longer match the select, so the loop moves on
+    const screened = entity.screen
+      ? await entity.screen(db, selected, zones)
+      : selected;
+    result.withheld += selected.length - screened.length;
+    if (screened.length === 0) continue;
+
+    if (entity.prepare) await entity.prepare(db, screened);
+
+    // Rows left out of the batch are selected again by the next iteration
+    const { rows, encoded } = fitBatch(entity, screened, session, batchBytes);
+    const rowIds = rows.map((row) => row.id);
+    await markInFlight(db, table, rowIds);
+
+    let response;
+    try {
+      response = await postAuthorized(endpoint, encoded.data, credentials, {
+        ...retryOptions,
+        deadline,
+        headers: encoded.headers,
+        onResponse: (reply) => updateFormats(session, reply),
+      });
+    } catch (error) {
+      if (isBatchRejected(error)) {
+        await markAttemptFailed(db, table, rowIds, error.message);
+      } else {
+        await markUnsent(db, table, rowIds);
+      }
+
+      // A server that stopped taking the compact format gets plain JSON
+      if (error.status === 415 && session.formats.size > 0) {
+        console.log("[SYNC] Compact format refused, falling back to JSON");
+        session.formats = new Set();
+        await saveServerFormats(session.serverUrl, session.formats);
+        continue;
+      }
+
+      // Let callers see what earlier batches achieved before the failure
+      error.result = result;
+      throw error;
+    }
+
+    const accepted = new Set(
+      Array.isArray(response?.accepted) ? response.accepted : []
+    );
+    // Records the server refused, as [{ id, error }] by client id
+    const rejections = new Map(
+      (Array.isArray(response?.rejected) ? response.rejected : [])
+        .filter((item) => item?.id)
+        .map((item) => [item.id, String(item.error || "Rejected by server")])
+    );
+
+    const ackedRowIds = [];
+    const rejected = [];
+    const unacknowledged = [];
+    for (const row of rows) {
+      if (accepted.has(row.client_id)) {
+        ackedRowIds.push(row.id);
+      } else if (rejections.has(row.client_id)) {
+        rejected.push({
+          recordId: row.id,
+          error: rejections.get(row.client_id),
+        });
+      } else {
+        unacknowledged.push(row.id);
+      }
+    }
+
+    if (ackedRowIds.length > 0) await markSynced(db, table, ackedRowIds);
+    if (rejected.length > 0) await markRejected(db, table, rejected);
+    // Their retry time is in the future, so the next iteration moves on
+    if (unacknowledged.length > 0) {
+      await markAttemptFailed(
+        db,
+        table,
+        unacknowledged,
+        "Not acknowledged by the server"
+      );
+    }
+
+    result.sent += rows.length;
+    result.acknowledged += ackedRowIds.length;
+    result.rejected += rejected.length;
+    result.batches += 1;
+    result.bytes += encoded.bytes;
+  }
+
+  return result;
+};
+
+// Download the server-managed geofences. Failures are logged rather than
+// thrown: the uploads already succeeded and the geofences we have stay in
+// use. Returns the number of geofences changed, or null if not fetched.
+const pullGeofences = async (db, credentials, options, deadline) => {
+  const { serverUrl = SYNC_SERVER_URL, timeout = SYNC_REQUEST_TIMEOUT_MS } =
+    options;
+  if (Date.now() >= deadline) return null;
+
+  try {
+    const response = await getJson(
+      serverUrl + "/geofences",
+      Math.min(timeout, deadline - Date.now()),
+      authHeaders(credentials)
+    );
+    if (!Array.isArray(response?.geofences)) return null;
+    return await applyServerGeofences(db, response.geofences);
+  } catch (error) {
+    console.log(`[SYNC] Geofence download failed: ${error.message}`);
+    return null;
+  }
+};
+
+// Upload everything pending: trips first, so the server knows the trips the
+// points refer to, then geofence events and locations; finally download the
+// server's geofences. Options: serverUrl, batchBytes, maxRows (rows read
+// per batch), compact (use the compact formats the server accepts, default
+// true), timeBudget (ms; no new batch is started once it is used up) and the
+// postWithRetry options.
+// Every request carries the device credentials; without valid ones an
+// AuthError is thrown and nothing is marked as synced.
+// Returns { trips, events, locations, geofences, timedOut } with per-table
+// counts (including rows withheld by privacy zones and rows the server
+// rejected) and the number of
+// geofences changed by the download.
+export const syncAll = async (db, options = {}) => {
+  const { timeBudget, ...rest } = options;
+  const { serverUrl = SYNC_SERVER_URL, compact = true } = rest;
+  const deadline = timeBudget ? Date.now() + timeBudget : Infinity;
+  const credentials = await getCredentials();
+  const result = {
+    trips: null,
+    events: null,
+    locations: null,
+    geofences: null,
+    timedOut: false,
+  };
+
+  try {
+    const status = getAuthStatus(credentials, serverUrl);
+    if (status.state !== "registered") throw new AuthError(status.message);
+
+    const session = {
+      credentials,
+      serverUrl,
+      compact,
+      formats: compact ? await getServerFormats(serverUrl) : new Set(),
+      zones: await getPrivacyZones(db),
+    };
+    result.trips = await syncTable(db, "trips", session, rest, deadline);
+    result.events = await syncTable(
+      db,
+      "geofence_events",
+      session,
+      rest,
+      deadline
+    );
+    result.locations = await syncTable(
+      db,
+      "locations",
+      session,
+      rest,
+      deadline
+    );
+  } catch (error) {
+    error.result = result;
+    throw error;
+  }
+
+  result.geofences = await pullGeofences(db, credentials, rest, deadline);
+  result.timedOut =
+    result.trips.timedOut ||
+    result.events.timedOut ||
+    result.locations.timedOut;
+  return result;
+};
+
+// Total records sent, acknowledged and rejected, and bytes uploaded, across
+// tables in a syncAll result
+export const syncTotals = (result) => {
+  const tables = [result?.trips, result?.events, result?.locations].filter(
+    Boolean
+  );
+  return {
+    sent: tables.reduce((sum, table) => sum + table.sent, 0),
+    acknowledged: tables.reduce((sum, table) => sum + table.acknowledged, 0),
+    rejected: tables.reduce((sum, table) => sum + table.rejected, 0),
+    bytes: tables.reduce((sum, table) => sum + table.bytes, 0),
+  };
+};
@@ -0,0 +1,527 @@
+import * as Location from "expo-location";
+import * as TaskManager from "expo-task-manager";
+import * as BackgroundFetch from "expo-background-fetch";
+import NetInfo from "@react-native-community/netinfo";
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { BACKGROUND_SYNC_BUDGET_MS } from "./config";
+import { openDatabase } from "./db";
+import { saveLocations } from "./ingest";
+import { syncAll, syncTotals } from "./sync";
+import { AuthError } from "./auth";
+import { startTrip, endOpenTrip, getOpenTrip } from "./trips";
+import { getMovementStats } from "./stats";
+import { fetchLocationPage } from "./queries";
+import { getQueueCounts } from "./queue";
+import { streamLocations } from "./live";
+import { getSettings } from "./settings";
+import {
+  runScheduledRetention,
+  describeRetention,
+  formatBytes,
+} from "./retention";
+import { createLogger } from "./logger";
+import { planReconciliation } from "./tracking";
+import { registerGeofences, handleGeofencingEvent } from "./geofences";
+import {
+  getActiveProfile,
+  setActiveProfile,
+  locationOptions,
+  describeProfile,
+} from "./profiles";
+import {
+  getMotionState,
+  saveMotionState,
+  resetMotionState,
+  nextMotionState,
+  samplingOptions,
+  describeMotionMode,
+} from "./motion";
+
+// Headless tracker API: tracking, storage and sync without any screen, for
+// the app and for other apps embedding the tracker. Importing this module
+// defines the background tasks, so it has to be imported at startup (in
+// the global scope, not from a component).
+//
+//   await init();                       open the database, restore tracking
+//   await start("balanced");            start tracking with a profile
+//   const off = subscribe("location", ({ points }) => ...);
+//   await syncNow();
+//   await stop();
+//
+// Events, delivered to listeners in the JS runtime that emits them:
+//   location  { ids, saved, duplicates, rejected, points } after fixes are
+//             saved, with points the stored rows
+//   sync      { result } after a sync, or { error } when it failed
+//   state     { tracking, profile } when tracking starts, stops or changes
+//             profile, and after init restored it
+
+export const LOCATION_TASK_NAME = "background-location-task";
+export const SYNC_TASK_NAME = "background-sync-task";
+export const GEOFENCE_TASK_NAME = "background-geofence-task";
+
+export const TRACKER_EVENTS = ["location", "sync", "state"];
+
+// The user's choice to track, kept across launches (see tracking.js)
+const TRACKING_KEY = "isTracking";
+const STARTED_AT_KEY = "trackingStartedAt";
+const STOPPED_AT_KEY = "trackingStoppedAt";
+
+// Loggers writing to app_logs, tagged with where the entry comes from
+const trackerLog = createLogger("tracker");
+const locationLog = createLogger("location-task");
+const geofenceLog = createLogger("geofence-task");
+const syncLog = createLogger("sync-task");
+
+const listeners = Object.fromEntries(
+  TRACKER_EVENTS.map((event) => [event, new Set()])
+);
+
+let initPromise = null;
+
+// Call listener with the payload of every `event` (see above). Returns a
+// function that unsubscribes.
+export const subscribe = (event, listener) => {
+  if (!listeners[event]) throw new Error(`Unknown tracker event: ${event}`);
+
+  listeners[event].add(listener);
+  return () => listeners[event].delete(listener);
+};
+
+// A failing listener is reported but never breaks tracking or sync
+const emit = (event, payload) => {
+  for (const listener of listeners[event]) {
+    try {
+      listener(payload);
+    } catch (error) {
+      console.error(`Tracker ${event} listener error:`, error);
+    }
+  }
+};
+
+// Start (or restart) background location updates with the given options.
+// The Android foreground service notification text comes from the settings.
+const startLocationUpdates = async (options) => {
+  const settings = await getSettings();
+
+  await Location.startLocationUpdatesAsync(LOCATION_TASK_NAME, {
+    ...options,
+    foregroundService: {
+      notificationTitle: settings.notificationTitle,
+      notificationBody: settings.notificationBody,
+      notificationColor: "#FF0000",
+    },
+    showsBackgroundLocationIndicator: true,
+  });
+};
+
+// Register the background sync task at the configured interval
+const registerSyncTask = async () => {
+  const settings = await getSettings();
+
+  await BackgroundFetch.registerTaskAsync(SYNC_TASK_NAME, {
+    minimumInterval: settings.syncInterval * 60, // actual timing may vary
+    stopOnTerminate: false,
+    startOnBoot: true,
+  });
+};
+
+// Bring the OS tasks in line with the stored tracking flag after a launch,
+// reboot or OS kill, logging any recovery to `log`. Returns whether tracking
+// is on afterwards.
+const reconcileTracking = async (log) => {
+  const state = {
+    wanted: (await AsyncStorage.getItem(TRACKING_KEY)) === "true",
+    locationRunning: await Location.hasStartedLocationUpdatesAsync(
+      LOCATION_TASK_NAME
+    ),
+    syncRegistered: await TaskManager.isTaskRegisteredAsync(SYNC_TASK_NAME),
+    permitted:
+      (await Location.getBackgroundPermissionsAsync()).status === "granted",
+  };
+  const plan = planReconciliation(state, await getSettings());
+
+  for (const action of plan.actions) {
+    switch (action) {
+      case "startLocation": {
+        // Stale motion state would restart in low power; start over
+        const profile = await getActiveProfile();
+        await resetMotionState();
+        await startLocationUpdates(locationOptions(profile));
+        break;
+      }
+      case "stopLocation":
+        await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
+        break;
+      case "registerSync":
+        await registerSyncTask();
+        break;
+      case "unregisterSync":
+        await BackgroundFetch.unregisterTaskAsync(SYNC_TASK_NAME);
+        break;
+      case "markStopped": {
+        // End the open trip at its last recorded point
+        await endOpenTrip(await openDatabase(), 0, "recovery");
+        await AsyncStorage.setItem(TRACKING_KEY, "false");
+        await AsyncStorage.setItem(STOPPED_AT_KEY, String(Date.now()));
+        break;
+      }
+    }
+  }
+
+  if (plan.message) await log.log(plan.level, plan.message);
+  return plan.tracking;
+};
+
+// Whether sync is allowed on the current connection
+export const canSyncOn = (netInfo, settings) =>
+  netInfo.isConnected && (!settings.wifiOnly || netInfo.type === "wifi");
+
+// Whether tracking is on
+export const isTracking = async () =>
+  (await AsyncStorage.getItem(TRACKING_KEY)) === "true";
+
+// When the current (or last) tracking session started and stopped, as
+// timestamps or null
+export const getTrackingSession = async () => {
+  const startedAt = await AsyncStorage.getItem(STARTED_AT_KEY);
+  const stoppedAt = await AsyncStorage.getItem(STOPPED_AT_KEY);
+  return {
+    startedAt: startedAt ? Number(startedAt) : null,
+    stoppedAt: stoppedAt ? Number(stoppedAt) : null,
+  };
+};
+
+// Open the database (unlocking and migrating it) and bring the OS tasks in
+// line with the stored tracking state. Runs once per JS runtime; later calls
+// return the same promise. Resolves to { db, tracking }.
+export const init = () => {
+  if (!initPromise) {
+    initPromise = (async () => {
+      const db = await openDatabase();
+
+      let tracking = false;
+      try {
+        tracking = await reconcileTracking(trackerLog);
+      } catch (error) {
+        await trackerLog.error("Failed to restore tracking state", error);
+      }
+
+      emit("state", { tracking, profile: await getActiveProfile() });
+      return { db, tracking };
+    })();
+
+    // Allow a later call to retry after a failed open
+    initPromise.catch(() => {
+      initPromise = null;
+    });
+  }
+
+  return initPromise;
+};
+
+// Start tracking with the profile `profileKey` (a TRACKING_PROFILES key), or
+// the active profile without one. Every tracking session starts a new trip.
+// Returns { tripId, profile }.
+export const start = async (profileKey) => {
+  const { db } = await init();
+
+  if (await isTracking()) throw new Error("Tracking is already running");
+
+  const { status } = await Location.getForegroundPermissionsAsync();
+  if (status !== "granted") throw new Error("Location permission is required");
+
+  const profile = profileKey
+    ? await setActiveProfile(profileKey)
+    : await getActiveProfile();
+
+  // Motion detection starts over in normal sampling
+  await resetMotionState();
+  await startLocationUpdates(locationOptions(profile));
+  await registerSyncTask();
+
+  const tripId = await startTrip(db, Date.now(), profile.key);
+
+  await AsyncStorage.setItem(TRACKING_KEY, "true");
+  await AsyncStorage.setItem(STARTED_AT_KEY, String(Date.now()));
+  await AsyncStorage.removeItem(STOPPED_AT_KEY);
+  await trackerLog.info(
+    `Tracking started (trip ${tripId}, ${profile.label} profile)`
+  );
+
+  emit("state", { tracking: true, profile });
+  return { tripId, profile };
+};
+
+// Stop tracking and end the open trip. Returns { tripId } with the id of the
+// trip ended, or null.
+export const stop = async () => {
+  const { db } = await init();
+
+  await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
+  await BackgroundFetch.unregisterTaskAsync(SYNC_TASK_NAME);
+
+  const tripId = await endOpenTrip(db);
+  if (tripId) await trackerLog.info(`Trip ${tripId} ended`);
+
+  await AsyncStorage.setItem(TRACKING_KEY, "false");
+  await AsyncStorage.setItem(STOPPED_AT_KEY, String(Date.now()));
+  await trackerLog.info("Tracking stopped");
+
+  emit("state", { tracking: false, profile: await getActiveProfile() });
+  return { tripId };
+};
+
+// Switch the tracking profile. While tracking, location updates restart
+// with the new options and a new trip is started, so every trip is recorded
+// with a single profile. Returns the profile.
+export const setProfile = async (key) => {
+  const profile = await setActiveProfile(key);
+  const tracking = await isTracking();
+
+  if (tracking) {
+    const { db } = await init();
+    await Location.stopLocationUpdatesAsync(LOCATION_TASK_NAME);
+    await resetMotionState();
+    await startLocationUpdates(locationOptions(profile));
+
+    await endOpenTrip(db, Date.now(), "profile");
+    await startTrip(db, Date.now(), profile.key);
+  }
+
+  await trackerLog.info(
+    `Tracking profile set to ${profile.label} (${describeProfile(profile)})`
+  );
+  emit("state", { tracking, profile });
+  return profile;
+};
+
+// Apply saved settings to running tracking: the sync task interval and the
+// notification text (by restarting location updates). Returns whether
+// tracking was running.
+export const applySettings = async () => {
+  if (!(await isTracking())) return false;
+
+  await BackgroundFetch.unregisterTaskAsync(SYNC_TASK_NAME);
+  await registerSyncTask();
+
+  const profile = await getActiveProfile();
+  await startLocationUpdates(samplingOptions(await getMotionState(), profile));
+
+  await trackerLog.info("Settings applied to running tracking");
+  return true;
+};
+
+// Save fixes (expo-location objects) through the ingestion pipeline, send
+// them over the live stream when it is up and emit a "location" event.
+// Options as for saveLocations. Returns the saveLocations result.
+export const recordLocations = async (locations, options = {}) => {
+  const db = await openDatabase();
+  const result = await saveLocations(db, locations, options);
+  if (result.ids.length === 0) return result;
+
+  // Sent right away when the live stream runs in this JS runtime
+  await streamLocations(db, result.ids).catch((error) =>
+    console.error("Live stream error:", error)
+  );
+
+  if (listeners.location.size > 0) {
+    const points = await db.getAllAsync(
+      `SELECT * FROM locations WHERE id IN (${result.ids
+        .map(() => "?")
+        .join(", ")}) ORDER BY timestamp ASC`,
+      result.ids
+    );
+    emit("location", { ...result, points });
+  }
+  return result;
+};
+
+// Upload everything pending with the stored settings and register any
+// geofences the server changed. `options` override the syncAll options
+// taken from the settings (e.g. timeBudget). Returns the syncAll result, or
+// null when the settings don't allow syncing on the current connection.
+// Errors are thrown as by syncAll. Emits "sync" either way.
+export const syncNow = async (options = {}) => {
+  const db = await openDatabase();
+  const settings = await getSettings();
+  if (!canSyncOn(await NetInfo.fetch(), settings)) return null;
+
+  let result;
+  try {
+    result = await syncAll(db, {
+      serverUrl: settings.serverUrl,
+      batchBytes: settings.batchKb * 1024,
+      compact: settings.compactUploads,
+      ...options,
+    });
+  } catch (error) {
+    emit("sync", { error });
+    throw error;
+  }
+
+  // The server may have added, moved or withdrawn geofences
+  if (result.geofences > 0) {
+    try {
+      if (
+        (await Location.getBackgroundPermissionsAsync()).status === "granted"
+      ) {
+        await registerGeofences(db, GEOFENCE_TASK_NAME);
+      }
+    } catch (error) {
+      await trackerLog.error("Geofencing error", error);
+    }
+  }
+
+  emit("sync", { result });
+  return result;
+};
+
+// Location counts ({ total, synced, pending, withheld }), the number of
+// failed uploads, whether tracking is on, the open trip, the motion state
+// and the movement statistics for `filters` (as for getMovementStats)
+export const getStats = async (filters = {}) => {
+  const db = await openDatabase();
+  const counts = await db.getFirstAsync(`
+    SELECT
+      COUNT(*) AS total,
+      COALESCE(SUM(synced = 1), 0) AS synced,
+      COALESCE(SUM(synced = 0 AND withheld = 0), 0) AS pending,
+      COALESCE(SUM(synced = 0 AND withheld = 1), 0) AS withheld
+    FROM locations
+  `);
+  const { failed } = await getQueueCounts(db);
+
+  return {
+    ...counts,
+    failed,
+    tracking: await isTracking(),
+    currentTrip: await getOpenTrip(db),
+    motion: await getMotionState(),
+    movement: await getMovementStats(db, filters),
+  };
+};
+
+// One page of stored locations, as fetchLocationPage: filters from, to,
+// tripId and synced; options columns, pageSize, cursor and descending.
+// Returns { rows, cursor }.
+export const query = async (filters = {}, options = {}) =>
+  fetchLocationPage(await openDatabase(), filters, options);
+
+// Background location task: store what the OS delivered, then adapt the
+// sampling to whether the device is moving
+TaskManager.defineTask(
+  LOCATION_TASK_NAME,
+  async ({ data: { locations }, error }) => {
+    if (error) {
+      await locationLog.error("Location task error", error);
+      return;
+    }
+
+    if (locations && locations.length > 0) {
+      console.log(`[BACKGROUND] ${locations.length} location(s) captured`);
+
+      try {
+        // Save the whole batch; the OS may deliver several deferred fixes
+        // The location task only runs while tracking, so points join trips
+        const profile = await getActiveProfile();
+        const result = await recordLocations(locations, {
+          trips: true,
+          profile: profile.key,
+          context: "location-task",
+        });
+        console.log(
+          `[BACKGROUND] Saved ${result.saved} location(s), ${result.duplicates} duplicate(s) skipped, ${result.rejected} rejected by filter`
+        );
+
+        // Drop to low-power sampling while parked, back when moving again
+        const motion = await getMotionState();
+        const next = nextMotionState(motion, locations);
+        await saveMotionState(next);
+
+        if (next.mode !== motion.mode) {
+          await startLocationUpdates(samplingOptions(next, profile));
+
+          await locationLog.info(
+            `Sampling switched to ${describeMotionMode(next.mode)}`
+          );
+        }
+      } catch (error) {
+        await locationLog.error("Save locations error", error);
+      }
+    }
+  }
+);
+
+// Background geofencing task
+TaskManager.defineTask(GEOFENCE_TASK_NAME, async ({ data, error }) => {
+  if (error) {
+    await geofenceLog.error("Geofence task error", error);
+    return;
+  }
+
+  try {
+    const db = await openDatabase();
+    const recorded = await handleGeofencingEvent(db, data);
+    console.log(
+      `[BACKGROUND] Geofence event for ${data.region?.identifier}` +
+        (recorded ? " recorded" : " ignored")
+    );
+  } catch (error) {
+    await geofenceLog.error("Geofence event error", error);
+  }
+});
+
+// Background sync task
+TaskManager.defineTask(SYNC_TASK_NAME, async () => {
+  try {
+    const settings = await getSettings();
+    const db = await openDatabase();
+
+    // Background fetch starts on boot, so this is where tracking the user
+    // left on gets resumed after a reboot
+    try {
+      await reconcileTracking(syncLog);
+    } catch (error) {
+      await syncLog.error("Failed to restore tracking state", error);
+    }
+
+    // Housekeeping runs offline too; old unsynced data is kept unless the
+    // settings override that
+    try {
+      const retention = await runScheduledRetention(db, settings);
+      if (retention) await syncLog.info(describeRetention(retention));
+    } catch (error) {
+      await syncLog.error("Retention failed", error);
+    }
+
+    console.log("[BACKGROUND SYNC] Running sync task");
+
+    // Same upload path as "Sync Now", bounded so the OS doesn't kill the task
+    const result = await syncNow({ timeBudget: BACKGROUND_SYNC_BUDGET_MS });
+    if (!result) return BackgroundFetch.BackgroundFetchResult.NoData;
+
+    const totals = syncTotals(result);
+    if (totals.sent === 0) {
+      return BackgroundFetch.BackgroundFetchResult.NoData;
+    }
+
+    await syncLog.log(
+      totals.acknowledged === totals.sent ? "info" : "warn",
+      `Synced ${totals.acknowledged} of ${totals.sent} records in ${formatBytes(
+        totals.bytes
+      )}` + (result.timedOut ? " (time budget exhausted)" : "")
+    );
+    return totals.acknowledged > 0
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.Failed;
+  } catch (error) {
+    if (error instanceof AuthError) {
+      await syncLog.warn(error.message);
+      return BackgroundFetch.BackgroundFetchResult.Failed;
+    }
+    await syncLog.error("Sync failed", error);
+    return syncTotals(error.result).acknowledged > 0
+      ? BackgroundFetch.BackgroundFetchResult.NewData
+      : BackgroundFetch.BackgroundFetchResult.Failed;
+  }
+});
@@ -0,0 +1,68 @@
+// Reconciliation of the tracking state after a launch, reboot or OS kill.
+//
+// The user's choice is the isTracking flag in AsyncStorage; the OS reports
+// whether location updates are running and whether the sync task is
+// registered. planReconciliation compares the two and returns what to do:
+//   tracking  whether tracking is on afterwards
+//   actions   steps to run, in order: "startLocation", "stopLocation",
+//             "registerSync", "unregisterSync", "markStopped"
+//   level, message  log entry describing the recovery, or message null when
+//             everything already matched
+
+const plan = (tracking, actions = [], message = null, level = "warn") => ({
+  tracking,
+  actions,
+  message,
+  level,
+});
+
+// `state` is { wanted, locationRunning, syncRegistered, permitted };
+// `settings` needs resumeTracking
+export const planReconciliation = (state, settings) => {
+  const { wanted, locationRunning, syncRegistered, permitted } = state;
+
+  if (wanted && locationRunning) {
+    return syncRegistered
+      ? plan(true)
+      : plan(
+          true,
+          ["registerSync"],
+          "Background sync was not registered while tracking; registered it again"
+        );
+  }
+
+  if (wanted) {
+    if (settings.resumeTracking && permitted) {
+      return plan(
+        true,
+        syncRegistered ? ["startLocation"] : ["startLocation", "registerSync"],
+        "Location updates had stopped while tracking was on; restarted them"
+      );
+    }
+
+    return plan(
+      false,
+      syncRegistered ? ["markStopped", "unregisterSync"] : ["markStopped"],
+      permitted
+        ? "Location updates had stopped and resuming is turned off; tracking marked as stopped"
+        : "Location updates had stopped and background permission is missing; tracking marked as stopped"
+    );
+  }
+
+  if (locationRunning) {
+    return plan(
+      false,
+      syncRegistered ? ["stopLocation", "unregisterSync"] : ["stopLocation"],
+      "Location updates were running with tracking off; stopped them"
+    );
+  }
+
+  return syncRegistered
+    ? plan(
+        false,
+        ["unregisterSync"],
+        "Background sync was registered with tracking off; unregistered it",
+        "info"
+      )
+    : plan(false);
+};
@@ -0,0 +1,215 @@
+import { TRIP_GAP_MS, TRIP_DWELL_MS, TRIP_DWELL_RADIUS_M } from "./config";
+import { haversineDistance } from "./geo";
+import { uuid } from "./uuid";
+import { enqueue } from "./queue";
+
+// Trips group the locations recorded between a start and an end. A trip is
+// open while ended_at is NULL; at most one trip is open at a time. Besides
+// startTracking/stopTracking, trips are split automatically when fixes stop
+// arriving for TRIP_GAP_MS (reason "gap") or the device stays put for
+// TRIP_DWELL_MS (reason "dwell").
+
+// Get the open trip, if any
+export const getOpenTrip = (db) =>
+  db.getFirstAsync(
+    "SELECT * FROM trips WHERE ended_at IS NULL ORDER BY started_at DESC LIMIT 1"
+  );
+
+// The most recent trips, newest first
+export const getRecentTrips = (db, limit = 20) =>
+  db.getAllAsync(
+    "SELECT id, started_at, ended_at, distance, point_count FROM trips ORDER BY started_at DESC LIMIT ?",
+    [limit]
+  );
+
+// Open a new trip, closing any trip that is still open. `profile` is the
+// key of the tracking profile the trip is recorded with.
+export const startTrip = async (db, startedAt = Date.now(), profile = null) => {
+  await endOpenTrip(db, startedAt, "manual");
+
+  const result = await db.runAsync(
+    "INSERT INTO trips (client_id, started_at, profile) VALUES (?, ?, ?)",
+    [uuid(), startedAt, profile]
+  );
+  await enqueue(db, "trips", result.lastInsertRowId);
+
+  return result.lastInsertRowId;
+};
+
+// Close a trip. Trips are uploaded when they start; the closed trip, with
+// its final stats, is queued again for the next sync.
+export const endTrip = async (db, tripId, endedAt, reason) => {
+  const result = await db.runAsync(
+    "UPDATE trips SET ended_at = ?, end_reason = ?, synced = 0 WHERE id = ? AND ended_at IS NULL",
+    [endedAt, reason, tripId]
+  );
+  if (result.changes > 0) await enqueue(db, "trips", tripId);
+};
+
+// Close the open trip, if any
+export const endOpenTrip = async (
+  db,
+  endedAt = Date.now(),
+  reason = "manual"
+) => {
+  const trip = await getOpenTrip(db);
+  if (!trip) return null;
+
+  // Never end a trip before its last recorded point
+  const last = await getLastTripPoint(db, trip.id);
+  const end = Math.max(endedAt, last ? last.timestamp : trip.started_at);
+  await endTrip(db, trip.id, end, reason);
+  return trip.id;
+};
+
+const getLastTripPoint = (db, tripId) =>
+  db.getFirstAsync(
+    "SELECT latitude, longitude, timestamp FROM locations WHERE trip_id = ? ORDER BY timestamp DESC LIMIT 1",
+    [tripId]
+  );
+
+// Recompute distance and point count from the trip's stored points
+export const refreshTripStats = async (db, tripId) => {
+  const points = await db.getAllAsync(
+    "SELECT latitude, longitude FROM locations WHERE trip_id = ? ORDER BY timestamp ASC",
+    [tripId]
+  );
+
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += haversineDistance(points[i - 1], points[i]);
+  }
+
+  await db.runAsync(
+    "UPDATE trips SET distance = ?, point_count = ? WHERE id = ?",
+    [distance, points.length, tripId]
+  );
+  return { distance, pointCount: points.length };
+};
+
+// Find the point where the device came to a stop, if every point of the trip
+// during the last TRIP_DWELL_MS lies within TRIP_DWELL_RADIUS_M of `point`
+const findDwellStart = async (db, tripId, point) => {
+  const windowStart = point.timestamp - TRIP_DWELL_MS;
+
+  const anchor = await db.getFirstAsync(
+    "SELECT latitude, longitude, timestamp FROM locations WHERE trip_id = ? AND timestamp <= ? ORDER BY timestamp DESC LIMIT 1",
+    [tripId, windowStart]
+  );
+  if (!anchor || haversineDistance(anchor, point) > TRIP_DWELL_RADIUS_M) {
+    return null;
+  }
+
+  const recent = await db.getAllAsync(
+    "SELECT latitude, longitude FROM locations WHERE trip_id = ? AND timestamp > ?",
+    [tripId, windowStart]
+  );
+  const moved = recent.some(
+    (other) => haversineDistance(other, point) > TRIP_DWELL_RADIUS_M
+  );
+
+  return moved ? null : anchor;
+};
+
+// End a trip at the point where the device stopped. Points recorded while
+// stationary are detached, and a trip that never moved is discarded unless
+// the server may have it: it was acknowledged (and left the queue) or is
+// being uploaded right now. Those are ended like any other trip.
+const endTripAtDwell = async (db, trip, dwellStart) => {
+  await db.runAsync(
+    "UPDATE locations SET trip_id = NULL WHERE trip_id = ? AND timestamp > ?",
+    [trip.id, dwellStart.timestamp]
+  );
+
+  const { distance } = await refreshTripStats(db, trip.id);
+  const entry = await db.getFirstAsync(
+    "SELECT state FROM sync_queue WHERE table_name = ? AND record_id = ?",
+    ["trips", trip.id]
+  );
+  const unsent = !trip.synced && entry && entry.state !== "in_flight";
+
+  if (distance < TRIP_DWELL_RADIUS_M && unsent) {
+    await db.runAsync("UPDATE locations SET trip_id = NULL WHERE trip_id = ?", [
+      trip.id,
+    ]);
+    await db.runAsync("DELETE FROM trips WHERE id = ?", [trip.id]);
+    await db.runAsync(
+      "DELETE FROM sync_queue WHERE table_name = ? AND record_id = ?",
+      ["trips", trip.id]
+    );
+    return;
+  }
+
+  await endTrip(db, trip.id, dwellStart.timestamp, "dwell");
+};
+
+// Where the device stopped after the last trip: the first point recorded
+// since the trip's last point, or that point while none was. This also
+// holds after a discarded trip, whose points were detached and whose
+// predecessor may have ended far away.
+const getStopPoint = async (db) => {
+  const trip = await db.getFirstAsync(
+    "SELECT id FROM trips ORDER BY started_at DESC LIMIT 1"
+  );
+  const last = trip ? await getLastTripPoint(db, trip.id) : null;
+
+  const first = await db.getFirstAsync(
+    "SELECT latitude, longitude, timestamp FROM locations WHERE trip_id IS NULL AND timestamp > ? ORDER BY timestamp ASC LIMIT 1",
+    [last ? last.timestamp : 0]
+  );
+  return first || last;
+};
+
+// Decide which trip a new point belongs to while tracking is active, applying
+// automatic gap and dwell splits, and add the point to the trip's stats.
+// Returns the trip id, or null while the device is stopped between trips.
+// `point` is { latitude, longitude, timestamp }; call before inserting it.
+// Trips started here are recorded with tracking profile `profile`.
+export const assignTrip = async (db, point, profile = null) => {
+  let trip = await getOpenTrip(db);
+
+  if (trip) {
+    const last = await getLastTripPoint(db, trip.id);
+
+    if (last && point.timestamp - last.timestamp > TRIP_GAP_MS) {
+      await endTrip(db, trip.id, last.timestamp, "gap");
+      trip = null;
+    } else if (last) {
+      const dwellStart = await findDwellStart(db, trip.id, point);
+      if (dwellStart) {
+        await endTripAtDwell(db, trip, dwellStart);
+        return null;
+      }
+
+      await db.runAsync(
+        "UPDATE trips SET distance = distance + ?, point_count = point_count + 1 WHERE id = ?",
+        [haversineDistance(last, point), trip.id]
+      );
+      return trip.id;
+    } else {
+      // First point of a trip opened by startTracking
+      await db.runAsync("UPDATE trips SET point_count = 1 WHERE id = ?", [
+        trip.id,
+      ]);
+      return trip.id;
+    }
+  }
+
+  // Between trips: a new trip starts once the device moves away from where
+  // it stopped, or after a gap in fixes. Compared step by step, slow
+  // progress would never count as moving away.
+  const previous = await db.getFirstAsync(
+    "SELECT latitude, longitude, timestamp FROM locations ORDER BY timestamp DESC LIMIT 1"
+  );
+  const stop = await getStopPoint(db);
+  const resumed =
+    !previous ||
+    point.timestamp - previous.timestamp > TRIP_GAP_MS ||
+    haversineDistance(stop || previous, point) > TRIP_DWELL_RADIUS_M;
+
+  if (!resumed) return null;
+
+  const tripId = await startTrip(db, point.timestamp, profile);
+  await db.runAsync("UPDATE trips SET point_count = 1 WHERE id = ?", [tripId]);
+  return tripId;
+};
@@ -0,0 +1,9 @@
+// Generate a random RFC 4122 version 4 UUID.
+// Hermes has no crypto.randomUUID, so this falls back to Math.random which is
+// good enough for idempotency keys (not for anything security related).
+export const uuid = () =>
+  "xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx".replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    const v = c === "x" ? r : (r & 0x3) | 0x8;
+    return v.toString(16);
+  });
@@ -0,0 +1,147 @@
+import AsyncStorage from "@react-native-async-storage/async-storage";
+import { gzip } from "pako";
+
+// Wire formats for sync uploads. Batches go out as plain JSON until the
+// server lists more in its X-Sync-Accept response header, e.g.
+// "X-Sync-Accept: delta-v1, gzip":
+//   delta-v1  location batches as columns of delta-encoded integers,
+//             flagged with an X-Sync-Encoding request header
+//   gzip      gzip-compressed request bodies (Content-Encoding: gzip)
+// What a server accepts is remembered per server URL, so the background
+// task's first batch can use it too. A server answering 415 to a compact
+// batch is switched back to plain JSON.
+
+export const ACCEPT_HEADER = "X-Sync-Accept";
+export const ENCODING_HEADER = "X-Sync-Encoding";
+
+export const WIRE_FORMATS = ["delta-v1", "gzip"];
+
+const FORMATS_KEY = "syncServerFormats";
+
+// Fixed-point scales of the delta-v1 number columns: coordinates in
+// millionths of a degree (~0.1 m), accuracy and altitude in decimeters,
+// speed in cm/s and heading in tenths of a degree
+const SCALES = {
+  timestamp: 1,
+  latitude: 1e6,
+  longitude: 1e6,
+  accuracy: 10,
+  altitude: 10,
+  speed: 100,
+  heading: 10,
+};
+
+// Columns stored as the difference to the previous point
+const DELTA_COLUMNS = ["timestamp", "latitude", "longitude"];
+
+// Formats named in an X-Sync-Accept header value that this build supports
+export const parseAcceptHeader = (value) =>
+  new Set(
+    (value || "")
+      .split(",")
+      .map((format) => format.trim().toLowerCase())
+      .filter((format) => WIRE_FORMATS.includes(format))
+  );
+
+// Formats the server at serverUrl last said it accepts
+export const getServerFormats = async (serverUrl) => {
+  try {
+    const stored = JSON.parse(await AsyncStorage.getItem(FORMATS_KEY));
+    return new Set(stored?.[serverUrl] || []);
+  } catch (error) {
+    console.error("Error reading server formats:", error);
+    return new Set();
+  }
+};
+
+export const saveServerFormats = async (serverUrl, formats) => {
+  let stored = {};
+  try {
+    stored = JSON.parse(await AsyncStorage.getItem(FORMATS_KEY)) || {};
+  } catch (error) {
+    console.error("Error reading server formats:", error);
+  }
+  stored[serverUrl] = [...formats];
+  await AsyncStorage.setItem(FORMATS_KEY, JSON.stringify(stored));
+};
+
+// Encode location payloads (as built for plain JSON) as a delta-v1 batch:
+// one array per field. Delta columns start from 0; null stays null and
+// leaves the running value alone. Trip ids are listed once in `trips` and
+// referenced by index.
+export const encodeLocations = (points) => {
+  const trips = [];
+  const encoded = {
+    ids: points.map((point) => point.id),
+    trips,
+    trip: points.map((point) => {
+      if (!point.trip_id) return null;
+      const index = trips.indexOf(point.trip_id);
+      return index >= 0 ? index : trips.push(point.trip_id) - 1;
+    }),
+  };
+
+  for (const [field, scale] of Object.entries(SCALES)) {
+    let previous = 0;
+    encoded[field] = points.map((point) => {
+      if (point[field] === null || point[field] === undefined) return null;
+
+      const value = Math.round(point[field] * scale);
+      if (!DELTA_COLUMNS.includes(field)) return value;
+
+      const delta = value - previous;
+      previous = value;
+      return delta;
+    });
+  }
+
+  return encoded;
+};
+
+// Inverse of encodeLocations, up to the fixed-point rounding
+export const decodeLocations = (encoded) => {
+  const running = {};
+
+  return encoded.ids.map((id, index) => {
+    const point = {
+      id,
+      trip_id:
+        encoded.trip[index] === null
+          ? null
+          : encoded.trips[encoded.trip[index]],
+    };
+
+    for (const [field, scale] of Object.entries(SCALES)) {
+      let value = encoded[field][index];
+      if (value !== null && DELTA_COLUMNS.includes(field)) {
+        value = running[field] = (running[field] || 0) + value;
+      }
+      point[field] = value === null ? null : value / scale;
+    }
+    return point;
+  });
+};
+
+const utf8Length = (text) => new TextEncoder().encode(text).length;
+
+// Serialize a batch body ({ device_id, [key]: payloads }) in the formats the
+// server accepts. Returns { data, headers, bytes } with data a string or,
+// when gzipped, a Uint8Array, and bytes the size sent over the wire.
+export const encodeBatch = (body, key, formats) => {
+  const headers = {};
+  let json = body;
+
+  if (key === "points" && formats.has("delta-v1")) {
+    json = { ...body, points: encodeLocations(body.points) };
+    headers[ENCODING_HEADER] = "delta-v1";
+  }
+
+  const text = JSON.stringify(json);
+  if (!formats.has("gzip")) {
+    return { data: text, headers, bytes: utf8Length(text) };
+  }
+
+  const data = gzip(text);
+  headers["Content-Encoding"] = "gzip";
+  return { data, headers, bytes: data.length };
+};